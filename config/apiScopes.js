@@ -0,0 +1,59 @@
+// Scopes that can be granted to personal API keys, with the roles allowed to grant them
+export const API_KEY_SCOPES = {
+  'patients:read': {
+    description: 'Read and search patient records',
+    roles: ['radiologist', 'technician', 'physician', 'admin'],
+  },
+  'patients:write': {
+    description: 'Create and update patient records',
+    roles: ['technician', 'physician', 'admin'],
+  },
+  'cases:read': {
+    description: 'Read patient cases',
+    roles: ['radiologist', 'technician', 'physician', 'admin'],
+  },
+  'cases:write': {
+    description: 'Create and update patient cases',
+    roles: ['radiologist', 'technician', 'admin'],
+  },
+  'images:upload': {
+    description: 'Upload mammogram images to cases',
+    roles: ['radiologist', 'technician', 'admin'],
+  },
+  'annotations:read': {
+    description: 'Read image annotations',
+    roles: ['radiologist', 'technician', 'physician', 'admin'],
+  },
+  'annotations:write': {
+    description: 'Create and update image annotations',
+    roles: ['radiologist', 'admin'],
+  },
+  'reports:read': {
+    description: 'Read diagnostic reports',
+    roles: ['radiologist', 'physician', 'admin'],
+  },
+  'reports:write': {
+    description: 'Create and update diagnostic reports',
+    roles: ['radiologist', 'admin'],
+  },
+  'templates:read': {
+    description: 'Read report templates',
+    roles: ['radiologist', 'physician', 'admin'],
+  },
+  'exports:read': {
+    description: 'Export cases and reports',
+    roles: ['radiologist', 'physician', 'admin'],
+  },
+};
+
+/**
+ * Get the scopes a user with the given role may put on an API key
+ * @param {string} role - User role
+ * @returns {string[]} Grantable scopes
+ */
+export const getGrantableScopes = (role) =>
+  Object.entries(API_KEY_SCOPES)
+    .filter(([, scope]) => scope.roles.includes(role))
+    .map(([name]) => name);
+
+export default API_KEY_SCOPES;
@@ -0,0 +1,118 @@
+// Catalogue of permissions checked by requirePermission
+export const PERMISSIONS = {
+  'dashboard:read': 'View dashboard statistics',
+  'patients:read': 'View and search patient records',
+  'patients:write': 'Register and edit patient records',
+  'patients:merge': 'Merge duplicate patient records and undo merges',
+  'risk:assess': 'Calculate and record breast cancer risk assessments',
+  'analysis:run': "Run AI lesion detection on consenting patients' images",
+  'cases:read': 'View patient cases',
+  'cases:create': 'Create patient cases',
+  'cases:update': 'Update case status',
+  'cases:assign': 'Assign cases to radiologists',
+  'reports:read': 'View diagnostic reports',
+  'reports:create': 'Draft diagnostic reports',
+  'reports:update': 'Edit draft diagnostic reports',
+  'reports:finalize': 'Sign and finalize diagnostic reports',
+  'reports:amend': 'Edit diagnostic reports after finalization',
+  'templates:read': 'View report templates',
+  'templates:write': 'Create, edit and delete own report templates',
+  'annotations:read': 'View image annotations',
+  'annotations:write': 'Add and edit own image annotations',
+  'annotations:manage': "Edit and delete other users' annotations",
+  'exports:create': 'Export case reports',
+  'letters:manage':
+    'Download density notification letters and record them as sent',
+  'exports:research':
+    'Export de-identified data of consenting patients for research',
+  'consents:manage': 'Publish consent form versions',
+  'users:manage': 'Manage user accounts',
+  'licenses:review': 'Approve or reject professional license applications',
+  'roles:manage': 'Edit role grants and user permission overrides',
+  'institution:manage': "Edit your institution's profile, settings and logo",
+  'audit:read': 'View the authentication and access audit log',
+  'users:impersonate': 'Sign in as another user to troubleshoot their view',
+  'institutions:manage':
+    'Create institutions and move users between them (platform operators)',
+};
+
+// Cross-tenant permissions: never part of a role, only granted per user
+export const PLATFORM_PERMISSIONS = ['institutions:manage'];
+
+export const ROLES = [
+  'radiologist',
+  'technician',
+  'physician',
+  'admin',
+  'patient',
+];
+
+// Roles that register with a professional license and need admin approval
+export const MEDICAL_ROLES = ['radiologist', 'physician', 'technician'];
+
+// Grants used until an admin edits a role (and restored by a reset)
+export const DEFAULT_ROLE_PERMISSIONS = {
+  radiologist: [
+    'dashboard:read',
+    'patients:read',
+    'cases:read',
+    'cases:update',
+    'reports:read',
+    'reports:create',
+    'reports:update',
+    'reports:finalize',
+    'templates:read',
+    'templates:write',
+    'annotations:read',
+    'annotations:write',
+    'exports:create',
+    'analysis:run',
+    'risk:assess',
+  ],
+  technician: [
+    'dashboard:read',
+    'patients:read',
+    'patients:write',
+    'cases:read',
+    'cases:create',
+    'cases:update',
+    'annotations:read',
+    'letters:manage',
+  ],
+  physician: [
+    'dashboard:read',
+    'patients:read',
+    'patients:write',
+    'cases:read',
+    'cases:create',
+    'reports:read',
+    'templates:read',
+    'annotations:read',
+    'exports:create',
+    'risk:assess',
+    'letters:manage',
+  ],
+  admin: Object.keys(PERMISSIONS).filter(
+    (permission) => !PLATFORM_PERMISSIONS.includes(permission),
+  ),
+  patient: [],
+};
+
+/**
+ * Check whether a permission name exists in the catalogue
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if known
+ */
+export const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Check an authenticated request user for a permission
+ * @param {Object} user - req.user or socket.user
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (user, permission) =>
+  Array.isArray(user?.permissions) && user.permissions.includes(permission);
+
+export default PERMISSIONS;
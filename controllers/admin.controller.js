@@ -1,101 +1,183 @@
 import User from '../models/User.js';
 import Admin from '../models/Admin.js';
+import Institution from '../models/Institution.js';
 import asyncHandler from 'express-async-handler';
+import { hasPermission, MEDICAL_ROLES, ROLES } from '../config/permissions.js';
+import { sendPasswordResetEmail } from '../utils/emailService.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import { getTenantId, isValidObjectId, scoped } from '../utils/tenant.js';
+import {
+  getNextUserId,
+  resolveUserIdFormat,
+} from '../utils/userIdGenerator.js';
+
+// Fields an admin may see when listing or inspecting users
+const USER_ADMIN_FIELDS =
+  'userId firstName lastName email role specialization licenseNumber institution isVerified licenseApproval twoFactor.enabled passwordResetRequired lastLogin createdAt +active';
+
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'lastLogin',
+  'firstName',
+  'lastName',
+  'email',
+  'role',
+];
+
+// Matches users whatever their active flag (bypasses the inactive filter)
+const ANY_ACTIVE_STATE = { $in: [true, false, null] };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePagination = (query, defaultLimit = 20) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    Math.max(1, parseInt(query.limit) || defaultLimit),
+    100,
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const buildPagination = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNext: page * limit < total,
+  hasPrev: page > 1,
+});
+
+// Platform operators see every institution, everyone else only their own
+const scopeForCaller = (req, filter) =>
+  hasPermission(req.user, 'institutions:manage') ? filter : scoped(req, filter);
+
+const searchFilter = (search) => {
+  const pattern = new RegExp(escapeRegex(search.toString().trim()), 'i');
+
+  return [
+    { firstName: pattern },
+    { lastName: pattern },
+    { email: pattern },
+    { userId: pattern },
+  ];
+};
+
+/**
+ * Load a user the calling admin may manage, including deactivated accounts
+ */
+const findManagedUser = (req, userId) =>
+  User.findOne(scopeForCaller(req, { _id: userId, active: ANY_ACTIVE_STATE }))
+    .select('+active')
+    .populate('institution', 'name slug');
+
+/**
+ * Check whether removing this admin would leave its institution without one
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || user.active === false) return false;
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    institution: user.institution?._id || user.institution || null,
+    active: { $ne: false },
+  });
+
+  return others === 0;
+};
+
+const invalidUserId = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Invalid user ID',
+  });
+
+const userNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'User not found',
+  });
 
 //Get all Admins
 export const getAllAdmins = asyncHandler(async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 10,
       search = '',
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      status = '',
+      active = '',
     } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, 10);
 
     // Build filter object - only get users with admin role
-    const filter = {
+    const filter = scopeForCaller(req, {
       role: 'admin',
-    };
+      active: ANY_ACTIVE_STATE,
+    });
 
-    // Add status filter if provided
-    if (status) {
-      filter.status = status;
+    // Add active filter if provided
+    if (active === 'true') {
+      filter.active = { $ne: false };
+    } else if (active === 'false') {
+      filter.active = false;
     }
 
     // Search functionality
     if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { institution: { $regex: search, $options: 'i' } },
-      ];
+      filter.$or = searchFilter(search);
     }
 
     // Sort configuration
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const sort = {
+      [SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt']:
+        sortOrder === 'asc' ? 1 : -1,
+    };
 
-    // Execute query with pagination - populate admin details
+    // Execute query with pagination
     const users = await User.find(filter)
-      .select('-password -tokens') // Exclude sensitive fields
+      .select(USER_ADMIN_FIELDS)
       .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean(); // Convert to plain JavaScript objects
-
-    // Get admin details for each user
-    const adminUsers = await Promise.all(
-      users.map(async (user) => {
-        // Find admin record for this user
-        const adminRecord = await Admin.findOne({ user: user._id })
-          .select('adminId')
-          .lean();
+      .limit(limit)
+      .skip(skip)
+      .lean();
 
-        return {
-          ...user,
-          adminDetails: adminRecord || null,
-          adminId: adminRecord?.adminId || null,
-        };
-      }),
+    // Attach the admin record of each user
+    const adminRecords = await Admin.find({
+      user: { $in: users.map((user) => user._id) },
+    })
+      .select('user adminId')
+      .lean();
+    const recordsByUser = new Map(
+      adminRecords.map((record) => [record.user.toString(), record]),
     );
 
-    // Get total count for pagination
-    const total = await User.countDocuments(filter);
+    const adminUsers = users.map((user) => {
+      const adminRecord = recordsByUser.get(user._id.toString()) || null;
 
-    // Get additional statistics
-    const activeAdmins = await User.countDocuments({
-      ...filter,
-      active: true,
-    });
-    const inactiveAdmins = await User.countDocuments({
-      ...filter,
-      active: false,
+      return {
+        ...user,
+        adminDetails: adminRecord,
+        adminId: adminRecord?.adminId || null,
+      };
     });
 
-    // Get admins with and without admin records
-    const adminsWithRecords = await Admin.countDocuments();
-    const adminsWithoutRecords = total - adminsWithRecords;
+    // Totals are over the whole (unpaginated) filter
+    const statsFilter = { ...filter, active: ANY_ACTIVE_STATE };
+    const [total, activeAdmins, inactiveAdmins] = await Promise.all([
+      User.countDocuments(filter),
+      User.countDocuments({ ...statsFilter, active: { $ne: false } }),
+      User.countDocuments({ ...statsFilter, active: false }),
+    ]);
 
     res.status(200).json({
       success: true,
       count: adminUsers.length,
       data: adminUsers,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalAdmins: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
+      pagination: buildPagination(page, limit, total),
       statistics: {
-        total: total,
+        total: activeAdmins + inactiveAdmins,
         active: activeAdmins,
         inactive: inactiveAdmins,
-        withAdminRecord: adminsWithRecords,
-        withoutAdminRecord: adminsWithoutRecords,
       },
     });
   } catch (error) {
@@ -103,6 +185,606 @@ export const getAllAdmins = asyncHandler(async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Server error while fetching admins',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * List users with role, verification, active state and institution filters
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+  try {
+    const {
+      role,
+      verified,
+      active = 'true',
+      institution,
+      search = '',
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+    } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+
+    if (role) {
+      const roles = role
+        .toString()
+        .split(',')
+        .map((r) => r.trim())
+        .filter((r) => ROLES.includes(r));
+      filter.role = { $in: roles };
+    }
+
+    if (verified === 'true' || verified === 'false') {
+      filter.isVerified = verified === 'true';
+    }
+
+    if (active === 'false') {
+      filter.active = false;
+    } else if (active === 'all') {
+      filter.active = ANY_ACTIVE_STATE;
+    } else {
+      filter.active = { $ne: false };
+    }
+
+    // Only platform operators can look into another institution
+    if (institution && hasPermission(req.user, 'institutions:manage')) {
+      if (!isValidObjectId(institution)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid institution ID',
+        });
+      }
+      filter.institution = institution;
+    }
+
+    if (search) {
+      filter.$or = searchFilter(search);
+    }
+
+    const scopedFilter = filter.institution
+      ? filter
+      : scopeForCaller(req, filter);
+    const sort = {
+      [SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt']:
+        sortOrder === 'asc' ? 1 : -1,
+    };
+
+    const [users, total, roleCounts] = await Promise.all([
+      User.find(scopedFilter)
+        .select(USER_ADMIN_FIELDS)
+        .populate('institution', 'name slug')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(scopedFilter),
+      // Counted per role: aggregate() would not cast the tenant id
+      Promise.all(
+        (filter.role?.$in || ROLES).map((r) =>
+          User.countDocuments({ ...scopedFilter, role: r }).then((count) => [
+            r,
+            count,
+          ]),
+        ),
+      ),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+      pagination: buildPagination(page, limit, total),
+      statistics: {
+        byRole: Object.fromEntries(roleCounts),
+      },
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
     });
   }
 });
+
+/**
+ * Get a single user's administrative details
+ */
+export const getUser = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    const user = await User.findOne(
+      scopeForCaller(req, { _id: userId, active: ANY_ACTIVE_STATE }),
+    )
+      .select(USER_ADMIN_FIELDS)
+      .populate('institution', 'name slug')
+      .populate('licenseApproval.reviewedBy', 'firstName lastName email')
+      .lean();
+
+    if (!user) return userNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * Change a staff member's role (patients have their own account type)
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, licenseNumber, specialization } = req.body || {};
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    if (!ROLES.includes(role) || role === 'patient') {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.filter((r) => r !== 'patient').join(', ')}`,
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const user = await findManagedUser(req, userId);
+
+    if (!user) return userNotFound(res);
+
+    if (user.role === 'patient') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient accounts cannot be given a staff role',
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User already has the ${role} role`,
+      });
+    }
+
+    // Creating or demoting admins is a role-management decision
+    if (
+      (role === 'admin' || user.role === 'admin') &&
+      !hasPermission(req.user, 'roles:manage')
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Changing administrator roles requires roles:manage',
+        code: 'INSUFFICIENT_PERMISSIONS',
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'The last active administrator of an institution cannot be demoted',
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    if (licenseNumber) user.licenseNumber = licenseNumber.toString().trim();
+    if (specialization) user.specialization = specialization;
+
+    if (MEDICAL_ROLES.includes(role)) {
+      if (
+        ['radiologist', 'physician'].includes(role) &&
+        (!user.licenseNumber || !user.specialization)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `A license number and specialization are required for the ${role} role`,
+          requiredFields: ['licenseNumber', 'specialization'],
+        });
+      }
+
+      // A new clinical role is reviewed like a new registration
+      if (user.licenseApproval?.status !== 'approved') {
+        user.submitLicenseForApproval();
+      }
+    }
+
+    await user.save();
+
+    if (role === 'admin') {
+      await Admin.updateOne(
+        { user: user._id },
+        { $setOnInsert: { user: user._id, adminId: user.userId } },
+        { upsert: true },
+      );
+    } else if (previousRole === 'admin') {
+      await Admin.deleteOne({ user: user._id });
+    }
+
+    // Permissions are resolved at login, so existing sessions must re-authenticate
+    await user.removeAllTokens({ types: ['auth', 'refresh', 'impersonation'] });
+
+    recordAuthEvent(AUTH_EVENT_TYPES.USER_ROLE_CHANGED, {
+      req,
+      resource: user._id.toString(),
+      details: { email: user.email, from: previousRole, to: role },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.fullName} is now a ${role}`,
+      data: {
+        id: user._id,
+        role: user.role,
+        licenseApproval: user.licenseApproval,
+      },
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((e) => e.message),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * Deactivate an account and end all of its sessions
+ */
+export const deactivateUser = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = req.body?.reason?.toString().trim();
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    const user = await findManagedUser(req, userId);
+
+    if (!user) return userNotFound(res);
+
+    if (user.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated',
+      });
+    }
+
+    if (user.role === 'admin' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Deactivating administrators requires roles:manage',
+        code: 'INSUFFICIENT_PERMISSIONS',
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'The last active administrator of an institution cannot be deactivated',
+      });
+    }
+
+    user.active = false;
+    await user.removeAllTokens({
+      types: ['auth', 'refresh', 'api', 'impersonation'],
+    });
+
+    recordAuthEvent(AUTH_EVENT_TYPES.USER_DEACTIVATED, {
+      req,
+      resource: user._id.toString(),
+      details: { email: user.email, reason },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.fullName} has been deactivated and signed out everywhere`,
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * Reactivate a previously deactivated account
+ */
+export const reactivateUser = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    const user = await findManagedUser(req, userId);
+
+    if (!user) return userNotFound(res);
+
+    if (user.active !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active',
+      });
+    }
+
+    if (user.role === 'admin' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Reactivating administrators requires roles:manage',
+        code: 'INSUFFICIENT_PERMISSIONS',
+      });
+    }
+
+    user.active = true;
+    user.resetLoginAttempts();
+    await user.save();
+
+    recordAuthEvent(AUTH_EVENT_TYPES.USER_REACTIVATED, {
+      req,
+      resource: user._id.toString(),
+      details: { email: user.email },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.fullName} has been reactivated`,
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * Require a new password: sessions end and login is refused until reset
+ */
+export const forcePasswordReset = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use "Forgot password" to reset your own password',
+      });
+    }
+
+    const user = await findManagedUser(req, userId);
+
+    if (!user) return userNotFound(res);
+
+    if (user.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivate the account before forcing a password reset',
+      });
+    }
+
+    if (user.role === 'admin' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Resetting administrator passwords requires roles:manage',
+        code: 'INSUFFICIENT_PERMISSIONS',
+      });
+    }
+
+    user.passwordResetRequired = true;
+    await user.removeAllTokens({
+      types: ['auth', 'refresh', 'impersonation'],
+    });
+    const resetToken = await user.createPasswordResetToken();
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, resetToken, {
+        requestedAt: new Date(),
+        ipAddress: req.ip,
+      });
+    } catch (emailError) {
+      emailSent = false;
+      console.error('Forced password reset email failed:', emailError.message);
+    }
+
+    recordAuthEvent(AUTH_EVENT_TYPES.PASSWORD_RESET_FORCED, {
+      req,
+      resource: user._id.toString(),
+      details: { email: user.email, emailSent },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: emailSent
+        ? `${user.fullName} has been signed out and must set a new password. A reset link was emailed to them.`
+        : `${user.fullName} has been signed out and must set a new password. The reset email could not be sent; they can use "Forgot password".`,
+      data: { emailSent },
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to force a password reset',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+export const getUserSessions = asyncHandler(async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    if (!isValidObjectId(userId)) return invalidUserId(res);
+
+    const user = await findManagedUser(req, userId);
+
+    if (!user) return userNotFound(res);
+
+    const sessions = user
+      .getSessions()
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+
+    return res.status(200).json({
+      success: true,
+      count: Math.max(0, Math.min(limit, sessions.length - skip)),
+      data: sessions.slice(skip, skip + limit),
+      pagination: buildPagination(page, limit, sessions.length),
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user sessions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+/**
+ * Preview the next user ID per role under the institution's ID format
+ */
+export const previewUserIds = asyncHandler(async (req, res) => {
+  try {
+    const { role } = req.query;
+    let institutionId = getTenantId(req.user);
+
+    // Platform operators may preview any institution's format
+    if (
+      req.query.institution &&
+      hasPermission(req.user, 'institutions:manage')
+    ) {
+      if (!isValidObjectId(req.query.institution)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid institution ID',
+        });
+      }
+      institutionId = req.query.institution;
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const institution = institutionId
+      ? await Institution.findById(institutionId).select('name settings').lean()
+      : null;
+
+    if (institutionId && !institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    const previews = await Promise.all(
+      (role ? [role] : ROLES).map(async (r) => {
+        const { timezone, ...format } = resolveUserIdFormat(r, institution);
+
+        return {
+          role: r,
+          format,
+          nextUserId: await getNextUserId(r, { institution }),
+        };
+      }),
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        institution: institution
+          ? { id: institution._id, name: institution.name }
+          : null,
+        previews,
+      },
+    });
+  } catch (error) {
+    console.error('Preview user IDs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to preview user IDs',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+});
+
+export default {
+  getAllAdmins,
+  getUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getUserSessions,
+  previewUserIds,
+};
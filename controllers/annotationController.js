@@ -1,5 +1,7 @@
 // controllers/annotationController.js
 import PatientCase from '../models/PatientCase.js';
+import { hasPermission } from '../config/permissions.js';
+import { tenantFilter } from '../utils/tenant.js';
 
 /**
  * Add annotation to image with comprehensive validation
@@ -10,6 +12,7 @@ export const addImageAnnotation = async (req, res) => {
     const annotationData = {
       ...req.body,
       createdBy: req.user?.id,
+      impersonatedBy: req.user?.impersonator?.id,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -73,6 +76,7 @@ export const addImageAnnotation = async (req, res) => {
     const patientCase = await PatientCase.findOneAndUpdate(
       {
         _id: caseId.trim(),
+        ...tenantFilter(req),
         'images._id': imageId.trim(),
       },
       {
@@ -161,6 +165,7 @@ export const deleteImageAnnotation = async (req, res) => {
     // Check if user has permission to delete (creator or admin)
     const patientCase = await PatientCase.findOne({
       _id: caseId.trim(),
+      ...tenantFilter(req),
       'images._id': imageId.trim(),
       'images.annotations._id': annotationId.trim(),
     });
@@ -175,11 +180,11 @@ export const deleteImageAnnotation = async (req, res) => {
     const image = patientCase.images.id(imageId.trim());
     const annotation = image.annotations.id(annotationId.trim());
 
-    // Check permission - user can delete their own annotations or admin can delete any
+    // Check permission - user can delete their own annotations unless allowed to manage all
     const isOwner = annotation.createdBy?.toString() === req.user?.id;
-    const isAdmin = req.user?.role === 'admin';
+    const canManage = hasPermission(req.user, 'annotations:manage');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canManage) {
       return res.status(403).json({
         success: false,
         error: 'Permission denied. You can only delete your own annotations',
@@ -189,6 +194,7 @@ export const deleteImageAnnotation = async (req, res) => {
     const updatedCase = await PatientCase.findOneAndUpdate(
       {
         _id: caseId.trim(),
+        ...tenantFilter(req),
         'images._id': imageId.trim(),
       },
       {
@@ -239,6 +245,8 @@ export const updateImageAnnotation = async (req, res) => {
     const { caseId, imageId, annotationId } = req.params;
     const updateData = {
       ...req.body,
+      // The annotation is replaced as a whole, so attribution is rewritten
+      impersonatedBy: req.user?.impersonator?.id,
       updatedAt: new Date(),
     };
 
@@ -267,6 +275,7 @@ export const updateImageAnnotation = async (req, res) => {
     // Check if annotation exists and user has permission
     const existingCase = await PatientCase.findOne({
       _id: caseId.trim(),
+      ...tenantFilter(req),
       'images._id': imageId.trim(),
       'images.annotations._id': annotationId.trim(),
     });
@@ -281,11 +290,11 @@ export const updateImageAnnotation = async (req, res) => {
     const image = existingCase.images.id(imageId.trim());
     const existingAnnotation = image.annotations.id(annotationId.trim());
 
-    // Check permission - user can update their own annotations
+    // Check permission - user can update their own annotations unless allowed to manage all
     const isOwner = existingAnnotation.createdBy?.toString() === req.user?.id;
-    const isAdmin = req.user?.role === 'admin';
+    const canManage = hasPermission(req.user, 'annotations:manage');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canManage) {
       return res.status(403).json({
         success: false,
         error: 'Permission denied. You can only update your own annotations',
@@ -315,6 +324,7 @@ export const updateImageAnnotation = async (req, res) => {
     const patientCase = await PatientCase.findOneAndUpdate(
       {
         _id: caseId.trim(),
+        ...tenantFilter(req),
         'images._id': imageId.trim(),
         'images.annotations._id': annotationId.trim(),
       },
@@ -392,6 +402,7 @@ export const getImageAnnotations = async (req, res) => {
 
     const patientCase = await PatientCase.findOne({
       _id: caseId.trim(),
+      ...tenantFilter(req),
       'images._id': imageId.trim(),
     })
       .populate('images.annotations.createdBy', 'name email role')
@@ -0,0 +1,176 @@
+import User from '../models/User.js';
+import { API_KEY_SCOPES, getGrantableScopes } from '../config/apiScopes.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+
+/**
+ * List the current user's API keys and the scopes they may grant
+ */
+export const listApiKeys = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const apiKeys = user.getApiKeys();
+
+    return res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+      availableScopes: getGrantableScopes(user.role).map((scope) => ({
+        scope,
+        description: API_KEY_SCOPES[scope].description,
+      })),
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Create an API key; the secret is returned in this response only
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A name and at least one scope are required',
+        requiredFields: ['name', 'scopes'],
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const grantableScopes = getGrantableScopes(user.role);
+    const invalidScopes = scopes.filter(
+      (scope) => !grantableScopes.includes(scope),
+    );
+
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some scopes are unknown or not available to your role',
+        invalidScopes,
+        availableScopes: grantableScopes,
+      });
+    }
+
+    const { key, apiKey } = await user.createApiKey({
+      label: name.toString().trim(),
+      scopes,
+      expiresInDays,
+    });
+
+    recordAuthEvent(AUTH_EVENT_TYPES.API_KEY_CREATED, {
+      req,
+      resource: apiKey.id.toString(),
+      details: { name: apiKey.name, scopes: apiKey.scopes },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message:
+        'API key created. Copy it now - it will not be shown again. Send it as "Authorization: ApiKey <key>".',
+      data: {
+        ...apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.code === 'API_KEY_LIMIT') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !(await user.revokeApiKey(keyId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    recordAuthEvent(AUTH_EVENT_TYPES.API_KEY_REVOKED, {
+      req,
+      resource: keyId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: {
+        id: keyId,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
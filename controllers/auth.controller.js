@@ -1,9 +1,21 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
+import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import Patient from '../models/Patient.js';
-import Admin from '../models/Admin.js';
-import { sendWelcomeEmail } from '../utils/emailService.js';
+import Patient, { PATIENT_SEXES } from '../models/Patient.js';
+import {
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+} from '../utils/emailService.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import {
+  buildUserData,
+  issueAuthTokens,
+  setAuthCookies,
+  clearAuthCookies,
+  sendAuthResponse,
+} from '../utils/authSession.js';
 
 export const registerUser = async (req, res) => {
   // Validate critical dependencies first
@@ -18,7 +30,17 @@ export const registerUser = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { firstName, lastName, email, password, role = 'patient' } = req.body;
+    const { firstName, lastName, email, password, role } = req.body;
+
+    // Staff accounts are created by accepting an admin invitation
+    if (role !== undefined && role !== 'patient') {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message:
+          'Public registration is only available to patients. Staff accounts require an invitation from an administrator.',
+      });
+    }
 
     // Input validation
     if (!firstName || !lastName || !email || !password) {
@@ -36,7 +58,7 @@ export const registerUser = async (req, res) => {
       lastName: lastName.toString().trim(),
       email: email.toString().toLowerCase().trim(),
       password: password.toString(),
-      role: role.toString(),
+      role: 'patient',
     };
 
     // Email validation
@@ -71,30 +93,6 @@ export const registerUser = async (req, res) => {
       });
     }
 
-    // Handle medical professional fields
-    const medicalFields = {};
-    const MEDICAL_ROLES = ['radiologist', 'physician', 'technician'];
-    const isMedicalProfessional = MEDICAL_ROLES.includes(sanitizedData.role);
-
-    if (isMedicalProfessional) {
-      const { licenseNumber, specialization, institution } = req.body;
-
-      if (!licenseNumber || !specialization) {
-        await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          message:
-            'Medical professionals must provide license number and specialization',
-        });
-      }
-
-      Object.assign(medicalFields, {
-        licenseNumber: licenseNumber.toString().trim(),
-        specialization: specialization.toString().trim(),
-        ...(institution && { institution: institution.toString().trim() }),
-      });
-    }
-
     // Create user
     const newUser = await User.create(
       [
@@ -104,9 +102,8 @@ export const registerUser = async (req, res) => {
           email: sanitizedData.email,
           password: sanitizedData.password,
           role: sanitizedData.role,
-          ...medicalFields,
-          // Patients are auto-verified, medical professionals need email verification
-          isVerified: sanitizedData.role === 'patient',
+          // Patients are auto-verified
+          isVerified: true,
           active: true,
         },
       ],
@@ -115,92 +112,41 @@ export const registerUser = async (req, res) => {
 
     const user = newUser[0];
 
-    // Handle patient-specific creation
-    if (sanitizedData.role === 'patient') {
-      try {
-        const Patient = mongoose.model('Patient');
-        const { dateOfBirth, gender, phoneNumber, address } = req.body;
-
-        await Patient.create(
-          [
-            {
-              user: user._id,
-              dateOfBirth: dateOfBirth || null,
-              gender: gender || null,
-              phoneNumber: phoneNumber || null,
-              address: address || null,
-            },
-          ],
-          { session },
-        );
-      } catch (patientError) {
-        console.error('Patient record creation failed:', patientError.message);
-        // Continue with user creation even if patient record fails
-      }
-    }
-
-    // Handle admin-specific creation
-    if (sanitizedData.role === 'admin') {
-      try {
-        const Admin = mongoose.model('Admin');
-        const { adminId } = req.body;
-
-        await Admin.create(
-          [
-            {
-              user: user._id,
-              adminId: adminId,
-            },
-          ],
-          { session },
-        );
-      } catch (adminError) {
-        console.error('Patient record creation failed:', adminError.message);
-        // Continue with user creation even if admin record fails
-      }
+    // Create the patient record
+    try {
+      const Patient = mongoose.model('Patient');
+      const { dateOfBirth, gender, sex, phoneNumber, address } = req.body;
+
+      await Patient.create(
+        [
+          {
+            user: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            dateOfBirth: dateOfBirth || null,
+            sex: PATIENT_SEXES.includes(sex || gender)
+              ? sex || gender
+              : 'unknown',
+            phoneNumber: phoneNumber || null,
+            address: address || null,
+          },
+        ],
+        { session },
+      );
+    } catch (patientError) {
+      console.error('Patient record creation failed:', patientError.message);
+      // Continue with user creation even if patient record fails
     }
 
     // Generate and save auth token using named token system
-    const authToken = await user.generateAndSaveAuthToken();
-
-    // Generate email verification token for non-patient roles
-    let emailVerificationToken = null;
-    if (sanitizedData.role !== 'patient') {
-      emailVerificationToken =
-        await user.generateAndSaveEmailVerificationToken();
-      // Add this line to save the user with the new token
-      await user.save({ session });
-    }
+    const { authToken, refreshToken } = await issueAuthTokens(user, req);
 
     // Prepare response data
-    const userData = {
-      _id: user._id,
-      userId: user.userId,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      isVerified: user.isVerified,
-      createdAt: user.createdAt,
-    };
+    const userData = buildUserData(user);
 
-    if (isMedicalProfessional) {
-      userData.specialization = user.specialization;
-      userData.licenseNumber = user.licenseNumber;
-      if (user.institution) {
-        userData.institution = user.institution;
-      }
-    }
-
-    // Send emails based on role
+    // Patients get welcome email (no verification needed)
     try {
-      if (sanitizedData.role === 'patient') {
-        // Patients get welcome email (no verification needed)
-        await sendWelcomeEmail(user, 'patient_welcome_token_placeholder');
-      } else {
-        // Medical professionals get welcome email with verification link
-        await sendWelcomeEmail(user, emailVerificationToken);
-      }
+      await sendWelcomeEmail(user, 'patient_welcome_token_placeholder');
     } catch (emailError) {
       console.error('Email sending failed:', emailError.message);
       // Don't fail registration if email fails
@@ -209,31 +155,25 @@ export const registerUser = async (req, res) => {
     // Commit transaction
     await session.commitTransaction();
 
-    // Set HTTP-only cookie
-    res.cookie('token', authToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      sameSite: 'strict',
-      path: '/',
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+      req,
+      user,
+      details: { method: 'registration' },
     });
 
-    // Prepare success response
-    let successMessage = '';
-    if (sanitizedData.role === 'patient') {
-      successMessage =
-        'Patient registration completed successfully! You can now access your account.';
-    } else {
-      successMessage =
-        'Registration submitted successfully! Please check your email to verify your account before logging in.';
-    }
+    // Set HTTP-only cookies
+    setAuthCookies(res, user, { authToken, refreshToken });
 
     return res.status(201).json({
       success: true,
-      message: successMessage,
+      message:
+        'Patient registration completed successfully! You can now access your account.',
       data: userData,
-      requiresVerification: sanitizedData.role !== 'patient',
+      requiresVerification: false,
+      requiresApproval: false,
       token: authToken, // Still return token for mobile apps, but cookie for web
+      refreshToken,
+      expiresIn: User.tokenLifetimes().access,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -286,3 +226,644 @@ export const registerUser = async (req, res) => {
     session.endSession();
   }
 };
+
+/**
+ * Respond to a sign-in attempt on a locked account
+ */
+const accountLockedResponse = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Please try again in ${Math.ceil(
+      retryAfter / 60,
+    )} minutes.`,
+    retryAfter,
+  });
+};
+
+/**
+ * Log in with email and password, locking the account after repeated failures
+ */
+export const loginUser = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required',
+        requiredFields: ['email', 'password'],
+      });
+    }
+
+    const user = await User.findOne({
+      email: email.toString().toLowerCase().trim(),
+    }).select('+password');
+
+    // Same response for unknown email and wrong password
+    const invalidCredentials = () =>
+      res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+      });
+
+    if (!user) {
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        email: email.toString(),
+        code: 'UNKNOWN_EMAIL',
+      });
+      return invalidCredentials();
+    }
+
+    if (user.isLocked) {
+      recordAuthEvent(AUTH_EVENT_TYPES.ACCOUNT_LOCKED, { req, user });
+      return accountLockedResponse(res, user);
+    }
+
+    const isMatch = await user.correctPassword(
+      password.toString(),
+      user.password,
+    );
+
+    if (!isMatch) {
+      await user.incrementLoginAttempts();
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        user,
+        code: 'INVALID_PASSWORD',
+      });
+      return invalidCredentials();
+    }
+
+    // Medical professionals must verify their email before signing in
+    if (!user.isVerified && user.role !== 'patient') {
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        user,
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+      return res.status(403).json({
+        success: false,
+        message:
+          'Please verify your email address before logging in. Check your inbox for the verification link.',
+        requiresVerification: true,
+      });
+    }
+
+    // An admin asked for a new password: only the reset link signs in
+    if (user.passwordResetRequired) {
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        user,
+        code: 'PASSWORD_RESET_REQUIRED',
+      });
+      return res.status(403).json({
+        success: false,
+        message:
+          'Your administrator requires you to set a new password. Use the link sent to your email or request a new one with "Forgot password".',
+        code: 'PASSWORD_RESET_REQUIRED',
+      });
+    }
+
+    // Second factor: enrolled users enter a code, mandatory roles must enrol
+    if (user.twoFactor?.enabled || user.requiresTwoFactor()) {
+      const enrolled = !!user.twoFactor?.enabled;
+
+      return res.status(200).json({
+        success: true,
+        message: enrolled
+          ? 'Password verified. Enter the code from your authenticator app to continue.'
+          : 'Two-factor authentication is required for your role. Please set it up to continue.',
+        requiresTwoFactor: enrolled,
+        requiresTwoFactorSetup: !enrolled,
+        mfaToken: user.generateMfaToken(
+          enrolled ? 'mfa_pending' : 'mfa_enrolment',
+        ),
+      });
+    }
+
+    user.resetLoginAttempts();
+    user.lastLogin = new Date();
+
+    // Persists the login state together with the new auth token
+    const { authToken, refreshToken } = await issueAuthTokens(user, req);
+
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+      req,
+      user,
+      details: { method: 'password' },
+    });
+
+    return sendAuthResponse(
+      res,
+      user,
+      { authToken, refreshToken },
+      { message: 'Login successful' },
+    );
+  } catch (error) {
+    console.error('Login process error:', error);
+
+    let message = 'Login failed due to system error';
+    if (error.message.includes('JWT_SECRET')) {
+      message = 'Server configuration error - please contact support';
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: message,
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Second login step: exchange an mfa pending token and a TOTP or recovery code
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'MFA token and an authentication or recovery code are required',
+        requiredFields: ['mfaToken', 'code'],
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken.toString(), process.env.JWT_SECRET);
+    } catch (jwtError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'mfa_pending') {
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        code: 'INVALID_MFA_TOKEN',
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please log in again.',
+        code: 'INVALID_MFA_TOKEN',
+      });
+    }
+
+    const user = await User.findById(decoded._id).select(
+      '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes',
+    );
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please log in again.',
+        code: 'INVALID_MFA_TOKEN',
+      });
+    }
+
+    if (user.isLocked) {
+      recordAuthEvent(AUTH_EVENT_TYPES.ACCOUNT_LOCKED, { req, user });
+      return accountLockedResponse(res, user);
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await user.incrementLoginAttempts();
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+        req,
+        user,
+        code: code ? 'INVALID_MFA_CODE' : 'INVALID_RECOVERY_CODE',
+      });
+      return res.status(401).json({
+        success: false,
+        message: code ? 'Invalid authentication code' : 'Invalid recovery code',
+      });
+    }
+
+    user.resetLoginAttempts();
+    user.lastLogin = new Date();
+
+    // Persists the consumed code together with the new auth token
+    const { authToken, refreshToken } = await issueAuthTokens(user, req);
+
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+      req,
+      user,
+      details: { method: code ? 'totp' : 'recovery_code' },
+    });
+
+    return sendAuthResponse(
+      res,
+      user,
+      { authToken, refreshToken },
+      {
+        message: 'Login successful',
+        ...(recoveryCode && {
+          recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+        }),
+      },
+    );
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Login failed due to system error',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Request a password reset link without revealing whether the account exists
+ */
+export const forgotPassword = async (req, res) => {
+  // Identical response whether or not the email is registered
+  const genericResponse = {
+    success: true,
+    message:
+      'If an account exists for this email, a password reset link has been sent. The link will expire in 10 minutes.',
+  };
+
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is required',
+      });
+    }
+
+    if (!validator.isEmail(email.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const user = await User.findOne({
+      email: email.toString().toLowerCase().trim(),
+    });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = await user.createPasswordResetToken();
+
+    try {
+      await sendPasswordResetEmail(user, resetToken, {
+        requestedAt: new Date(),
+        ipAddress: req.ip,
+      });
+    } catch (emailError) {
+      console.error('Password reset email failed:', emailError.message);
+      // Don't reveal delivery failures to the requester
+    }
+
+    return res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Reset password with a valid reset token and sign out every session
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required',
+        requiredFields: ['token', 'password'],
+      });
+    }
+
+    if (password.toString().length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long',
+      });
+    }
+
+    const resetToken = token.toString().trim();
+    const user = await User.findByPasswordResetToken(resetToken);
+
+    if (!user || !user.verifyPasswordResetToken(resetToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset token',
+      });
+    }
+
+    // passwordChangedAt is set by the pre-save hook, so older JWTs fail
+    user.password = password.toString();
+    user.passwordResetRequired = false;
+    user.resetLoginAttempts();
+    await user.removeAllTokens({ types: ['auth', 'refresh'] });
+    await user.removePasswordResetToken();
+
+    recordAuthEvent(AUTH_EVENT_TYPES.PASSWORD_RESET, { req, user });
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message:
+        'Password reset successfully! Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid input data provided',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Log out of the current session only
+ */
+export const logoutUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user && req.user.sessionId) {
+      await user.revokeSession(req.user.sessionId);
+    } else if (user) {
+      await user.removeTokenByValue(req.token);
+    }
+
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGOUT, { req });
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * List the current user's active device sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const sessions = user.getSessions().map((session) => ({
+      ...session,
+      current: session.sessionId === req.user.sessionId,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !(await user.revokeSession(sessionId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    recordAuthEvent(AUTH_EVENT_TYPES.SESSION_REVOKED, {
+      req,
+      resource: sessionId,
+    });
+
+    if (sessionId === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId,
+        current: sessionId === req.user.sessionId,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Log out everywhere, optionally keeping the current session
+ */
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const before = user.getSessions().length;
+    await user.removeAllTokens({
+      types: ['auth', 'refresh', 'impersonation'],
+      exceptSessionId: keepCurrent ? req.user.sessionId : null,
+    });
+    const revoked = before - user.getSessions().length;
+
+    recordAuthEvent(AUTH_EVENT_TYPES.ALL_SESSIONS_REVOKED, {
+      req,
+      details: { revoked, keepCurrent },
+    });
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: keepCurrent
+        ? 'Logged out of all other sessions'
+        : 'Logged out of all sessions',
+      data: {
+        revoked,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token, rotating the refresh token
+ */
+export const refreshAccessToken = async (req, res) => {
+  let user = null;
+
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    user = await User.findByRefreshToken(refreshToken.toString());
+
+    if (!user) {
+      recordAuthEvent(AUTH_EVENT_TYPES.TOKEN_REJECTED, {
+        req,
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+    }
+
+    const tokens = await user.rotateRefreshToken(
+      refreshToken.toString(),
+      getRequestContext(req),
+    );
+
+    setAuthCookies(res, user, tokens);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: tokens.authToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: User.tokenLifetimes().access,
+    });
+  } catch (error) {
+    if (error.code === 'TOKEN_REUSED') {
+      recordAuthEvent(AUTH_EVENT_TYPES.REFRESH_TOKEN_REUSED, { req, user });
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message:
+          'Refresh token has already been used. The session has been revoked, please log in again.',
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+    }
+
+    if (error.code === 'INVALID_TOKEN') {
+      recordAuthEvent(AUTH_EVENT_TYPES.TOKEN_REJECTED, {
+        req,
+        user,
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN',
+      });
+    }
+
+    console.error('Refresh token error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
@@ -0,0 +1,145 @@
+import AuthEvent, { AUTH_EVENT_TYPES } from '../models/AuthEvent.js';
+import { hasPermission } from '../config/permissions.js';
+import { isValidObjectId, scoped } from '../utils/tenant.js';
+
+const EVENT_TYPES = Object.values(AUTH_EVENT_TYPES);
+
+/**
+ * Parse a date query parameter (undefined when missing or invalid)
+ */
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value.toString());
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Search the authentication audit log by user, email, IP, type and time range
+ */
+export const getAuthEvents = async (req, res) => {
+  try {
+    const {
+      user,
+      email,
+      ip,
+      type,
+      outcome,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 50), 200);
+
+    const filter = {};
+
+    if (user) {
+      if (!isValidObjectId(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID',
+        });
+      }
+      filter.user = user;
+    }
+
+    if (email) {
+      filter.email = email.toString().toLowerCase().trim();
+    }
+
+    if (ip) {
+      filter.ipAddress = ip.toString().trim();
+    }
+
+    if (type) {
+      const types = type
+        .toString()
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean);
+      const invalidTypes = types.filter(
+        (value) => !EVENT_TYPES.includes(value),
+      );
+
+      if (invalidTypes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid event type. Must be one of: ${EVENT_TYPES.join(', ')}`,
+          invalidTypes,
+        });
+      }
+      filter.type = { $in: types };
+    }
+
+    if (outcome) {
+      if (!['success', 'failure'].includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid outcome. Must be one of: success, failure',
+        });
+      }
+      filter.outcome = outcome;
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use ISO 8601 dates for from and to',
+      });
+    }
+
+    if (fromDate || toDate) {
+      filter.createdAt = {
+        ...(fromDate && { $gte: fromDate }),
+        ...(toDate && { $lte: toDate }),
+      };
+    }
+
+    // Platform operators search every tenant (including unattributed failures)
+    const query = hasPermission(req.user, 'institutions:manage')
+      ? filter
+      : scoped(req, filter);
+
+    const [events, total] = await Promise.all([
+      AuthEvent.find(query)
+        .populate('user', 'userId firstName lastName email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuthEvent.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get auth events error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  getAuthEvents,
+};
@@ -1,7 +1,12 @@
 // controllers/caseController.js
 import PatientCase from '../models/PatientCase.js';
+import Patient from '../models/Patient.js';
 import DiagnosticReport from '../models/DiagnosticReport.js';
 import DashboardStatistics from '../models/DashboardStatistics.js';
+import User from '../models/User.js';
+import { getTenantId, scoped, tenantFilter } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import { analyzeCaseImage } from '../utils/mammogramAnalysis.js';
 
 /**
  * Get comprehensive dashboard statistics
@@ -15,19 +20,21 @@ export const getDashboardStatistics = async (req, res) => {
       completedCases,
       highPriorityCases,
     ] = await Promise.all([
-      PatientCase.countDocuments(),
-      PatientCase.countDocuments({ status: 'pending' }),
-      PatientCase.countDocuments({ status: 'in-progress' }),
-      PatientCase.countDocuments({ status: 'completed' }),
-      PatientCase.countDocuments({ priority: 'high' }),
+      PatientCase.countDocuments(tenantFilter(req)),
+      PatientCase.countDocuments(scoped(req, { status: 'pending' })),
+      PatientCase.countDocuments(scoped(req, { status: 'in-progress' })),
+      PatientCase.countDocuments(scoped(req, { status: 'completed' })),
+      PatientCase.countDocuments(scoped(req, { priority: 'high' })),
     ]);
 
     // Calculate average turnaround time with enhanced error handling
-    const completedCasesWithDates = await PatientCase.find({
-      status: 'completed',
-      studyDate: { $exists: true, $ne: null },
-      updatedAt: { $exists: true, $ne: null },
-    })
+    const completedCasesWithDates = await PatientCase.find(
+      scoped(req, {
+        status: 'completed',
+        studyDate: { $exists: true, $ne: null },
+        updatedAt: { $exists: true, $ne: null },
+      }),
+    )
       .select('studyDate updatedAt')
       .lean();
 
@@ -98,8 +105,8 @@ export const getCasesWithFilters = async (req, res) => {
     const limit = Math.min(Math.max(1, parseInt(itemsPerPage)), 100); // Cap at 100 items per page
     const skip = (pageNum - 1) * limit;
 
-    // Build filter object with validation
-    const filter = {};
+    // Build filter object with validation (always limited to the user's institution)
+    const filter = tenantFilter(req);
 
     if (studyType && studyType.trim() !== '')
       filter.studyType = studyType.trim();
@@ -179,9 +186,12 @@ export const getCaseById = async (req, res) => {
       });
     }
 
-    const patientCase = await PatientCase.findById(id.trim())
+    const patientCase = await PatientCase.findOne(
+      scoped(req, { _id: id.trim() }),
+    )
+      .populate('patient', 'mrn firstName lastName dateOfBirth sex')
       .populate('assignedRadiologist', 'name email specialization department')
-      .populate('previousStudies')
+      .populate({ path: 'previousStudies', match: tenantFilter(req) })
       .populate('images.annotations.createdBy', 'name role')
       .populate('createdBy', 'name email');
 
@@ -220,18 +230,23 @@ export const getCaseById = async (req, res) => {
  */
 export const createCase = async (req, res) => {
   try {
+    // Patient identifiers and age come from the patient record
+    const {
+      patientId: _patientId,
+      patientName: _patientName,
+      age: _age,
+      ...body
+    } = req.body;
+
     const caseData = {
-      ...req.body,
+      ...body,
       createdBy: req.user?.id, // From authentication middleware
+      impersonatedBy: req.user?.impersonator?.id,
+      institution: getTenantId(req.user),
     };
 
     // Validate required fields
-    const requiredFields = [
-      'patientName',
-      'patientId',
-      'studyType',
-      'priority',
-    ];
+    const requiredFields = ['patient', 'studyType', 'priority'];
     const missingFields = requiredFields.filter((field) => !caseData[field]);
 
     if (missingFields.length > 0) {
@@ -241,11 +256,46 @@ export const createCase = async (req, res) => {
       });
     }
 
+    const patient = await Patient.findOne(
+      scoped(req, { _id: caseData.patient }),
+    ).select('_id mergedInto');
+
+    if (!patient) {
+      return res.status(400).json({
+        success: false,
+        error: 'Patient not found in your institution',
+      });
+    }
+
+    if (patient.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        error:
+          'This patient record was merged; register the study on the surviving record',
+        mergedInto: patient.mergedInto,
+      });
+    }
+
+    // An assigned radiologist must work at the same institution
+    if (caseData.assignedRadiologist) {
+      const radiologist = await User.findOne(
+        scoped(req, { _id: caseData.assignedRadiologist, role: 'radiologist' }),
+      ).select('_id');
+
+      if (!radiologist) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assigned radiologist not found in your institution',
+        });
+      }
+    }
+
     const newCase = new PatientCase(caseData);
     await newCase.save();
 
     // Comprehensive population
     await newCase.populate([
+      { path: 'patient', select: 'mrn firstName lastName dateOfBirth sex' },
       { path: 'assignedRadiologist', select: 'name email specialization' },
       { path: 'createdBy', select: 'name email' },
     ]);
@@ -300,12 +350,13 @@ export const updateCaseStatus = async (req, res) => {
       });
     }
 
-    const updatedCase = await PatientCase.findByIdAndUpdate(
-      id.trim(),
+    const updatedCase = await PatientCase.findOneAndUpdate(
+      scoped(req, { _id: id.trim() }),
       {
         status,
         updatedAt: new Date(),
         ...(status === 'completed' && { completedAt: new Date() }),
+        ...impersonationAttribution(req),
       },
       {
         new: true,
@@ -366,13 +417,25 @@ export const assignCaseToRadiologist = async (req, res) => {
       });
     }
 
-    const updatedCase = await PatientCase.findByIdAndUpdate(
-      id.trim(),
+    const radiologist = await User.findOne(
+      scoped(req, { _id: radiologistId.trim(), role: 'radiologist' }),
+    ).select('_id');
+
+    if (!radiologist) {
+      return res.status(404).json({
+        success: false,
+        error: 'Radiologist not found in your institution',
+      });
+    }
+
+    const updatedCase = await PatientCase.findOneAndUpdate(
+      scoped(req, { _id: id.trim() }),
       {
         assignedRadiologist: radiologistId.trim(),
         status: 'in-progress',
         assignedAt: new Date(),
         updatedAt: new Date(),
+        ...impersonationAttribution(req),
       },
       {
         new: true,
@@ -428,7 +491,7 @@ export const searchCases = async (req, res) => {
     const searchTerm = q.trim();
     const searchRegex = { $regex: searchTerm, $options: 'i' };
 
-    let searchFilter = {};
+    let searchFilter = tenantFilter(req);
 
     // Field-specific search
     switch (field) {
@@ -482,6 +545,62 @@ export const searchCases = async (req, res) => {
   }
 };
 
+/**
+ * Run AI lesion detection on a case image (requires the patient's consent)
+ */
+export const runImageAnalysis = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const patientCase = await PatientCase.findOne(scoped(req, { _id: id }));
+
+    if (!patientCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found',
+      });
+    }
+
+    const aiAnalysis = await analyzeCaseImage(patientCase, imageId, {
+      requestedBy: req.user.id,
+    });
+
+    res.json({
+      success: aiAnalysis.status === 'completed',
+      data: aiAnalysis,
+      message:
+        aiAnalysis.status === 'completed'
+          ? `Analysis found ${aiAnalysis.detections.length} lesion(s)`
+          : 'Analysis failed',
+    });
+  } catch (error) {
+    console.error('Error running image analysis:', error);
+
+    // Raised by the analysis pipeline, e.g. CONSENT_REQUIRED
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid case ID format',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run image analysis',
+      details:
+        process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 export default {
   getDashboardStatistics,
   getCasesWithFilters,
@@ -490,4 +609,5 @@ export default {
   updateCaseStatus,
   assignCaseToRadiologist,
   searchCases,
+  runImageAnalysis,
 };
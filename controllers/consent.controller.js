@@ -0,0 +1,269 @@
+// controllers/consent.controller.js
+import ConsentForm, { CONSENT_TYPES } from '../models/ConsentForm.js';
+import ConsentRecord, {
+  CONSENT_ACTIONS,
+  CONSENT_METHODS,
+} from '../models/ConsentRecord.js';
+import Patient from '../models/Patient.js';
+import { getTenantId, isValidObjectId, scoped } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import { getConsentStatus, recordConsent } from '../utils/consent.js';
+
+/**
+ * Send service, validation and cast errors as 4xx responses
+ */
+const handleConsentError = (error, res, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another version was published at the same time; try again',
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+/**
+ * Check the action and method of a grant/withdrawal request
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateConsentRequest = ({ type, action, method }) => {
+  if (!CONSENT_TYPES.includes(type)) {
+    return `type must be one of: ${CONSENT_TYPES.join(', ')}`;
+  }
+  if (!CONSENT_ACTIONS.includes(action)) {
+    return `action must be one of: ${CONSENT_ACTIONS.join(', ')}`;
+  }
+  if (method !== undefined && !CONSENT_METHODS.includes(method)) {
+    return `method must be one of: ${CONSENT_METHODS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * List the consent forms in force for the user's institution
+ */
+export const getCurrentConsentForms = async (req, res) => {
+  try {
+    const institution = getTenantId(req.user);
+    const forms = await Promise.all(
+      CONSENT_TYPES.map((type) => ConsentForm.getCurrent(institution, type)),
+    );
+
+    res.json({
+      success: true,
+      data: forms.filter(Boolean),
+    });
+  } catch (error) {
+    console.error('Error fetching consent forms:', error);
+    return handleConsentError(error, res, 'Failed to fetch consent forms');
+  }
+};
+
+/**
+ * List every published version of a consent form, newest first
+ */
+export const getConsentFormVersions = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!CONSENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${CONSENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const forms = await ConsentForm.find(scoped(req, { type }))
+      .populate('publishedBy', 'firstName lastName')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: forms,
+    });
+  } catch (error) {
+    console.error('Error fetching consent form versions:', error);
+    return handleConsentError(error, res, 'Failed to fetch consent forms');
+  }
+};
+
+/**
+ * Publish a new version of a consent form for the user's institution
+ */
+export const publishConsentForm = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { title, text, requiresReconsent = false } = req.body || {};
+
+    if (!CONSENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${CONSENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const institution = getTenantId(req.user);
+    const latest = await ConsentForm.findOne({ institution, type })
+      .sort({ version: -1 })
+      .select('version');
+
+    const form = await ConsentForm.create({
+      institution,
+      type,
+      version: (latest?.version || 0) + 1,
+      title,
+      text,
+      requiresReconsent: requiresReconsent === true,
+      publishedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: form,
+      message: `Consent form version ${form.version} published`,
+    });
+  } catch (error) {
+    console.error('Error publishing consent form:', error);
+    return handleConsentError(error, res, 'Failed to publish consent form');
+  }
+};
+
+/**
+ * Get a patient's current consent per type and the full history
+ */
+export const getPatientConsents = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    if (!isValidObjectId(patientId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: patientId }));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const [current, history] = await Promise.all([
+      getConsentStatus(patient),
+      ConsentRecord.find({ patient: patient._id })
+        .populate('capturedBy', 'firstName lastName role')
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      data: { current, history },
+    });
+  } catch (error) {
+    console.error('Error fetching patient consents:', error);
+    return handleConsentError(error, res, 'Failed to fetch consents');
+  }
+};
+
+/**
+ * Record a consent decision a patient gave to staff
+ */
+export const recordPatientConsent = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const {
+      type,
+      action,
+      version,
+      method = 'in_person',
+      notes,
+    } = req.body || {};
+
+    if (!isValidObjectId(patientId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const invalid = validateConsentRequest({ type, action, method });
+    if (invalid || method === 'portal') {
+      return res.status(400).json({
+        success: false,
+        error: invalid || 'Portal consent is recorded by the patient',
+      });
+    }
+
+    const patient = await Patient.findOne(
+      scoped(req, { _id: patientId, mergedInto: null }),
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const record = await recordConsent({
+      patient,
+      type,
+      action,
+      version,
+      method,
+      notes,
+      capturedBy: req.user.id,
+      ...impersonationAttribution(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message:
+        action === 'granted' ? 'Consent recorded' : 'Withdrawal recorded',
+    });
+  } catch (error) {
+    console.error('Error recording patient consent:', error);
+    return handleConsentError(error, res, 'Failed to record consent');
+  }
+};
+
+export default {
+  getCurrentConsentForms,
+  getConsentFormVersions,
+  publishConsentForm,
+  getPatientConsents,
+  recordPatientConsent,
+};
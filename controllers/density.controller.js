@@ -0,0 +1,272 @@
+// controllers/density.controller.js
+import DensityNotification, {
+  DELIVERY_METHODS,
+  DENSITY_NOTIFICATION_STATUSES,
+} from '../models/DensityNotification.js';
+import DiagnosticReport from '../models/DiagnosticReport.js';
+import Patient from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import { isValidObjectId, scoped } from '../utils/tenant.js';
+import { readFile } from '../utils/fileStorage.js';
+import { generateDensityLetter } from '../utils/densityNotification.js';
+
+const handleDensityError = (error, res, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+/**
+ * Load a notification of the user's institution, or send a 400/404
+ * @returns {Promise<Object|null>} The notification (null once responded)
+ */
+const findNotification = async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid notification ID format',
+    });
+    return null;
+  }
+
+  const notification = await DensityNotification.findOne(
+    scoped(req, { _id: id }),
+  );
+
+  if (!notification) {
+    res.status(404).json({
+      success: false,
+      error: 'Density notification not found',
+    });
+    return null;
+  }
+
+  return notification;
+};
+
+/**
+ * Breast density recorded on each of a patient's finalized reports,
+ * oldest study first
+ */
+export const getPatientDensityHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: id })).select(
+      '_id',
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const cases = await PatientCase.find({ patient: patient._id })
+      .select('studyDate studyType')
+      .sort({ studyDate: 1 })
+      .lean();
+
+    const [reports, notifications] = await Promise.all([
+      DiagnosticReport.find({
+        caseId: { $in: cases.map((c) => c._id) },
+        isFinal: true,
+        breastDensity: { $exists: true },
+      })
+        .select('caseId breastDensity signedAt')
+        .lean(),
+      DensityNotification.find({ patient: patient._id })
+        .select('report status sentAt deliveryMethod')
+        .lean(),
+    ]);
+
+    const reportsByCase = new Map(
+      reports.map((report) => [report.caseId.toString(), report]),
+    );
+    const notificationsByReport = new Map(
+      notifications.map((n) => [n.report.toString(), n]),
+    );
+
+    const history = cases
+      .filter((c) => reportsByCase.has(c._id.toString()))
+      .map((c) => {
+        const report = reportsByCase.get(c._id.toString());
+        const notification = notificationsByReport.get(report._id.toString());
+
+        return {
+          case: c._id,
+          studyDate: c.studyDate,
+          studyType: c.studyType,
+          report: report._id,
+          breastDensity: report.breastDensity,
+          signedAt: report.signedAt,
+          notification: notification
+            ? {
+                _id: notification._id,
+                status: notification.status,
+                sentAt: notification.sentAt,
+                deliveryMethod: notification.deliveryMethod,
+              }
+            : null,
+        };
+      });
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    console.error('Error fetching density history:', error);
+    return handleDensityError(error, res, 'Failed to fetch density history');
+  }
+};
+
+/**
+ * List density notifications, pending first by default
+ */
+export const getDensityNotifications = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = scoped(req);
+    if (status !== 'all') {
+      if (!DENSITY_NOTIFICATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be all or one of: ${DENSITY_NOTIFICATION_STATUSES.join(', ')}`,
+        });
+      }
+      filter.status = status;
+    }
+
+    const [notifications, total] = await Promise.all([
+      DensityNotification.find(filter)
+        .populate('patient', 'mrn firstName lastName address')
+        .populate('case', 'studyDate patientName')
+        .populate('sentBy', 'firstName lastName')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      DensityNotification.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching density notifications:', error);
+    return handleDensityError(
+      error,
+      res,
+      'Failed to fetch density notifications',
+    );
+  }
+};
+
+/**
+ * Download the letter PDF, generating it if it is missing
+ */
+export const downloadDensityLetter = async (req, res) => {
+  try {
+    const notification = await findNotification(req, res);
+    if (!notification) return;
+
+    let letter = notification.letter?.path
+      ? await readFile(notification.letter.path)
+      : null;
+    if (!letter) letter = await generateDensityLetter(notification);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="density-letter-${notification._id}.pdf"`,
+    );
+    return res.status(200).send(letter);
+  } catch (error) {
+    console.error('Error downloading density letter:', error);
+    return handleDensityError(error, res, 'Failed to download letter');
+  }
+};
+
+/**
+ * Record that the letter was sent to the patient
+ */
+export const markDensityLetterSent = async (req, res) => {
+  try {
+    const { deliveryMethod } = req.body || {};
+
+    if (!DELIVERY_METHODS.includes(deliveryMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: `deliveryMethod must be one of: ${DELIVERY_METHODS.join(', ')}`,
+      });
+    }
+
+    const notification = await findNotification(req, res);
+    if (!notification) return;
+
+    if (notification.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error:
+          notification.status === 'sent'
+            ? 'This letter has already been sent'
+            : 'This letter is no longer owed',
+      });
+    }
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.sentBy = req.user.id;
+    notification.deliveryMethod = deliveryMethod;
+    await notification.save();
+
+    res.json({
+      success: true,
+      data: notification,
+      message: 'Letter marked as sent',
+    });
+  } catch (error) {
+    console.error('Error marking density letter sent:', error);
+    return handleDensityError(error, res, 'Failed to update notification');
+  }
+};
+
+export default {
+  getPatientDensityHistory,
+  getDensityNotifications,
+  downloadDensityLetter,
+  markDensityLetterSent,
+};
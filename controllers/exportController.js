@@ -3,6 +3,22 @@ import DiagnosticReport from '../models/DiagnosticReport.js';
 import PatientCase from '../models/PatientCase.js';
 import PDFDocument from 'pdfkit';
 import { Parser } from 'json2csv'; // You'll need to install json2csv
+import { scoped } from '../utils/tenant.js';
+import crypto from 'crypto';
+import { loadReportSignatures } from '../utils/reportSignatures.js';
+import { filterConsentedPatients } from '../utils/consent.js';
+
+// User fields needed for the signature block
+const SIGNER_FIELDS = 'firstName lastName email licenseNumber';
+
+/**
+ * Staff see reports in their institution; patients reach the export from the
+ * portal, which has already matched the case to their own record
+ */
+const reportFilter = (req, caseId) =>
+  req.portalCase
+    ? { caseId: req.portalCase._id, isFinal: true }
+    : scoped(req, { caseId });
 
 /**
  * Export case report in multiple formats with comprehensive validation
@@ -10,7 +26,10 @@ import { Parser } from 'json2csv'; // You'll need to install json2csv
 export const exportCaseReport = async (req, res) => {
   try {
     const { caseId } = req.params;
-    const { format = 'pdf', includeAnnotations = 'false' } = req.query;
+    // Patients only ever get the plain PDF of their own finalized report
+    const { format = 'pdf', includeAnnotations = 'false' } = req.portalCase
+      ? {}
+      : req.query;
 
     // Validate required parameters
     if (!caseId || caseId.trim() === '') {
@@ -30,13 +49,18 @@ export const exportCaseReport = async (req, res) => {
     }
 
     // Fetch report with comprehensive population
-    const report = await DiagnosticReport.findOne({ caseId: caseId.trim() })
-      .populate('createdBy', 'name email licenseNumber signature')
-      .populate('signedBy', 'name email licenseNumber signature')
+    const report = await DiagnosticReport.findOne(
+      reportFilter(req, caseId.trim()),
+    )
+      .populate('createdBy', SIGNER_FIELDS)
+      .populate('signedBy', SIGNER_FIELDS)
       .populate({
         path: 'caseId',
         populate: [
-          { path: 'assignedRadiologist', select: 'name email specialization' },
+          {
+            path: 'assignedRadiologist',
+            select: 'firstName lastName email specialization',
+          },
           { path: 'previousStudies', select: 'studyDate studyType findings' },
         ],
       });
@@ -59,8 +83,10 @@ export const exportCaseReport = async (req, res) => {
     // Fetch case with annotations if requested
     let caseWithAnnotations = null;
     if (includeAnnotations === 'true') {
-      caseWithAnnotations = await PatientCase.findById(caseId.trim())
-        .populate('images.annotations.createdBy', 'name email')
+      caseWithAnnotations = await PatientCase.findOne(
+        scoped(req, { _id: caseId.trim() }),
+      )
+        .populate('images.annotations.createdBy', 'firstName lastName email')
         .select('images patientName patientId');
     }
 
@@ -68,7 +94,13 @@ export const exportCaseReport = async (req, res) => {
 
     switch (format.toLowerCase()) {
       case 'pdf':
-        await exportAsPDF(report, caseWithAnnotations, res, fileName);
+        await exportAsPDF(
+          report,
+          caseWithAnnotations,
+          res,
+          fileName,
+          await loadReportSignatures(report),
+        );
         break;
 
       case 'json':
@@ -80,7 +112,12 @@ export const exportCaseReport = async (req, res) => {
         break;
 
       case 'html':
-        await exportAsHTML(report, res, fileName);
+        await exportAsHTML(
+          report,
+          res,
+          fileName,
+          await loadReportSignatures(report),
+        );
         break;
 
       default:
@@ -108,17 +145,29 @@ export const exportCaseReport = async (req, res) => {
   }
 };
 
+/**
+ * Format a timestamp for the signature block (date and time)
+ */
+const formatSignatureTime = (date) =>
+  date ? new Date(date).toLocaleString() : 'N/A';
+
 /**
  * Export report as PDF with comprehensive formatting
  */
-const exportAsPDF = async (report, caseWithAnnotations, res, fileName) => {
+const exportAsPDF = async (
+  report,
+  caseWithAnnotations,
+  res,
+  fileName,
+  signatures = {},
+) => {
   try {
     const doc = new PDFDocument({
       margin: 50,
       size: 'A4',
       info: {
         Title: `Diagnostic Report - ${report.caseId.patientName}`,
-        Author: report.createdBy?.name || 'Radiology System',
+        Author: report.createdBy?.fullName || 'Radiology System',
         Subject: 'Diagnostic Radiology Report',
         Keywords: 'radiology, diagnostic, report, medical',
       },
@@ -276,7 +325,7 @@ const exportAsPDF = async (report, caseWithAnnotations, res, fileName) => {
       .text('INTERPRETING RADIOLOGIST:', 50, signatureY);
     doc
       .font('Helvetica')
-      .text(report.createdBy?.name || 'N/A', 50, signatureY + 20);
+      .text(report.createdBy?.fullName || 'N/A', 50, signatureY + 20);
     doc.text(
       `License: ${report.createdBy?.licenseNumber || 'N/A'}`,
       50,
@@ -291,11 +340,21 @@ const exportAsPDF = async (report, caseWithAnnotations, res, fileName) => {
       50,
       signatureY + 50,
     );
+    // Images are only printed on signed reports, stamped with the signing time
+    drawSignatureImage(
+      doc,
+      signatures.createdBy,
+      50,
+      signatureY + 70,
+      report.signedAt,
+    );
 
     // Final signature if available
     if (report.signedBy) {
       doc.font('Helvetica-Bold').text('FINAL SIGNATURE:', 300, signatureY);
-      doc.font('Helvetica').text(report.signedBy.name, 300, signatureY + 20);
+      doc
+        .font('Helvetica')
+        .text(report.signedBy.fullName, 300, signatureY + 20);
       doc.text(
         `License: ${report.signedBy.licenseNumber || 'N/A'}`,
         300,
@@ -310,6 +369,13 @@ const exportAsPDF = async (report, caseWithAnnotations, res, fileName) => {
         300,
         signatureY + 50,
       );
+      drawSignatureImage(
+        doc,
+        signatures.signedBy,
+        300,
+        signatureY + 70,
+        report.signedAt,
+      );
     }
 
     // Final disclaimer
@@ -330,6 +396,27 @@ const exportAsPDF = async (report, caseWithAnnotations, res, fileName) => {
   }
 };
 
+/**
+ * Draw a signature image with its timestamp beside it in the PDF signature block
+ */
+const drawSignatureImage = (doc, image, x, y, signedAt) => {
+  if (!image) return;
+
+  try {
+    doc.image(image, x, y, { fit: [150, 50], valign: 'bottom' });
+  } catch (error) {
+    console.error('Failed to embed signature image:', error.message);
+    return;
+  }
+
+  doc
+    .fontSize(8)
+    .fillColor('#7f8c8d')
+    .text(formatSignatureTime(signedAt), x + 155, y + 38, { width: 95 })
+    .fontSize(12)
+    .fillColor('black');
+};
+
 /**
  * Export report as JSON
  */
@@ -381,9 +468,9 @@ const exportAsCSV = async (report, res, fileName) => {
       Findings: report.findings || '',
       Impression: report.impression || '',
       Recommendations: report.recommendations || '',
-      Radiologist: report.createdBy?.name || '',
+      Radiologist: report.createdBy?.fullName || '',
       Finalized: report.isFinal ? 'Yes' : 'No',
-      'Signed By': report.signedBy?.name || '',
+      'Signed By': report.signedBy?.fullName || '',
       'Signed At': report.signedAt
         ? new Date(report.signedAt).toISOString()
         : '',
@@ -407,10 +494,22 @@ const exportAsCSV = async (report, res, fileName) => {
   }
 };
 
+/**
+ * Render a signature image for the HTML export (inline data URI)
+ */
+const signatureImageHtml = (image, signedAt) =>
+  image
+    ? `
+        <div class="signature-image">
+            <img src="data:image/png;base64,${image.toString('base64')}" alt="Signature">
+            <span class="signature-time">${formatSignatureTime(signedAt)}</span>
+        </div>`
+    : '';
+
 /**
  * Export report as HTML
  */
-const exportAsHTML = async (report, res, fileName) => {
+const exportAsHTML = async (report, res, fileName, signatures = {}) => {
   try {
     const htmlContent = `
 <!DOCTYPE html>
@@ -426,6 +525,9 @@ const exportAsHTML = async (report, res, fileName) => {
         .section-title { font-weight: bold; font-size: 16px; border-bottom: 1px solid #ccc; padding-bottom: 5px; margin-bottom: 10px; }
         .patient-info { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
         .signature { margin-top: 50px; padding-top: 20px; border-top: 1px solid #ccc; }
+        .signature-image { display: flex; align-items: flex-end; gap: 12px; margin-top: 8px; }
+        .signature-image img { max-width: 220px; max-height: 70px; }
+        .signature-time { font-size: 12px; color: #666; }
         .footer { margin-top: 50px; font-size: 12px; color: #666; text-align: center; }
     </style>
 </head>
@@ -486,7 +588,7 @@ const exportAsHTML = async (report, res, fileName) => {
 
     <div class="signature">
         <div><strong>Interpreting Radiologist:</strong> ${
-          report.createdBy?.name || 'N/A'
+          report.createdBy?.fullName || 'N/A'
         }</div>
         <div><strong>License Number:</strong> ${
           report.createdBy?.licenseNumber || 'N/A'
@@ -495,13 +597,13 @@ const exportAsHTML = async (report, res, fileName) => {
           report.createdAt
             ? new Date(report.createdAt).toLocaleDateString()
             : 'N/A'
-        }</div>
+        }</div>${signatureImageHtml(signatures.createdBy, report.signedAt)}
         
         ${
           report.signedBy
             ? `
         <div style="margin-top: 20px;">
-            <strong>Final Signature:</strong> ${report.signedBy.name}<br>
+            <strong>Final Signature:</strong> ${report.signedBy.fullName}<br>
             <strong>License Number:</strong> ${
               report.signedBy.licenseNumber || 'N/A'
             }<br>
@@ -509,7 +611,7 @@ const exportAsHTML = async (report, res, fileName) => {
               report.signedAt
                 ? new Date(report.signedAt).toLocaleDateString()
                 : 'N/A'
-            }
+            }${signatureImageHtml(signatures.signedBy, report.signedAt)}
         </div>
         `
             : ''
@@ -551,6 +653,144 @@ const getBiradsDescription = (score) => {
   return descriptions[score] || 'Unknown category';
 };
 
+/**
+ * Stable pseudonym for an id within one institution's research exports.
+ * Without the secret, pseudonyms cannot be traced back to records
+ */
+const pseudonymize = (id, institution) =>
+  crypto
+    .createHmac(
+      'sha256',
+      process.env.RESEARCH_EXPORT_SECRET || process.env.JWT_SECRET,
+    )
+    .update(`${institution}:${id}`)
+    .digest('hex')
+    .slice(0, 16);
+
+/**
+ * Export de-identified finalized reports for research. Only patients with
+ * research consent in force are included; free text is left out because it
+ * may name the patient
+ */
+export const exportResearchDataset = async (req, res) => {
+  try {
+    const { from, to, studyType, format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format. Must be one of: csv, json',
+      });
+    }
+
+    const caseFilter = scoped(req, { patient: { $exists: true } });
+    if (studyType) caseFilter.studyType = studyType;
+
+    if (from || to) {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ([start, end].some((date) => date && Number.isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates',
+        });
+      }
+      caseFilter.studyDate = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end }),
+      };
+    }
+
+    const cases = await PatientCase.find(caseFilter)
+      .select('patient studyType studyDate age')
+      .sort({ studyDate: 1 })
+      .lean();
+
+    const patientIds = new Map(
+      cases.map((c) => [c.patient.toString(), c.patient]),
+    );
+    const consented = await filterConsentedPatients(
+      [...patientIds.values()],
+      'research',
+    );
+    const includedCases = cases.filter((c) =>
+      consented.has(c.patient.toString()),
+    );
+
+    const reports = await DiagnosticReport.find({
+      caseId: { $in: includedCases.map((c) => c._id) },
+      isFinal: true,
+    })
+      .select('caseId biradsScore signedAt')
+      .lean();
+    const reportsByCase = new Map(
+      reports.map((report) => [report.caseId.toString(), report]),
+    );
+
+    const institution = req.user.institution;
+    const rows = includedCases
+      .filter((c) => reportsByCase.has(c._id.toString()))
+      .map((c) => {
+        const report = reportsByCase.get(c._id.toString());
+        return {
+          subjectId: pseudonymize(c.patient, institution),
+          studyId: pseudonymize(c._id, institution),
+          studyType: c.studyType,
+          // Month precision only, to keep dates from identifying the patient
+          studyMonth: c.studyDate
+            ? new Date(c.studyDate).toISOString().slice(0, 7)
+            : '',
+          ageAtStudy: c.age ?? '',
+          biradsScore: report.biradsScore || '',
+        };
+      });
+
+    const excluded = cases.length - includedCases.length;
+    const fileName = `research-export-${Date.now()}`;
+    res.setHeader('X-Cases-Excluded-Without-Consent', excluded);
+
+    if (format === 'json') {
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${fileName}.json"`,
+      );
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        records: rows,
+        excludedWithoutConsent: excluded,
+      });
+    }
+
+    const parser = new Parser({
+      fields: [
+        'subjectId',
+        'studyId',
+        'studyType',
+        'studyMonth',
+        'ageAtStudy',
+        'biradsScore',
+      ],
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${fileName}.csv"`,
+    );
+    res.send(parser.parse(rows));
+  } catch (error) {
+    console.error('Error exporting research dataset:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export research dataset',
+      details:
+        process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 export default {
   exportCaseReport,
+  exportResearchDataset,
 };
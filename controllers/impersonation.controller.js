@@ -0,0 +1,160 @@
+import User from '../models/User.js';
+import { hasPermission } from '../config/permissions.js';
+import { buildUserData } from '../utils/authSession.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import { IMPERSONATION_PERMISSION } from '../utils/impersonation.js';
+import { isValidObjectId, scoped } from '../utils/tenant.js';
+
+/**
+ * Start acting as another user; returns a time-boxed bearer token
+ * (no cookies are set, so the admin's own session stays untouched)
+ */
+export const startImpersonation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = req.body?.reason?.toString().trim();
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID',
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to impersonate a user',
+        requiredFields: ['reason'],
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself',
+      });
+    }
+
+    // Platform operators may support users of any institution
+    const filter = hasPermission(req.user, 'institutions:manage')
+      ? { _id: userId }
+      : scoped(req, { _id: userId });
+
+    const [admin, target] = await Promise.all([
+      User.findById(req.user.id),
+      User.findOne(filter).select('+active'),
+    ]);
+
+    if (!admin || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (target.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivated accounts cannot be impersonated',
+      });
+    }
+
+    // Never escalate: admins and other impersonators stay out of reach
+    const targetPermissions = await target.getEffectivePermissions();
+
+    if (
+      target.role === 'admin' ||
+      targetPermissions.includes(IMPERSONATION_PERMISSION)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrators cannot be impersonated',
+      });
+    }
+
+    const { token, expiresAt } = await admin.generateAndSaveImpersonationToken(
+      target,
+      { ...getRequestContext(req), reason },
+    );
+
+    recordAuthEvent(AUTH_EVENT_TYPES.IMPERSONATION_STARTED, {
+      req,
+      resource: target._id.toString(),
+      details: { reason, targetEmail: target.email, expiresAt },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `You are now acting as ${target.fullName}. Sensitive actions such as finalizing reports are disabled.`,
+      data: {
+        user: buildUserData(target),
+        impersonator: {
+          id: req.user.id,
+          name: req.user.name,
+          email: req.user.email,
+        },
+        expiresAt,
+      },
+      token,
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start impersonation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * End the impersonation session, from the impersonation token itself
+ * or from the admin's own session
+ */
+export const endImpersonation = async (req, res) => {
+  try {
+    const adminId = req.user.impersonator?.id || req.user.id;
+    const admin = await User.findById(adminId);
+    const session = admin?.getImpersonationSession();
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No impersonation session is active',
+      });
+    }
+
+    await admin.removeAllTokensOfType('impersonation');
+
+    recordAuthEvent(AUTH_EVENT_TYPES.IMPERSONATION_ENDED, {
+      req,
+      resource: session.targetUser?.toString(),
+      details: { startedAt: session.createdAt },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to end impersonation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  startImpersonation,
+  endImpersonation,
+};
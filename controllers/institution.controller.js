@@ -0,0 +1,505 @@
+import sharp from 'sharp';
+import Institution from '../models/Institution.js';
+import User from '../models/User.js';
+import { saveFile, readFile } from '../utils/fileStorage.js';
+import { getTenantId, isValidObjectId } from '../utils/tenant.js';
+
+// Fields an institution admin may edit on their own institution
+const PROFILE_FIELDS = ['name', 'type', 'address', 'contact'];
+const SETTINGS_FIELDS = [
+  'timezone',
+  'locale',
+  'reportHeader',
+  'reportFooter',
+  'defaultCaseDueDays',
+  'userIdFormat',
+];
+
+const LOGO_MAX_SIZE = 512;
+
+const MEMBER_SELECT =
+  'userId firstName lastName email role specialization licenseApproval active createdAt';
+
+/**
+ * Copy editable profile and settings fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Update document using dotted settings paths
+ */
+const buildInstitutionUpdate = (body = {}) => {
+  const update = {};
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) update[field] = body[field];
+  });
+
+  SETTINGS_FIELDS.forEach((field) => {
+    if (body.settings?.[field] !== undefined) {
+      update[`settings.${field}`] = body.settings[field];
+    }
+  });
+
+  return update;
+};
+
+/**
+ * Send a Mongoose validation or duplicate-slug error as a 400/409 response
+ */
+const handleInstitutionError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'An institution with this slug already exists',
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    ...(process.env.NODE_ENV === 'development' && {
+      error: error.message,
+    }),
+  });
+};
+
+/**
+ * Get the authenticated user's institution
+ */
+export const getCurrentInstitution = async (req, res) => {
+  try {
+    const institutionId = getTenantId(req.user);
+
+    if (!institutionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    const institution = await Institution.findById(institutionId);
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: institution,
+    });
+  } catch (error) {
+    console.error('Get institution error:', error);
+    return handleInstitutionError(error, res, 'Failed to fetch institution');
+  }
+};
+
+/**
+ * Update the profile and settings of the authenticated user's institution
+ */
+export const updateCurrentInstitution = async (req, res) => {
+  try {
+    const institutionId = getTenantId(req.user);
+
+    if (!institutionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    const update = buildInstitutionUpdate(req.body);
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No editable fields provided',
+        allowedFields: [
+          ...PROFILE_FIELDS,
+          ...SETTINGS_FIELDS.map((field) => `settings.${field}`),
+        ],
+      });
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      institutionId,
+      { $set: update },
+      { new: true, runValidators: true },
+    );
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Institution updated successfully',
+      data: institution,
+    });
+  } catch (error) {
+    console.error('Update institution error:', error);
+    return handleInstitutionError(error, res, 'Failed to update institution');
+  }
+};
+
+/**
+ * Replace the institution logo (normalised to a PNG of at most 512px)
+ */
+export const uploadInstitutionLogo = async (req, res) => {
+  try {
+    const institutionId = getTenantId(req.user);
+
+    if (!institutionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    let logo;
+    try {
+      logo = await sharp(req.file.buffer)
+        .resize(LOGO_MAX_SIZE, LOGO_MAX_SIZE, {
+          fit: 'inside',
+          withoutEnlargement: true,
+        })
+        .png()
+        .toBuffer();
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is not a readable image',
+      });
+    }
+
+    const path = await saveFile(`institutions/${institutionId}/logo.png`, logo);
+
+    const institution = await Institution.findByIdAndUpdate(
+      institutionId,
+      {
+        logo: { path, mimeType: 'image/png', updatedAt: new Date() },
+      },
+      { new: true },
+    );
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logo updated successfully',
+      data: { logoUrl: institution.logoUrl },
+    });
+  } catch (error) {
+    console.error('Upload institution logo error:', error);
+    return handleInstitutionError(error, res, 'Failed to upload logo');
+  }
+};
+
+/**
+ * Serve an institution logo to its own members
+ */
+export const getInstitutionLogo = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id !== getTenantId(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Logo not found',
+      });
+    }
+
+    const institution = await Institution.findById(id).select('logo');
+    const logo = institution?.logo?.path
+      ? await readFile(institution.logo.path)
+      : null;
+
+    if (!logo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Logo not found',
+      });
+    }
+
+    res.set('Content-Type', institution.logo.mimeType || 'image/png');
+    res.set('Cache-Control', 'private, max-age=3600');
+    return res.status(200).send(logo);
+  } catch (error) {
+    console.error('Get institution logo error:', error);
+    return handleInstitutionError(error, res, 'Failed to fetch logo');
+  }
+};
+
+/**
+ * List members of the authenticated user's institution
+ */
+export const getCurrentInstitutionMembers = async (req, res) => {
+  try {
+    const institutionId = getTenantId(req.user);
+
+    if (!institutionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    const { role, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = {
+      institution: institutionId,
+      ...(role && { role: role.toString() }),
+    };
+
+    const [members, total] = await Promise.all([
+      User.find(filter)
+        .select(MEMBER_SELECT)
+        .sort({ lastName: 1, firstName: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: members.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      data: members,
+    });
+  } catch (error) {
+    console.error('Get institution members error:', error);
+    return handleInstitutionError(error, res, 'Failed to fetch members');
+  }
+};
+
+/**
+ * List all institutions (platform operators)
+ */
+export const getInstitutions = async (req, res) => {
+  try {
+    const { search, active, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = {};
+    if (active !== undefined) filter.active = active === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search.toString(), $options: 'i' } },
+        { slug: { $regex: search.toString(), $options: 'i' } },
+      ];
+    }
+
+    const [institutions, total] = await Promise.all([
+      Institution.find(filter)
+        .sort({ name: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Institution.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: institutions.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      data: institutions,
+    });
+  } catch (error) {
+    console.error('Get institutions error:', error);
+    return handleInstitutionError(error, res, 'Failed to fetch institutions');
+  }
+};
+
+/**
+ * Create an institution (platform operators)
+ */
+export const createInstitution = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { name, slug } = body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Institution name is required',
+        requiredFields: ['name'],
+      });
+    }
+
+    const { type, address, contact, settings } = body;
+
+    const institution = await Institution.create({
+      name,
+      type,
+      address,
+      contact,
+      settings,
+      slug: slug || Institution.slugify(name),
+      createdBy: req.user.id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Institution created successfully',
+      data: institution,
+    });
+  } catch (error) {
+    console.error('Create institution error:', error);
+    return handleInstitutionError(error, res, 'Failed to create institution');
+  }
+};
+
+/**
+ * Update any institution, including its active flag (platform operators)
+ */
+export const updateInstitution = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const update = buildInstitutionUpdate(body);
+    if (body.slug !== undefined) update.slug = body.slug;
+    if (body.active !== undefined) update.active = Boolean(body.active);
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true, runValidators: true },
+    );
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Institution updated successfully',
+      data: institution,
+    });
+  } catch (error) {
+    console.error('Update institution error:', error);
+    return handleInstitutionError(error, res, 'Failed to update institution');
+  }
+};
+
+/**
+ * Move a user into an institution (platform operators)
+ */
+export const addInstitutionMember = async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid userId is required',
+        requiredFields: ['userId'],
+      });
+    }
+
+    const institution = await Institution.findById(req.params.id);
+
+    if (!institution || !institution.active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { institution: institution._id },
+      { new: true },
+    ).select(MEMBER_SELECT);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `User added to ${institution.name}`,
+      data: user,
+    });
+  } catch (error) {
+    console.error('Add institution member error:', error);
+    return handleInstitutionError(error, res, 'Failed to add member');
+  }
+};
+
+/**
+ * Remove a user from an institution (platform operators)
+ */
+export const removeInstitutionMember = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, institution: req.params.id },
+      { $unset: { institution: 1 } },
+      { new: true },
+    ).select(MEMBER_SELECT);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this institution',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'User removed from institution',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Remove institution member error:', error);
+    return handleInstitutionError(error, res, 'Failed to remove member');
+  }
+};
+
+export default {
+  getCurrentInstitution,
+  updateCurrentInstitution,
+  uploadInstitutionLogo,
+  getInstitutionLogo,
+  getCurrentInstitutionMembers,
+  getInstitutions,
+  createInstitution,
+  updateInstitution,
+  addInstitutionMember,
+  removeInstitutionMember,
+};
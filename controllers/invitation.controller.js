@@ -0,0 +1,570 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import User from '../models/User.js';
+import Admin from '../models/Admin.js';
+import Institution from '../models/Institution.js';
+import Invitation, { INVITABLE_ROLES } from '../models/Invitation.js';
+import { MEDICAL_ROLES, hasPermission } from '../config/permissions.js';
+import { sendInvitationEmail } from '../utils/emailService.js';
+import { getTenantId, isValidObjectId, scoped } from '../utils/tenant.js';
+import { issueAuthTokens, sendAuthResponse } from '../utils/authSession.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+
+const INVITATION_FILTERS = ['pending', 'expired', 'accepted', 'revoked'];
+
+/**
+ * Email an invitation link and record the send
+ * @returns {Promise<boolean>} Whether the email went out
+ */
+export const deliverInvitation = async (invitation, token, inviter) => {
+  try {
+    const institution = invitation.institution
+      ? await Institution.findById(invitation.institution).select('name')
+      : null;
+
+    await sendInvitationEmail(invitation, token, {
+      inviterName: inviter?.fullName,
+      institutionName: institution?.name,
+    });
+
+    invitation.markSent();
+    return true;
+  } catch (emailError) {
+    console.error('Invitation email failed:', emailError.message);
+    return false;
+  }
+};
+
+/**
+ * Shape an invitation for admin responses (never includes the token)
+ */
+const invitationSummary = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  institution: invitation.institution,
+  status: invitation.isExpired ? 'expired' : invitation.status,
+  expiresAt: invitation.expiresAt,
+  invitedBy: invitation.invitedBy,
+  sendCount: invitation.sendCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  acceptedUser: invitation.acceptedUser,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt,
+});
+
+/**
+ * Invite a staff member with a preassigned role and institution
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { email, role } = body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and role are required',
+        requiredFields: ['email', 'role'],
+      });
+    }
+
+    const normalizedEmail = email.toString().toLowerCase().trim();
+
+    if (!validator.isEmail(normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${INVITABLE_ROLES.join(', ')}`,
+      });
+    }
+
+    // Only admins who can edit role grants may create further admins
+    if (role === 'admin' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to invite administrators',
+      });
+    }
+
+    // Invitees join the inviter's institution unless a platform operator picks one
+    let institution = getTenantId(req.user);
+    if (body.institution !== undefined && body.institution !== institution) {
+      if (!hasPermission(req.user, 'institutions:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only invite users to your own institution',
+        });
+      }
+      institution = body.institution || null;
+    }
+
+    if (institution) {
+      const institutionExists =
+        isValidObjectId(institution) &&
+        (await Institution.exists({ _id: institution, active: true }));
+
+      if (!institutionExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Institution not found',
+        });
+      }
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already registered',
+      });
+    }
+
+    const outstanding = await Invitation.findOne({
+      email: normalizedEmail,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (outstanding) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'An invitation is already pending for this email. Resend or revoke it instead.',
+        invitationId: outstanding._id,
+      });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      institution,
+      invitedBy: req.user.id,
+    });
+    const token = invitation.generateToken();
+
+    const inviter = await User.findById(req.user.id).select(
+      'firstName lastName',
+    );
+    const emailSent = await deliverInvitation(invitation, token, inviter);
+    await invitation.save();
+
+    return res.status(201).json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${normalizedEmail}`
+        : 'Invitation created but the email could not be sent. Try resending it.',
+      data: invitationSummary(invitation),
+      emailSent,
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * List invitations for the admin's institution
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const { status, email, page = 1, limit = 20 } = req.query;
+
+    if (status && !INVITATION_FILTERS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${INVITATION_FILTERS.join(', ')}`,
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = scoped(req);
+    if (status === 'pending') {
+      filter.status = 'pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status === 'expired') {
+      filter.status = 'pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+    if (email) {
+      filter.email = email.toString().toLowerCase().trim();
+    }
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter)
+        .populate('invitedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Invitation.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      data: invitations.map(invitationSummary),
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Send a pending invitation again with a fresh token and expiry
+ */
+export const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne(
+      scoped(req, { _id: req.params.invitationId, status: 'pending' }),
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found',
+      });
+    }
+
+    // Rotating the token invalidates the link in earlier emails
+    const token = invitation.generateToken();
+    const inviter = await User.findById(req.user.id).select(
+      'firstName lastName',
+    );
+    const emailSent = await deliverInvitation(invitation, token, inviter);
+    await invitation.save();
+
+    return res.status(emailSent ? 200 : 502).json({
+      success: emailSent,
+      message: emailSent
+        ? `Invitation resent to ${invitation.email}`
+        : 'The invitation email could not be sent',
+      data: invitationSummary(invitation),
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID format',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resend invitation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Revoke a pending invitation so its link can no longer be used
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne(
+      scoped(req, { _id: req.params.invitationId, status: 'pending' }),
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found',
+      });
+    }
+
+    invitation.revoke(req.user.id);
+    await invitation.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: invitationSummary(invitation),
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID format',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Show what an invitation link grants before the invitee accepts it
+ */
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token).populate(
+      'institution',
+      'name',
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, expired or has already been used',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        institution: invitation.institution?.name || null,
+        expiresAt: invitation.expiresAt,
+        requiresLicense: MEDICAL_ROLES.includes(invitation.role),
+        profile: invitation.profile,
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Create the invited account and consume the invitation
+ */
+export const acceptInvitation = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const body = req.body || {};
+    const { token, password } = body;
+
+    if (!token || !password) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'All required fields must be provided',
+        requiredFields: ['token', 'firstName', 'lastName', 'password'],
+      });
+    }
+
+    if (password.toString().length < 8) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long',
+      });
+    }
+
+    const invitation = await Invitation.findByToken(token).session(session);
+
+    if (!invitation) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, expired or has already been used',
+      });
+    }
+
+    // Fields left blank fall back to what the admin supplied (bulk imports)
+    const profile = invitation.profile || {};
+    const firstName = body.firstName || profile.firstName;
+    const lastName = body.lastName || profile.lastName;
+    const licenseNumber = body.licenseNumber || profile.licenseNumber;
+    const specialization = body.specialization || profile.specialization;
+
+    if (!firstName || !lastName) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'All required fields must be provided',
+        requiredFields: ['token', 'firstName', 'lastName', 'password'],
+      });
+    }
+
+    const isMedicalProfessional = MEDICAL_ROLES.includes(invitation.role);
+
+    if (isMedicalProfessional && (!licenseNumber || !specialization)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message:
+          'Medical professionals must provide license number and specialization',
+        requiredFields: ['licenseNumber', 'specialization'],
+      });
+    }
+
+    const existingUser = await User.findOne({
+      email: invitation.email,
+    }).session(session);
+
+    if (existingUser) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already registered',
+      });
+    }
+
+    const [user] = await User.create(
+      [
+        {
+          firstName: firstName.toString().trim(),
+          lastName: lastName.toString().trim(),
+          email: invitation.email,
+          password: password.toString(),
+          role: invitation.role,
+          institution: invitation.institution,
+          ...(isMedicalProfessional && {
+            licenseNumber: licenseNumber.toString().trim(),
+            specialization: specialization.toString().trim(),
+            // Licenses are checked by an admin before clinical access
+            licenseApproval: {
+              status: 'pending',
+              submittedAt: new Date(),
+            },
+          }),
+          // Receiving the invitation email proves ownership of the address
+          isVerified: true,
+          active: true,
+        },
+      ],
+      { session },
+    );
+
+    if (invitation.role === 'admin') {
+      await Admin.create([{ user: user._id, adminId: user.userId }], {
+        session,
+      });
+    }
+
+    invitation.markAccepted(user._id);
+    await invitation.save({ session });
+
+    await session.commitTransaction();
+
+    const message = isMedicalProfessional
+      ? 'Account created. Your professional license will be reviewed by an administrator before clinical features are enabled.'
+      : 'Account created successfully';
+
+    // Mandatory-2FA roles enrol before their first session is issued
+    if (user.requiresTwoFactor()) {
+      return res.status(201).json({
+        success: true,
+        message: `${message} Two-factor authentication is required for your role. Please set it up to continue.`,
+        requiresTwoFactorSetup: true,
+        requiresApproval: isMedicalProfessional,
+        mfaToken: user.generateMfaToken('mfa_enrolment'),
+      });
+    }
+
+    const tokens = await issueAuthTokens(user, req);
+
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+      req,
+      user,
+      details: { method: 'invitation' },
+    });
+
+    return sendAuthResponse(res, user, tokens, {
+      status: 201,
+      message,
+      requiresApproval: isMedicalProfessional,
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    console.error('Accept invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address already exists',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+export default {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
@@ -0,0 +1,172 @@
+import User from '../models/User.js';
+import { MEDICAL_ROLES } from '../config/permissions.js';
+import { sendLicenseReviewEmail } from '../utils/emailService.js';
+import { scoped } from '../utils/tenant.js';
+
+const LICENSE_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * List license applications for review (pending first by default)
+ */
+export const getLicenseApprovals = async (req, res) => {
+  try {
+    const { status = 'pending', role, page = 1, limit = 20 } = req.query;
+
+    if (!LICENSE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${LICENSE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = scoped(req, {
+      role:
+        role && MEDICAL_ROLES.includes(role) ? role : { $in: MEDICAL_ROLES },
+      'licenseApproval.status': status,
+    });
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(
+          'userId firstName lastName email role specialization licenseNumber institution isVerified licenseApproval createdAt',
+        )
+        .populate('licenseApproval.reviewedBy', 'firstName lastName email')
+        .sort({ 'licenseApproval.submittedAt': status === 'pending' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Get license approvals error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch license applications',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Record an approve or reject decision and notify the applicant
+ */
+const reviewLicense = async (req, res, decision) => {
+  try {
+    const reason = req.body?.reason?.toString().trim();
+
+    if (decision === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting a license',
+        requiredFields: ['reason'],
+      });
+    }
+
+    const user = await User.findOne(scoped(req, { _id: req.params.userId }));
+
+    if (!user || !MEDICAL_ROLES.includes(user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'License application not found',
+      });
+    }
+
+    if (user.licenseApproval?.status === decision) {
+      return res.status(400).json({
+        success: false,
+        message: `License is already ${decision}`,
+      });
+    }
+
+    if (!user.licenseApproval?.status) {
+      user.submitLicenseForApproval();
+    }
+    user.reviewLicense(decision, req.user.id, reason);
+    await user.save();
+
+    let emailSent = true;
+    try {
+      await sendLicenseReviewEmail(user);
+    } catch (emailError) {
+      console.error('License review email failed:', emailError.message);
+      emailSent = false;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        decision === 'approved'
+          ? 'License approved successfully'
+          : 'License rejected',
+      data: {
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        licenseNumber: user.licenseNumber,
+        licenseApproval: user.licenseApproval,
+      },
+      emailSent,
+    });
+  } catch (error) {
+    console.error('License review error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to review license',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Approve a professional license
+ */
+export const approveLicense = (req, res) => reviewLicense(req, res, 'approved');
+
+/**
+ * Reject a professional license with a reason
+ */
+export const rejectLicense = (req, res) => reviewLicense(req, res, 'rejected');
+
+export default {
+  getLicenseApprovals,
+  approveLicense,
+  rejectLicense,
+};
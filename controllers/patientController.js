@@ -0,0 +1,933 @@
+// controllers/patientController.js
+import DiagnosticReport from '../models/DiagnosticReport.js';
+import Patient, { PATIENT_SEXES } from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import PatientMergeLog from '../models/PatientMergeLog.js';
+import User from '../models/User.js';
+import { getTenantId, isValidObjectId, scoped } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import {
+  MATCH_THRESHOLDS,
+  findDuplicateCandidates,
+  findDuplicatePairs,
+} from '../utils/patientMatching.js';
+import { mergePatients, unmergePatients } from '../utils/patientMerge.js';
+
+// Fields staff may set on a patient record
+const EDITABLE_FIELDS = [
+  'mrn',
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'sex',
+  'phoneNumber',
+  'address',
+];
+
+// Fields copied onto linked cases when they change
+const SNAPSHOT_FIELDS = ['mrn', 'firstName', 'lastName', 'dateOfBirth'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) date query parameter into a UTC day range
+ * @returns {Object|null} Mongo range filter, or null if invalid
+ */
+const dayRange = (value) => {
+  const start = new Date(value);
+  if (Number.isNaN(start.getTime())) return null;
+
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { $gte: start, $lt: end };
+};
+
+/**
+ * Build a name/MRN filter: every word must start a first or last name,
+ * or the whole term must equal the MRN
+ */
+const buildSearchFilter = (term) => {
+  const words = term.split(/\s+/).filter(Boolean);
+
+  return {
+    $or: [
+      { mrn: new RegExp(`^${escapeRegex(term)}$`, 'i') },
+      {
+        $and: words.map((word) => {
+          const prefix = new RegExp(`^${escapeRegex(word)}`, 'i');
+          return { $or: [{ firstName: prefix }, { lastName: prefix }] };
+        }),
+      },
+    ],
+  };
+};
+
+/**
+ * Send validation, duplicate-MRN and cast errors as 400/409 responses
+ */
+const handlePatientError = (error, res, fallbackMessage) => {
+  // Raised by the merge service with a status of its own
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A patient with this MRN already exists in your institution',
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// Shape a duplicate candidate for responses
+const formatMatch = ({ patient, probability, fields, classification }) => ({
+  patient: { ...patient.toJSON(), age: patient.ageAt() },
+  probability,
+  classification,
+  fields,
+});
+
+/**
+ * List patients with search, sex and date of birth filters
+ */
+export const getPatients = async (req, res) => {
+  try {
+    const {
+      search,
+      sex,
+      dateOfBirth,
+      page = 1,
+      limit = 20,
+      sortBy = 'lastName',
+      sortOrder = 'asc',
+    } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    // Merged records are reached through their survivor
+    const filter = scoped(req, { mergedInto: null });
+
+    if (search && search.trim() !== '') {
+      Object.assign(filter, buildSearchFilter(search.trim()));
+    }
+
+    if (sex && PATIENT_SEXES.includes(sex)) filter.sex = sex;
+
+    if (dateOfBirth) {
+      const range = dayRange(dateOfBirth);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          error: 'dateOfBirth must be a valid date (YYYY-MM-DD)',
+        });
+      }
+      filter.dateOfBirth = range;
+    }
+
+    const validSortFields = ['lastName', 'mrn', 'dateOfBirth', 'createdAt'];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'lastName';
+    const direction = sortOrder === 'desc' ? -1 : 1;
+
+    const [patients, total] = await Promise.all([
+      Patient.find(filter)
+        .sort({ [sortField]: direction, firstName: direction })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Patient.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        patients,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching patients:', error);
+    return handlePatientError(error, res, 'Failed to fetch patients');
+  }
+};
+
+/**
+ * Quick lookup by MRN or name (optionally narrowed by date of birth),
+ * for picking the patient when registering a study
+ */
+export const searchPatients = async (req, res) => {
+  try {
+    const { q, dateOfBirth } = req.query;
+
+    if (!q || q.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required',
+      });
+    }
+
+    const filter = scoped(req, {
+      mergedInto: null,
+      ...buildSearchFilter(q.trim()),
+    });
+
+    if (dateOfBirth) {
+      const range = dayRange(dateOfBirth);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          error: 'dateOfBirth must be a valid date (YYYY-MM-DD)',
+        });
+      }
+      filter.dateOfBirth = range;
+    }
+
+    const patients = await Patient.find(filter)
+      .select('mrn firstName lastName dateOfBirth sex')
+      .sort({ lastName: 1, firstName: 1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: patients.map((patient) => ({
+        ...patient.toJSON(),
+        age: patient.ageAt(),
+      })),
+      metadata: {
+        searchTerm: q.trim(),
+        resultsCount: patients.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error searching patients:', error);
+    return handlePatientError(error, res, 'Failed to search patients');
+  }
+};
+
+/**
+ * Get a patient with their studies, most recent first
+ */
+export const getPatientById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: id }));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const cases = await PatientCase.find(scoped(req, { patient: patient._id }))
+      .select('studyType studyDate status priority age assignedRadiologist')
+      .populate('assignedRadiologist', 'firstName lastName')
+      .sort({ studyDate: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...patient.toJSON(),
+        age: patient.ageAt(),
+        cases,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching patient:', error);
+    return handlePatientError(error, res, 'Failed to fetch patient');
+  }
+};
+
+// Compare the latest two conclusive BI-RADS categories (0 needs more imaging
+// and 6 is known cancer, so neither says where suspicion is heading)
+const biradsTrendSummary = (points) => {
+  const conclusive = points.filter((p) => !['0', '6'].includes(p.biradsScore));
+  const latest = conclusive.at(-1) || null;
+  const previous = conclusive.at(-2) || null;
+
+  let change = null;
+  if (latest && previous) {
+    const delta = Number(latest.biradsScore) - Number(previous.biradsScore);
+    change = delta > 0 ? 'upgraded' : delta < 0 ? 'downgraded' : 'stable';
+  }
+
+  return {
+    latest: latest?.biradsScore ?? null,
+    previous: previous?.biradsScore ?? null,
+    change,
+  };
+};
+
+/**
+ * Every study of a patient in chronological order with its report's BI-RADS,
+ * density, findings, biopsies and follow-up, plus the BI-RADS trend over the
+ * whole history (finalized reports only)
+ */
+export const getPatientTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, order = 'asc' } = req.query;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+    const direction = order === 'desc' ? -1 : 1;
+
+    const patient = await Patient.findOne(scoped(req, { _id: id })).select(
+      'mrn firstName lastName dateOfBirth sex mergedInto riskProfile',
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    if (patient.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        error: 'This record was merged into another patient; view that one',
+        mergedInto: patient.mergedInto,
+      });
+    }
+
+    const caseFilter = scoped(req, { patient: patient._id });
+    const allCases = await PatientCase.find(caseFilter)
+      .select('studyDate studyType')
+      .sort({ studyDate: 1, _id: 1 })
+      .lean();
+
+    const finalReports = await DiagnosticReport.find({
+      caseId: { $in: allCases.map((c) => c._id) },
+      isFinal: true,
+    })
+      .select('caseId biradsScore')
+      .lean();
+    const biradsByCase = new Map(
+      finalReports.map((report) => [
+        report.caseId.toString(),
+        report.biradsScore,
+      ]),
+    );
+
+    const trendPoints = allCases
+      .filter((c) => biradsByCase.has(c._id.toString()))
+      .map((c) => ({
+        case: c._id,
+        studyDate: c.studyDate,
+        studyType: c.studyType,
+        biradsScore: biradsByCase.get(c._id.toString()),
+      }));
+
+    const cases = await PatientCase.find(caseFilter)
+      .select('studyDate studyType status images.metadata.modality')
+      .sort({ studyDate: direction, _id: direction })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean();
+
+    const reports = await DiagnosticReport.find({
+      caseId: { $in: cases.map((c) => c._id) },
+    })
+      .select(
+        'caseId isFinal signedAt signedBy biradsScore breastDensity findings impression recommendations followUp biopsies',
+      )
+      .populate('signedBy', 'firstName lastName')
+      .lean();
+    const reportsByCase = new Map(
+      reports.map((report) => [report.caseId.toString(), report]),
+    );
+
+    const studies = cases.map((c) => {
+      const report = reportsByCase.get(c._id.toString());
+
+      return {
+        case: c._id,
+        studyDate: c.studyDate,
+        studyType: c.studyType,
+        modalities: [
+          ...new Set(c.images.map((image) => image.metadata?.modality)),
+        ].filter(Boolean),
+        imageCount: c.images.length,
+        status: c.status,
+        report: report
+          ? {
+              _id: report._id,
+              isFinal: report.isFinal,
+              signedAt: report.signedAt,
+              signedBy: report.signedBy,
+              biradsScore: report.biradsScore,
+              breastDensity: report.breastDensity,
+              impression: report.impression,
+              findings: report.findings,
+              recommendations: report.recommendations,
+              followUp: report.followUp,
+              biopsies: report.biopsies || [],
+            }
+          : null,
+      };
+    });
+
+    const total = allCases.length;
+
+    res.json({
+      success: true,
+      data: {
+        patient: { ...patient.toJSON(), age: patient.ageAt() },
+        studies,
+        biradsTrend: {
+          points: trendPoints,
+          ...biradsTrendSummary(trendPoints),
+        },
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching patient timeline:', error);
+    return handlePatientError(error, res, 'Failed to fetch patient timeline');
+  }
+};
+
+/**
+ * Register a patient in the user's institution
+ */
+export const createPatient = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map(
+        (field) => [field, body[field]],
+      ),
+    );
+
+    const requiredFields = ['mrn', 'firstName', 'lastName', 'dateOfBirth'];
+    const missingFields = requiredFields.filter((field) => !data[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required fields: ${missingFields.join(', ')}`,
+      });
+    }
+
+    const patient = await Patient.create({
+      ...data,
+      institution: getTenantId(req.user),
+      createdBy: req.user.id,
+      ...impersonationAttribution(req),
+    });
+
+    const possibleDuplicates = await findDuplicateCandidates(patient);
+
+    res.status(201).json({
+      success: true,
+      data: { ...patient.toJSON(), age: patient.ageAt() },
+      message: 'Patient registered successfully',
+      possibleDuplicates: possibleDuplicates.map(formatMatch),
+    });
+  } catch (error) {
+    console.error('Error creating patient:', error);
+    return handlePatientError(error, res, 'Failed to create patient');
+  }
+};
+
+/**
+ * Update a patient's demographics; linked cases pick up the new values
+ */
+export const updatePatient = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: id }));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    if (patient.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        error: 'This record was merged into another patient; edit that one',
+        mergedInto: patient.mergedInto,
+      });
+    }
+
+    const body = req.body || {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) patient.set(field, body[field]);
+    });
+
+    // Identity fields cannot be cleared once set
+    const cleared = ['mrn', 'firstName', 'lastName', 'dateOfBirth'].filter(
+      (field) => !patient[field],
+    );
+    if (cleared.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Fields cannot be empty: ${cleared.join(', ')}`,
+      });
+    }
+
+    const snapshotChanged = patient.isModified(SNAPSHOT_FIELDS);
+    Object.assign(patient, impersonationAttribution(req));
+    await patient.save();
+
+    const casesUpdated = snapshotChanged
+      ? await PatientCase.syncPatientSnapshot(patient)
+      : 0;
+
+    res.json({
+      success: true,
+      data: { ...patient.toJSON(), age: patient.ageAt() },
+      message: 'Patient updated successfully',
+      casesUpdated,
+    });
+  } catch (error) {
+    console.error('Error updating patient:', error);
+    return handlePatientError(error, res, 'Failed to update patient');
+  }
+};
+
+/**
+ * Delete a patient record that has no studies or portal account
+ */
+export const deletePatient = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: id }));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    // Merged records are kept so the merge can be undone
+    if (patient.mergedInto) {
+      return res.status(409).json({
+        success: false,
+        error: 'Merged patient records cannot be deleted; undo the merge first',
+      });
+    }
+
+    const caseCount = await PatientCase.countDocuments({
+      patient: patient._id,
+    });
+
+    if (caseCount > 0 || patient.user) {
+      return res.status(409).json({
+        success: false,
+        error: patient.user
+          ? 'Patients with a portal account cannot be deleted'
+          : `Patient has ${caseCount} case(s) and cannot be deleted`,
+      });
+    }
+
+    await patient.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Patient deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting patient:', error);
+    return handlePatientError(error, res, 'Failed to delete patient');
+  }
+};
+
+/**
+ * List records that may be the same person as this patient
+ */
+export const getPatientDuplicates = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(
+      scoped(req, { _id: id, mergedInto: null }),
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const minProbability = parseFloat(req.query.minProbability);
+    const matches = await findDuplicateCandidates(patient, {
+      ...(minProbability >= 0 && minProbability <= 1 && { minProbability }),
+    });
+
+    res.json({
+      success: true,
+      data: matches.map(formatMatch),
+      metadata: { thresholds: MATCH_THRESHOLDS },
+    });
+  } catch (error) {
+    console.error('Error finding duplicate patients:', error);
+    return handlePatientError(error, res, 'Failed to find duplicates');
+  }
+};
+
+/**
+ * Scan recently registered patients for likely duplicates, for review,
+ * one page of patients at a time
+ */
+export const getDuplicateQueue = async (req, res) => {
+  try {
+    const { since, page = 1, limit = 100 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 100), 500);
+
+    const filter = scoped(req, { mergedInto: null });
+
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'since must be a valid date',
+        });
+      }
+      filter.createdAt = { $gte: sinceDate };
+    }
+
+    const [patients, total] = await Promise.all([
+      Patient.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Patient.countDocuments(filter),
+    ]);
+
+    // One candidate query for the whole page; pairs are reported once
+    const matches = patients.length
+      ? await findDuplicatePairs(patients, {
+          minProbability: MATCH_THRESHOLDS.likely,
+        })
+      : [];
+
+    const pairs = matches.map(({ patient, duplicate: candidate, ...match }) => {
+      const { patient: duplicate, ...score } = formatMatch({
+        patient: candidate,
+        ...match,
+      });
+
+      return {
+        patient: { ...patient.toJSON(), age: patient.ageAt() },
+        duplicate,
+        ...score,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: pairs,
+      metadata: {
+        scanned: patients.length,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+        thresholds: MATCH_THRESHOLDS,
+      },
+    });
+  } catch (error) {
+    console.error('Error building duplicate queue:', error);
+    return handlePatientError(error, res, 'Failed to find duplicates');
+  }
+};
+
+/**
+ * Link a patient's portal account (by email) to this record, or unlink it
+ * with { email: null }. The portal only shows cases of linked records
+ */
+export const linkPortalAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(
+      scoped(req, { _id: id, mergedInto: null }),
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    if (email === null) {
+      patient.user = undefined;
+    } else {
+      const user =
+        typeof email === 'string'
+          ? await User.findOne({
+              email: email.trim().toLowerCase(),
+              role: 'patient',
+            }).select('_id')
+          : null;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'No patient portal account uses this email',
+        });
+      }
+
+      if (patient.user && !patient.user.equals(user._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This record is already linked to another portal account',
+        });
+      }
+
+      patient.user = user._id;
+    }
+
+    Object.assign(patient, impersonationAttribution(req));
+    await patient.save();
+
+    res.json({
+      success: true,
+      data: { ...patient.toJSON(), age: patient.ageAt() },
+      message: patient.user
+        ? 'Portal account linked successfully'
+        : 'Portal account unlinked successfully',
+    });
+  } catch (error) {
+    console.error('Error linking portal account:', error);
+    return handlePatientError(error, res, 'Failed to link portal account');
+  }
+};
+
+/**
+ * Fold another record (body.mergeId) into this patient
+ */
+export const mergePatient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mergeId, reason } = req.body || {};
+
+    if (!isValidObjectId(id) || !isValidObjectId(mergeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid patient ID and mergeId are required',
+      });
+    }
+
+    const log = await mergePatients({
+      survivorId: id,
+      mergedId: mergeId,
+      institution: getTenantId(req.user),
+      userId: req.user.id,
+      reason,
+    });
+
+    const patient = await Patient.findById(id);
+
+    res.json({
+      success: true,
+      data: {
+        patient: { ...patient.toJSON(), age: patient.ageAt() },
+        merge: log,
+      },
+      message: `Merged ${log.cases.length} case(s) into this patient`,
+    });
+  } catch (error) {
+    console.error('Error merging patients:', error);
+    return handlePatientError(error, res, 'Failed to merge patients');
+  }
+};
+
+/**
+ * Undo a merge, restoring the merged record and its cases
+ */
+export const unmergePatient = async (req, res) => {
+  try {
+    const { logId } = req.params;
+
+    if (!isValidObjectId(logId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid merge ID format',
+      });
+    }
+
+    const log = await unmergePatients({
+      logId,
+      institution: getTenantId(req.user),
+      userId: req.user.id,
+      reason: req.body?.reason,
+    });
+
+    res.json({
+      success: true,
+      data: log,
+      message: 'Merge undone successfully',
+    });
+  } catch (error) {
+    console.error('Error undoing patient merge:', error);
+    return handlePatientError(error, res, 'Failed to undo merge');
+  }
+};
+
+/**
+ * List merges in the institution, optionally for one patient
+ */
+export const getMergeLogs = async (req, res) => {
+  try {
+    const { patient, status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = scoped(req);
+
+    if (patient) {
+      if (!isValidObjectId(patient)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid patient ID format',
+        });
+      }
+      filter.$or = [{ survivor: patient }, { merged: patient }];
+    }
+
+    if (['merged', 'undone'].includes(status)) filter.status = status;
+
+    const [merges, total] = await Promise.all([
+      PatientMergeLog.find(filter)
+        .select('-previousStudies')
+        .populate('survivor merged', 'mrn firstName lastName dateOfBirth')
+        .populate('mergedBy undoneBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PatientMergeLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        merges,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching patient merges:', error);
+    return handlePatientError(error, res, 'Failed to fetch merges');
+  }
+};
+
+export default {
+  getPatients,
+  searchPatients,
+  getPatientById,
+  getPatientTimeline,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  getPatientDuplicates,
+  getDuplicateQueue,
+  mergePatient,
+  unmergePatient,
+  getMergeLogs,
+  linkPortalAccount,
+};
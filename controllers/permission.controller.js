@@ -0,0 +1,357 @@
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  PLATFORM_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  hasPermission,
+} from '../config/permissions.js';
+import { getTenantId, scoped } from '../utils/tenant.js';
+
+// Permission that must stay with admins so role grants remain editable
+const ROLE_ADMIN_PERMISSION = 'roles:manage';
+
+/**
+ * List the permission catalogue
+ */
+export const getPermissionCatalogue = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    })),
+  });
+};
+
+/**
+ * List every role with its current grants
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.listWithDefaults(getTenantId(req.user));
+
+    return res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles,
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Replace the permissions granted to a role
+ */
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions, description } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be an array',
+        requiredFields: ['permissions'],
+      });
+    }
+
+    const unknownPermissions = permissions.filter(
+      (permission) => !isKnownPermission(permission),
+    );
+
+    if (unknownPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permissions',
+        unknownPermissions,
+      });
+    }
+
+    const platformPermissions = permissions.filter((permission) =>
+      PLATFORM_PERMISSIONS.includes(permission),
+    );
+
+    if (platformPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Platform permissions can only be granted to individual users',
+        platformPermissions,
+      });
+    }
+
+    if (role === 'admin' && !permissions.includes(ROLE_ADMIN_PERMISSION)) {
+      return res.status(400).json({
+        success: false,
+        message: `The admin role must keep the ${ROLE_ADMIN_PERMISSION} permission`,
+      });
+    }
+
+    // Each institution edits its own copy of the grants
+    const updatedRole = await Role.findOneAndUpdate(
+      scoped(req, { name: role }),
+      {
+        permissions: [...new Set(permissions)],
+        ...(description !== undefined && { description }),
+        updatedBy: req.user.id,
+      },
+      { new: true, upsert: true, runValidators: true },
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} updated`,
+      data: updatedRole,
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update role permissions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Restore a role's built-in default grants
+ */
+export const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    await Role.deleteOne(scoped(req, { name: role }));
+
+    return res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} reset to defaults`,
+      data: {
+        name: role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[role],
+        isDefault: true,
+      },
+    });
+  } catch (error) {
+    console.error('Reset role permissions error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset role permissions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Show a user's role grants, overrides and effective permissions
+ */
+export const getUserPermissions = async (req, res) => {
+  try {
+    const user = await User.findOne(
+      scoped(req, { _id: req.params.userId }),
+    ).select('firstName lastName email role institution permissionOverrides');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        name: user.fullName,
+        email: user.email,
+        role: user.role,
+        rolePermissions: await Role.getPermissionsForRole(
+          user.role,
+          user.institution,
+        ),
+        overrides: {
+          granted: user.permissionOverrides?.granted || [],
+          revoked: user.permissionOverrides?.revoked || [],
+        },
+        effectivePermissions: await user.getEffectivePermissions(),
+      },
+    });
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user permissions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Set per-user permission overrides
+ */
+export const updateUserPermissions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { granted = [], revoked = [] } = req.body || {};
+
+    if (!Array.isArray(granted) || !Array.isArray(revoked)) {
+      return res.status(400).json({
+        success: false,
+        message: 'granted and revoked must be arrays',
+      });
+    }
+
+    const unknownPermissions = [...granted, ...revoked].filter(
+      (permission) => !isKnownPermission(permission),
+    );
+
+    if (unknownPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permissions',
+        unknownPermissions,
+      });
+    }
+
+    const conflicting = granted.filter((permission) =>
+      revoked.includes(permission),
+    );
+
+    if (conflicting.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A permission cannot be both granted and revoked',
+        conflicting,
+      });
+    }
+
+    const platformGrants = granted.filter(
+      (permission) =>
+        PLATFORM_PERMISSIONS.includes(permission) &&
+        !hasPermission(req.user, permission),
+    );
+
+    if (platformGrants.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only holders of a platform permission can grant it',
+        platformPermissions: platformGrants,
+      });
+    }
+
+    if (userId === req.user.id && revoked.includes(ROLE_ADMIN_PERMISSION)) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot revoke ${ROLE_ADMIN_PERMISSION} from yourself`,
+      });
+    }
+
+    const user = await User.findOne(scoped(req, { _id: userId }));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Platform grants the caller cannot manage survive the replacement
+    const keptPlatformGrants = (user.permissionOverrides?.granted || []).filter(
+      (permission) =>
+        PLATFORM_PERMISSIONS.includes(permission) &&
+        !hasPermission(req.user, permission),
+    );
+
+    user.permissionOverrides = {
+      granted: [...new Set([...granted, ...keptPlatformGrants])],
+      revoked: [...new Set(revoked)],
+    };
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'User permission overrides updated',
+      data: {
+        userId: user._id,
+        role: user.role,
+        overrides: user.permissionOverrides,
+        effectivePermissions: await user.getEffectivePermissions(),
+      },
+    });
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format',
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update user permissions',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  getPermissionCatalogue,
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+  getUserPermissions,
+  updateUserPermissions,
+};
@@ -0,0 +1,346 @@
+// controllers/portal.controller.js
+import path from 'path';
+import DiagnosticReport from '../models/DiagnosticReport.js';
+import PatientCase from '../models/PatientCase.js';
+import ConsentForm, { CONSENT_TYPES } from '../models/ConsentForm.js';
+import { readFile } from '../utils/fileStorage.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import { getConsentStatus, recordConsent } from '../utils/consent.js';
+import { exportCaseReport } from './exportController.js';
+import { validateConsentRequest } from './consent.controller.js';
+
+// Case fields a patient may see; working notes and staff details stay out
+const PORTAL_CASE_FIELDS =
+  'patient studyType studyDate status images._id images.seriesId images.metadata.modality images.metadata.bodyPart images.metadata.studyDate institution';
+
+// Report fields a patient may see
+const PORTAL_REPORT_FIELDS =
+  'caseId findings impression recommendations biradsScore signedBy signedAt';
+
+const THUMBNAIL_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+};
+
+const handlePortalError = (error, res, fallbackMessage) => {
+  // Raised by the consent service with a status of its own
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+/**
+ * Finalized reports for the given cases, keyed by case id. Drafts are never
+ * returned to patients
+ */
+const findFinalReports = async (caseIds) => {
+  const reports = await DiagnosticReport.find({
+    caseId: { $in: caseIds },
+    isFinal: true,
+  })
+    .select(PORTAL_REPORT_FIELDS)
+    .populate('signedBy', 'firstName lastName');
+
+  return new Map(reports.map((report) => [report.caseId.toString(), report]));
+};
+
+const formatCase = (patientCase, report) => ({
+  _id: patientCase._id,
+  patient: patientCase.patient,
+  studyType: patientCase.studyType,
+  studyDate: patientCase.studyDate,
+  status: patientCase.status,
+  images: patientCase.images.map((image) => ({
+    _id: image._id,
+    seriesId: image.seriesId,
+    modality: image.metadata?.modality,
+    bodyPart: image.metadata?.bodyPart,
+    thumbnailUrl: `/api/portal/cases/${patientCase._id}/images/${image._id}/thumbnail`,
+  })),
+  reportAvailable: Boolean(report),
+});
+
+/**
+ * The signed-in patient's demographics
+ */
+export const getPortalProfile = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.portal.patients.map((patient) => ({
+      _id: patient._id,
+      firstName: patient.firstName,
+      lastName: patient.lastName,
+      dateOfBirth: patient.dateOfBirth,
+      sex: patient.sex,
+      mrn: patient.mrn,
+      institution: patient.institution,
+      age: patient.ageAt(),
+    })),
+  });
+};
+
+/**
+ * List the patient's own studies, most recent first
+ */
+export const getMyCases = async (req, res) => {
+  try {
+    const cases = await PatientCase.find({
+      patient: { $in: req.portal.patientIds },
+    })
+      .select(PORTAL_CASE_FIELDS)
+      .sort({ studyDate: -1 });
+
+    const reports = await findFinalReports(cases.map((c) => c._id));
+
+    res.json({
+      success: true,
+      data: cases.map((patientCase) =>
+        formatCase(patientCase, reports.get(patientCase._id.toString())),
+      ),
+    });
+  } catch (error) {
+    console.error('Error fetching portal cases:', error);
+    return handlePortalError(error, res, 'Failed to fetch your studies');
+  }
+};
+
+/**
+ * One of the patient's studies with its report, once finalized
+ */
+export const getMyCase = async (req, res) => {
+  try {
+    const patientCase = req.portalCase;
+    const reports = await findFinalReports([patientCase._id]);
+    const report = reports.get(patientCase._id.toString()) || null;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCase(patientCase, report),
+        report,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching portal case:', error);
+    return handlePortalError(error, res, 'Failed to fetch study');
+  }
+};
+
+/**
+ * List the patient's finalized reports, most recent study first
+ */
+export const getMyReports = async (req, res) => {
+  try {
+    const cases = await PatientCase.find({
+      patient: { $in: req.portal.patientIds },
+    })
+      .select('studyType studyDate')
+      .sort({ studyDate: -1 });
+
+    const reports = await findFinalReports(cases.map((c) => c._id));
+
+    res.json({
+      success: true,
+      data: cases
+        .filter((patientCase) => reports.has(patientCase._id.toString()))
+        .map((patientCase) => ({
+          ...reports.get(patientCase._id.toString()).toJSON(),
+          studyType: patientCase.studyType,
+          studyDate: patientCase.studyDate,
+        })),
+    });
+  } catch (error) {
+    console.error('Error fetching portal reports:', error);
+    return handlePortalError(error, res, 'Failed to fetch your reports');
+  }
+};
+
+/**
+ * Serve the thumbnail of an image from one of the patient's studies
+ */
+export const getMyImageThumbnail = async (req, res) => {
+  try {
+    const image = req.portalCase.images.id(req.params.imageId);
+
+    if (!image?.thumbnailUrl) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+      });
+    }
+
+    // Thumbnails hosted elsewhere (e.g. a PACS viewer) are linked, not proxied
+    if (/^https?:\/\//i.test(image.thumbnailUrl)) {
+      return res.redirect(image.thumbnailUrl);
+    }
+
+    const thumbnail = await readFile(image.thumbnailUrl);
+
+    if (!thumbnail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+      });
+    }
+
+    const extension = path.extname(image.thumbnailUrl).toLowerCase();
+    res.set('Content-Type', THUMBNAIL_TYPES[extension] || 'image/png');
+    res.set('Cache-Control', 'private, max-age=3600');
+    return res.status(200).send(thumbnail);
+  } catch (error) {
+    console.error('Error fetching portal thumbnail:', error);
+    return handlePortalError(error, res, 'Failed to fetch image');
+  }
+};
+
+/**
+ * Download the PDF of a finalized report through the regular export
+ */
+export const downloadMyReport = async (req, res) => {
+  try {
+    const reportExists = await DiagnosticReport.exists({
+      caseId: req.portalCase._id,
+      isFinal: true,
+    });
+
+    if (!reportExists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Your report is not available yet',
+      });
+    }
+
+    req.params.caseId = req.portalCase._id.toString();
+    return exportCaseReport(req, res);
+  } catch (error) {
+    console.error('Error downloading portal report:', error);
+    return handlePortalError(error, res, 'Failed to download report');
+  }
+};
+
+/**
+ * The patient's consent decisions with the form text currently in force,
+ * per linked patient record
+ */
+export const getMyConsents = async (req, res) => {
+  try {
+    const data = await Promise.all(
+      req.portal.patients.map(async (patient) => {
+        const [current, forms] = await Promise.all([
+          getConsentStatus(patient),
+          Promise.all(
+            CONSENT_TYPES.map((type) =>
+              ConsentForm.getCurrent(patient.institution, type),
+            ),
+          ),
+        ]);
+
+        return {
+          patient: patient._id,
+          institution: patient.institution,
+          consents: current.map(({ type, status, record }) => ({
+            type,
+            status,
+            decidedAt: record?.createdAt,
+            form: forms.find((form) => form?.type === type) || null,
+          })),
+        };
+      }),
+    );
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Error fetching portal consents:', error);
+    return handlePortalError(error, res, 'Failed to fetch your consents');
+  }
+};
+
+/**
+ * Grant or withdraw a consent. body.patient picks the record when the
+ * account is linked to more than one
+ */
+export const updateMyConsent = async (req, res) => {
+  try {
+    const { type, action, version, patient: patientId } = req.body || {};
+
+    const invalid = validateConsentRequest({ type, action });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const { patients } = req.portal;
+    const patient = patientId
+      ? patients.find((candidate) => candidate._id.toString() === patientId)
+      : patients.length === 1 && patients[0];
+
+    if (!patient) {
+      return res.status(400).json({
+        success: false,
+        error: patientId
+          ? 'Patient record not found'
+          : 'patient is required when your account has several records',
+      });
+    }
+
+    const record = await recordConsent({
+      patient,
+      type,
+      action,
+      version,
+      method: 'portal',
+      capturedBy: req.user.id,
+      ...impersonationAttribution(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        type: record.type,
+        status: record.action,
+        formVersion: record.formVersion,
+        decidedAt: record.createdAt,
+      },
+      message:
+        action === 'granted' ? 'Consent recorded' : 'Withdrawal recorded',
+    });
+  } catch (error) {
+    console.error('Error updating portal consent:', error);
+    return handlePortalError(error, res, 'Failed to record your consent');
+  }
+};
+
+export default {
+  getPortalProfile,
+  getMyCases,
+  getMyCase,
+  getMyReports,
+  getMyImageThumbnail,
+  downloadMyReport,
+  getMyConsents,
+  updateMyConsent,
+};
@@ -1,6 +1,42 @@
 // controllers/reportController.js
 import DiagnosticReport from '../models/DiagnosticReport.js';
 import PatientCase from '../models/PatientCase.js';
+import { hasPermission } from '../config/permissions.js';
+import { scoped, tenantFilter } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import { syncDensityNotification } from '../utils/densityNotification.js';
+import { snapshotReportSignatures } from '../utils/reportSignatures.js';
+
+// Mammography reports must state breast composition before they are signed
+const DENSITY_REQUIRED_ERROR =
+  'Breast density (a, b, c or d) is required to finalize a mammogram report';
+
+/**
+ * Create or update the density letter owed for a report; a failure here
+ * must not undo the signed report
+ */
+const notifyDensity = async (report) => {
+  try {
+    await syncDensityNotification(report);
+  } catch (error) {
+    console.error('Error updating density notification:', error);
+  }
+};
+
+// Set only by signing, never from the request body
+const SIGNING_FIELDS = ['signedBy', 'signedAt', 'signatures'];
+
+/**
+ * Keep the signature images a report was signed with; exports print the
+ * details without images if this fails
+ */
+const recordSignatures = async (report) => {
+  try {
+    await snapshotReportSignatures(report);
+  } catch (error) {
+    console.error('Error recording report signatures:', error);
+  }
+};
 
 /**
  * Get report by case ID with comprehensive validation
@@ -16,7 +52,9 @@ export const getReportByCaseId = async (req, res) => {
       });
     }
 
-    const report = await DiagnosticReport.findOne({ caseId: caseId.trim() })
+    const report = await DiagnosticReport.findOne(
+      scoped(req, { caseId: caseId.trim() }),
+    )
       .populate('createdBy', 'name email role')
       .populate('signedBy', 'name email role')
       .populate('caseId', 'patientName patientId studyType priority status');
@@ -60,7 +98,10 @@ export const createReport = async (req, res) => {
     const reportData = {
       ...req.body,
       createdBy: req.user?.id,
+      impersonatedBy: req.user?.impersonator?.id,
     };
+    delete reportData.institution;
+    SIGNING_FIELDS.forEach((field) => delete reportData[field]);
 
     // Validate required fields
     const requiredFields = ['caseId', 'findings', 'impression'];
@@ -73,8 +114,25 @@ export const createReport = async (req, res) => {
       });
     }
 
+    if (reportData.isFinal && !hasPermission(req.user, 'reports:finalize')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to finalize reports',
+      });
+    }
+
+    if (reportData.isFinal && req.user?.impersonator) {
+      return res.status(403).json({
+        success: false,
+        error: 'Reports cannot be finalized while impersonating a user',
+        code: 'IMPERSONATION_FORBIDDEN',
+      });
+    }
+
     // Validate case exists and is in progress
-    const patientCase = await PatientCase.findById(reportData.caseId);
+    const patientCase = await PatientCase.findOne(
+      scoped(req, { _id: reportData.caseId }),
+    );
     if (!patientCase) {
       return res.status(404).json({
         success: false,
@@ -89,6 +147,17 @@ export const createReport = async (req, res) => {
       });
     }
 
+    if (
+      reportData.isFinal &&
+      patientCase.studyType === 'mammogram' &&
+      !reportData.breastDensity
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: DENSITY_REQUIRED_ERROR,
+      });
+    }
+
     // Check if report already exists
     const existingReport = await DiagnosticReport.findOne({
       caseId: reportData.caseId,
@@ -102,7 +171,15 @@ export const createReport = async (req, res) => {
       });
     }
 
-    const newReport = new DiagnosticReport(reportData);
+    // Reports belong to the institution that owns the case
+    const newReport = new DiagnosticReport({
+      ...reportData,
+      institution: patientCase.institution,
+      ...(reportData.isFinal && {
+        signedBy: req.user?.id,
+        signedAt: new Date(),
+      }),
+    });
     await newReport.save();
 
     // Update case status if report is finalized
@@ -112,6 +189,8 @@ export const createReport = async (req, res) => {
         updatedAt: new Date(),
         completedAt: new Date(),
       });
+      await recordSignatures(newReport);
+      await notifyDensity(newReport);
     } else {
       // Update case status to in-progress if not already
       await PatientCase.findByIdAndUpdate(reportData.caseId, {
@@ -164,7 +243,13 @@ export const createReport = async (req, res) => {
 export const updateReport = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = { ...req.body };
+
+    // Ownership fields cannot be changed through an update
+    delete updateData.institution;
+    delete updateData.caseId;
+    delete updateData.impersonatedBy;
+    SIGNING_FIELDS.forEach((field) => delete updateData[field]);
 
     if (!id || id.trim() === '') {
       return res.status(400).json({
@@ -174,7 +259,9 @@ export const updateReport = async (req, res) => {
     }
 
     // Check if report exists and can be updated
-    const existingReport = await DiagnosticReport.findById(id.trim());
+    const existingReport = await DiagnosticReport.findOne(
+      scoped(req, { _id: id.trim() }),
+    );
     if (!existingReport) {
       return res.status(404).json({
         success: false,
@@ -183,17 +270,60 @@ export const updateReport = async (req, res) => {
     }
 
     // Prevent updates to finalized reports unless authorized
-    if (existingReport.isFinal && !req.user?.isAdmin) {
+    if (existingReport.isFinal && !hasPermission(req.user, 'reports:amend')) {
       return res.status(403).json({
         success: false,
-        error: 'Cannot update finalized report without admin privileges',
+        error: 'Cannot update finalized report without amend permission',
       });
     }
 
+    if (
+      updateData.isFinal &&
+      !existingReport.isFinal &&
+      !hasPermission(req.user, 'reports:finalize')
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to finalize reports',
+      });
+    }
+
+    // Signing and amending signed reports stay with the real user
+    if (
+      (updateData.isFinal || existingReport.isFinal) &&
+      req.user?.impersonator
+    ) {
+      return res.status(403).json({
+        success: false,
+        error:
+          'Reports cannot be finalized or amended while impersonating a user',
+        code: 'IMPERSONATION_FORBIDDEN',
+      });
+    }
+
+    const finalizing = updateData.isFinal && !existingReport.isFinal;
+    if (finalizing || existingReport.isFinal) {
+      const patientCase = await PatientCase.findById(
+        existingReport.caseId,
+      ).select('studyType');
+      const density =
+        'breastDensity' in updateData
+          ? updateData.breastDensity
+          : existingReport.breastDensity;
+
+      if (patientCase?.studyType === 'mammogram' && !density) {
+        return res.status(400).json({
+          success: false,
+          error: DENSITY_REQUIRED_ERROR,
+        });
+      }
+    }
+
     const report = await DiagnosticReport.findByIdAndUpdate(
       id.trim(),
       {
         ...updateData,
+        ...impersonationAttribution(req),
         updatedAt: new Date(),
         // Only update signed fields if finalizing
         ...(updateData.isFinal &&
@@ -219,21 +349,26 @@ export const updateReport = async (req, res) => {
     }
 
     // Update case status if report is being finalized
-    if (updateData.isFinal && !existingReport.isFinal) {
+    if (finalizing) {
       await PatientCase.findByIdAndUpdate(report.caseId, {
         status: 'completed',
         updatedAt: new Date(),
         completedAt: new Date(),
       });
+      await recordSignatures(report);
+    }
+
+    // Amendments can change the density a sent or pending letter was for
+    if (finalizing || existingReport.isFinal) {
+      await notifyDensity(report);
     }
 
     res.json({
       success: true,
       data: report,
-      message:
-        updateData.isFinal && !existingReport.isFinal
-          ? 'Report updated and finalized successfully'
-          : 'Report updated successfully',
+      message: finalizing
+        ? 'Report updated and finalized successfully'
+        : 'Report updated successfully',
     });
   } catch (error) {
     console.error('Error updating report:', error);
@@ -277,7 +412,9 @@ export const finalizeReport = async (req, res) => {
       });
     }
 
-    const existingReport = await DiagnosticReport.findById(id.trim());
+    const existingReport = await DiagnosticReport.findOne(
+      scoped(req, { _id: id.trim() }),
+    );
     if (!existingReport) {
       return res.status(404).json({
         success: false,
@@ -301,6 +438,19 @@ export const finalizeReport = async (req, res) => {
       });
     }
 
+    const patientCase = await PatientCase.findById(
+      existingReport.caseId,
+    ).select('studyType');
+    if (
+      patientCase?.studyType === 'mammogram' &&
+      !existingReport.breastDensity
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: DENSITY_REQUIRED_ERROR,
+      });
+    }
+
     const report = await DiagnosticReport.findByIdAndUpdate(
       id.trim(),
       {
@@ -331,6 +481,8 @@ export const finalizeReport = async (req, res) => {
       updatedAt: new Date(),
       completedAt: new Date(),
     });
+    await recordSignatures(report);
+    await notifyDensity(report);
 
     res.json({
       success: true,
@@ -373,7 +525,7 @@ export const getAllReports = async (req, res) => {
     const limit = Math.min(Math.max(1, parseInt(itemsPerPage)), 100);
     const skip = (pageNum - 1) * limit;
 
-    const filter = {};
+    const filter = tenantFilter(req);
 
     if (isFinal !== undefined) {
       filter.isFinal = isFinal === 'true';
@@ -0,0 +1,363 @@
+// controllers/riskAssessment.controller.js
+import DiagnosticReport from '../models/DiagnosticReport.js';
+import Patient from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import RiskAssessment, {
+  ATYPIA_VALUES,
+  BRCA_STATUSES,
+  BREAST_DENSITIES,
+} from '../models/RiskAssessment.js';
+import { isValidObjectId, scoped } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
+import {
+  GAIL_MAX_AGE,
+  GAIL_MIN_AGE,
+  GAIL_MODEL_VERSION,
+  computeGailRisk,
+} from '../utils/gailModel.js';
+
+// Lifetime risk from which supplemental MRI screening is recommended
+export const HIGH_RISK_LIFETIME = 0.2;
+
+const handleRiskError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors,
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const isWholeNumber = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Read and check the risk factors of a request body
+ * @returns {{ factors: Object, errors: string[] }}
+ */
+const parseFactors = (body, age) => {
+  const errors = [];
+  const factors = {
+    age,
+    ageAtMenarche: body.ageAtMenarche ?? undefined,
+    ageAtFirstBirth: body.nulliparous ? null : (body.ageAtFirstBirth ?? null),
+    firstDegreeRelatives: body.firstDegreeRelatives ?? 0,
+    biopsies: body.biopsies ?? 0,
+    atypicalHyperplasia: body.atypicalHyperplasia ?? 'unknown',
+    brcaStatus: body.brcaStatus ?? 'not_tested',
+    priorBreastCancer: body.priorBreastCancer === true,
+    chestRadiation: body.chestRadiation === true,
+  };
+
+  if (
+    factors.ageAtMenarche !== undefined &&
+    !isWholeNumber(factors.ageAtMenarche, 7, 20)
+  ) {
+    errors.push('ageAtMenarche must be a whole number between 7 and 20');
+  }
+  if (
+    factors.ageAtFirstBirth !== null &&
+    !isWholeNumber(factors.ageAtFirstBirth, 10, age)
+  ) {
+    errors.push(
+      'ageAtFirstBirth must be a whole number no greater than the current age (or set nulliparous)',
+    );
+  }
+  if (
+    factors.ageAtFirstBirth !== null &&
+    factors.ageAtMenarche !== undefined &&
+    factors.ageAtFirstBirth < factors.ageAtMenarche
+  ) {
+    errors.push('ageAtFirstBirth cannot be before ageAtMenarche');
+  }
+  if (!isWholeNumber(factors.firstDegreeRelatives, 0, 20)) {
+    errors.push('firstDegreeRelatives must be a whole number from 0');
+  }
+  if (!isWholeNumber(factors.biopsies, 0, 50)) {
+    errors.push('biopsies must be a whole number from 0');
+  }
+  if (!ATYPIA_VALUES.includes(factors.atypicalHyperplasia)) {
+    errors.push(
+      `atypicalHyperplasia must be one of: ${ATYPIA_VALUES.join(', ')}`,
+    );
+  }
+  if (!BRCA_STATUSES.includes(factors.brcaStatus)) {
+    errors.push(`brcaStatus must be one of: ${BRCA_STATUSES.join(', ')}`);
+  }
+  if (
+    body.breastDensity !== undefined &&
+    !BREAST_DENSITIES.includes(body.breastDensity)
+  ) {
+    errors.push(`breastDensity must be one of: ${BREAST_DENSITIES.join(', ')}`);
+  }
+
+  return { factors, errors };
+};
+
+/**
+ * Density recorded on the patient's most recent finalized report
+ * @returns {Promise<Object|null>} The report (breastDensity, signedAt)
+ */
+const latestReportedDensity = async (patient) => {
+  const caseIds = await PatientCase.find({ patient: patient._id }).distinct(
+    '_id',
+  );
+  if (caseIds.length === 0) return null;
+
+  return DiagnosticReport.findOne({
+    caseId: { $in: caseIds },
+    isFinal: true,
+    breastDensity: { $exists: true },
+  })
+    .select('breastDensity signedAt')
+    .sort({ signedAt: -1, createdAt: -1 });
+};
+
+/**
+ * Apply the model and the high-risk rules. Known high-risk groups (BRCA
+ * carriers, chest radiation) are flagged without the model, which does not
+ * cover them
+ */
+const evaluateRisk = (factors, patient) => {
+  const reasons = [];
+  let notApplicableReason = null;
+
+  if (factors.brcaStatus === 'positive') {
+    reasons.push('brca_carrier');
+    notApplicableReason = 'BRCA mutation carrier';
+  }
+  if (factors.chestRadiation) {
+    reasons.push('chest_radiation');
+    notApplicableReason ??= 'History of chest radiation';
+  }
+  if (factors.priorBreastCancer) {
+    reasons.push('prior_breast_cancer');
+    notApplicableReason ??= 'Personal history of breast cancer, DCIS or LCIS';
+  }
+  if (patient.sex === 'male') {
+    notApplicableReason ??= 'The model applies to women only';
+  }
+  if (factors.age < GAIL_MIN_AGE || factors.age > GAIL_MAX_AGE) {
+    notApplicableReason ??= `The model applies to ages ${GAIL_MIN_AGE}-${GAIL_MAX_AGE}`;
+  }
+
+  let result = null;
+  if (!notApplicableReason) {
+    result = computeGailRisk(factors);
+    if (result.lifetimeRisk >= HIGH_RISK_LIFETIME) {
+      reasons.push('lifetime_risk_20_percent');
+    }
+  }
+
+  // Personal history is high risk but MRI eligibility is a clinical decision
+  const mriRecommended = reasons.some((reason) =>
+    ['brca_carrier', 'chest_radiation', 'lifetime_risk_20_percent'].includes(
+      reason,
+    ),
+  );
+
+  return {
+    model: {
+      name: 'gail',
+      version: GAIL_MODEL_VERSION,
+      applicable: !notApplicableReason,
+      ...(notApplicableReason && { notApplicableReason }),
+    },
+    ...(result && {
+      fiveYearRisk: result.fiveYearRisk,
+      lifetimeRisk: result.lifetimeRisk,
+      fiveYearRiskUnadjusted: result.fiveYearRiskUnadjusted,
+      lifetimeRiskUnadjusted: result.lifetimeRiskUnadjusted,
+      relativeRisk: result.relativeRisk,
+      densityMultiplier: result.densityMultiplier,
+    }),
+    highRisk: reasons.length > 0,
+    mriRecommended,
+    reasons,
+  };
+};
+
+/**
+ * Calculate and store a patient's breast cancer risk
+ */
+export const createRiskAssessment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(
+      scoped(req, { _id: id, mergedInto: null }),
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const age = patient.ageAt();
+    if (age === null) {
+      return res.status(400).json({
+        success: false,
+        error: "The patient's date of birth is needed to calculate risk",
+      });
+    }
+
+    const body = req.body || {};
+    const { factors, errors } = parseFactors(body, age);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors,
+      });
+    }
+
+    // Density entered by hand wins over the latest report
+    if (body.breastDensity) {
+      factors.breastDensity = body.breastDensity;
+    } else {
+      const report = await latestReportedDensity(patient);
+      if (report) {
+        factors.breastDensity = report.breastDensity;
+        factors.densityReport = report._id;
+      }
+    }
+
+    const assessment = await RiskAssessment.create({
+      patient: patient._id,
+      institution: patient.institution,
+      factors,
+      ...evaluateRisk(factors, patient),
+      assessedBy: req.user.id,
+      ...impersonationAttribution(req),
+    });
+
+    patient.riskProfile = assessment.toRiskProfile();
+    await patient.save();
+
+    res.status(201).json({
+      success: true,
+      data: assessment,
+      message: assessment.mriRecommended
+        ? 'High risk: supplemental MRI screening recommended'
+        : 'Risk assessment recorded',
+    });
+  } catch (error) {
+    console.error('Error creating risk assessment:', error);
+    return handleRiskError(error, res, 'Failed to calculate risk');
+  }
+};
+
+/**
+ * List a patient's risk assessments, most recent first
+ */
+export const getRiskAssessments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient ID format',
+      });
+    }
+
+    const patient = await Patient.findOne(scoped(req, { _id: id })).select(
+      'riskProfile',
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found',
+      });
+    }
+
+    const assessments = await RiskAssessment.find({ patient: patient._id })
+      .populate('assessedBy', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        current: patient.riskProfile?.assessment ? patient.riskProfile : null,
+        assessments,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching risk assessments:', error);
+    return handleRiskError(error, res, 'Failed to fetch risk assessments');
+  }
+};
+
+/**
+ * List patients flagged for supplemental MRI screening, highest risk first
+ */
+export const getHighRiskPatients = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+    const filter = scoped(req, {
+      mergedInto: null,
+      'riskProfile.mriRecommended': true,
+    });
+
+    const [patients, total] = await Promise.all([
+      Patient.find(filter)
+        .select('mrn firstName lastName dateOfBirth riskProfile')
+        .sort({ 'riskProfile.lifetimeRisk': -1, lastName: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Patient.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        patients,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching high-risk patients:', error);
+    return handleRiskError(error, res, 'Failed to fetch high-risk patients');
+  }
+};
+
+export default {
+  createRiskAssessment,
+  getRiskAssessments,
+  getHighRiskPatients,
+};
@@ -0,0 +1,460 @@
+import crypto from 'crypto';
+import Institution from '../models/Institution.js';
+import OidcAuthState from '../models/OidcAuthState.js';
+import User from '../models/User.js';
+import { MEDICAL_ROLES } from '../config/permissions.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { getTenantId } from '../utils/tenant.js';
+import { issueAuthTokens, setAuthCookies } from '../utils/authSession.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import {
+  generateAuthRequestSecrets,
+  getProviderMetadata,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  mapClaimsToProfile,
+  isAllowedEmailDomain,
+} from '../utils/oidc.js';
+
+const AUTH_STATE_LIFETIME = 10 * 60 * 1000; // 10 minutes
+
+const SSO_FIELDS = [
+  'enabled',
+  'issuer',
+  'clientId',
+  'clientSecret',
+  'scopes',
+  'claims',
+  'roleMappings',
+  'defaultRole',
+  'allowedDomains',
+  'autoProvision',
+];
+
+/**
+ * Callback URL registered with identity providers
+ */
+const getRedirectUri = (req) =>
+  process.env.OIDC_REDIRECT_URI ||
+  `${req.protocol}://${req.get('host')}/api/auth/sso/callback`;
+
+/**
+ * Keep post-login redirects on the frontend (relative paths only)
+ */
+const safeRedirectPath = (path) =>
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//')
+    ? path
+    : '/dashboard';
+
+/**
+ * Record the failed SSO login and send the browser back to the frontend
+ * login page with an error code
+ */
+const redirectWithError = (req, res, code) => {
+  recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_FAILURE, {
+    req,
+    code: `SSO_${code.toUpperCase()}`,
+    details: { method: 'sso' },
+  });
+
+  return res.redirect(
+    302,
+    `${process.env.FRONTEND_URL}/login?ssoError=${encodeURIComponent(code)}`,
+  );
+};
+
+/**
+ * Shape the SSO configuration for admins (the client secret is never returned)
+ */
+const ssoSummary = (institution, req) => ({
+  enabled: !!institution.sso?.enabled,
+  issuer: institution.sso?.issuer || null,
+  clientId: institution.sso?.clientId || null,
+  hasClientSecret: !!institution.sso?.clientSecret,
+  scopes: institution.sso?.scopes || [],
+  claims: institution.sso?.claims || {},
+  roleMappings: institution.sso?.roleMappings || [],
+  defaultRole: institution.sso?.defaultRole || null,
+  allowedDomains: institution.sso?.allowedDomains || [],
+  autoProvision: institution.sso?.autoProvision !== false,
+  loginUrl: `/api/auth/sso/${institution.slug}/login`,
+  redirectUri: getRedirectUri(req),
+});
+
+/**
+ * Tell the login page whether an institution offers single sign-on
+ */
+export const getSsoProvider = async (req, res) => {
+  try {
+    const institution = await Institution.findOne({
+      slug: req.params.slug,
+      active: true,
+    }).select('name slug sso.enabled');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        institution: institution.name,
+        slug: institution.slug,
+        enabled: !!institution.sso?.enabled,
+        loginUrl: institution.sso?.enabled
+          ? `/api/auth/sso/${institution.slug}/login`
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get SSO provider error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch single sign-on details',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Start an authorization-code + PKCE login at the institution's provider
+ */
+export const startSsoLogin = async (req, res) => {
+  try {
+    const institution = await Institution.findOne({
+      slug: req.params.slug,
+      active: true,
+    });
+
+    if (!institution?.sso?.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not available for this institution',
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } =
+      generateAuthRequestSecrets();
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    await OidcAuthState.create({
+      state,
+      nonce,
+      codeVerifier,
+      institution: institution._id,
+      redirectTo: safeRedirectPath(req.query.redirectTo),
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + AUTH_STATE_LIFETIME),
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl(institution.sso, {
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri: getRedirectUri(req),
+    });
+
+    // Single-page apps may prefer to navigate themselves
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { authorizationUrl },
+      });
+    }
+
+    return res.redirect(302, authorizationUrl);
+  } catch (error) {
+    console.error('Start SSO login error:', error);
+
+    return res.status(502).json({
+      success: false,
+      message: 'The identity provider could not be reached',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Complete an SSO login: verify the IdP response, provision the user and sign in
+ */
+export const ssoCallback = async (req, res) => {
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    if (!state) {
+      return redirectWithError(req, res, 'invalid_state');
+    }
+
+    const authState = await OidcAuthState.consume(state);
+
+    if (!authState) {
+      return redirectWithError(req, res, 'invalid_state');
+    }
+
+    if (providerError || !code) {
+      return redirectWithError(
+        req,
+        res,
+        providerError?.toString() || 'no_code',
+      );
+    }
+
+    const institution = await Institution.findOne({
+      _id: authState.institution,
+      active: true,
+    }).select('+sso.clientSecret');
+
+    if (!institution?.sso?.enabled) {
+      return redirectWithError(req, res, 'sso_disabled');
+    }
+
+    const { sso } = institution;
+    const tokens = await exchangeAuthorizationCode(sso, {
+      code: code.toString(),
+      codeVerifier: authState.codeVerifier,
+      redirectUri: getRedirectUri(req),
+    });
+    const claims = await verifyIdToken(sso, tokens.id_token, authState.nonce);
+    const profile = mapClaimsToProfile(sso, claims);
+
+    if (!profile.email || profile.emailVerified === false) {
+      return redirectWithError(req, res, 'email_unverified');
+    }
+
+    if (!isAllowedEmailDomain(sso, profile.email)) {
+      return redirectWithError(req, res, 'domain_not_allowed');
+    }
+
+    // Users outside every mapped group lose access at their next login
+    if (!profile.role) {
+      return redirectWithError(req, res, 'no_role');
+    }
+
+    let user = await User.findOne({
+      'sso.institution': institution._id,
+      'sso.subject': profile.subject,
+    }).select('+active');
+
+    // Linking an existing account by email needs the provider to vouch for
+    // the address; without email_verified only new accounts are provisioned
+    if (!user) {
+      user = await User.findOne({ email: profile.email }).select('+active');
+
+      if (user && profile.emailVerified !== true) {
+        return redirectWithError(req, res, 'email_unverified');
+      }
+    }
+
+    if (user) {
+      if (String(user.institution || '') !== institution.id) {
+        return redirectWithError(req, res, 'institution_mismatch');
+      }
+      if (user.sso?.subject && user.sso.subject !== profile.subject) {
+        return redirectWithError(req, res, 'identity_mismatch');
+      }
+      if (!user.active || user.role === 'patient') {
+        return redirectWithError(req, res, 'account_disabled');
+      }
+
+      // The identity provider is authoritative for staff roles
+      if (user.role !== profile.role) {
+        user.role = profile.role;
+      }
+    } else {
+      if (!sso.autoProvision) {
+        return redirectWithError(req, res, 'not_provisioned');
+      }
+
+      const [nameFirst, ...nameRest] = (claims.name || '').split(' ');
+
+      user = new User({
+        firstName:
+          profile.firstName || nameFirst || profile.email.split('@')[0],
+        lastName: profile.lastName || nameRest.join(' ') || '-',
+        email: profile.email,
+        // Random password: SSO users sign in through their provider
+        password: crypto.randomBytes(32).toString('hex'),
+        role: profile.role,
+        institution: institution._id,
+        isVerified: true,
+        active: true,
+      });
+    }
+
+    if (MEDICAL_ROLES.includes(user.role)) {
+      if (!user.licenseNumber && profile.licenseNumber) {
+        user.licenseNumber = profile.licenseNumber.toString();
+      }
+      if (!user.specialization && profile.specialization) {
+        user.specialization = profile.specialization.toString();
+      }
+      if (!user.licenseApproval?.status) {
+        user.submitLicenseForApproval();
+      }
+    }
+
+    user.sso = {
+      institution: institution._id,
+      subject: profile.subject,
+      lastLoginAt: new Date(),
+    };
+    user.lastLogin = new Date();
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError') {
+        console.error('SSO profile incomplete:', saveError.message);
+        return redirectWithError(req, res, 'profile_incomplete');
+      }
+      throw saveError;
+    }
+
+    // The provider is responsible for the second factor on SSO logins
+    const sessionTokens = await issueAuthTokens(user, req);
+    setAuthCookies(res, user, sessionTokens);
+
+    recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+      req,
+      user,
+      details: { method: 'sso', institution: institution.slug },
+    });
+
+    return res.redirect(
+      302,
+      `${process.env.FRONTEND_URL}${safeRedirectPath(authState.redirectTo)}`,
+    );
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    return redirectWithError(
+      req,
+      res,
+      error.code?.startsWith?.('OIDC_') ? 'provider_error' : 'server_error',
+    );
+  }
+};
+
+/**
+ * Show the single sign-on configuration of the admin's institution
+ */
+export const getSsoConfig = async (req, res) => {
+  try {
+    const institution = await Institution.findById(
+      getTenantId(req.user),
+    ).select('+sso.clientSecret');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: ssoSummary(institution, req),
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch single sign-on configuration',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Update the single sign-on configuration of the admin's institution
+ */
+export const updateSsoConfig = async (req, res) => {
+  try {
+    const institution = await Institution.findById(
+      getTenantId(req.user),
+    ).select('+sso.clientSecret');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of an institution',
+      });
+    }
+
+    const body = req.body || {};
+    SSO_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) {
+        institution.set(`sso.${field}`, body[field]);
+      }
+    });
+
+    const { sso } = institution;
+
+    if (sso.enabled) {
+      if (!sso.issuer || !sso.clientId) {
+        return res.status(400).json({
+          success: false,
+          message: 'issuer and clientId are required to enable single sign-on',
+          requiredFields: ['issuer', 'clientId'],
+        });
+      }
+
+      // Fail fast on a wrong issuer rather than at the first staff login
+      try {
+        await getProviderMetadata(sso.issuer);
+      } catch (discoveryError) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not load the provider's discovery document: ${discoveryError.message}`,
+        });
+      }
+    }
+
+    await institution.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Single sign-on configuration updated',
+      data: ssoSummary(institution, req),
+    });
+  } catch (error) {
+    console.error('Update SSO config error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update single sign-on configuration',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  getSsoProvider,
+  startSsoLogin,
+  ssoCallback,
+  getSsoConfig,
+  updateSsoConfig,
+};
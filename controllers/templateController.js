@@ -1,5 +1,7 @@
 // controllers/templateController.js
 import ReportTemplate from '../models/ReportTemplate.js';
+import { getTenantId, scoped } from '../utils/tenant.js';
+import { impersonationAttribution } from '../utils/impersonation.js';
 
 /**
  * Get all templates with comprehensive filtering and security
@@ -16,10 +18,11 @@ export const getReportTemplates = async (req, res) => {
       itemsPerPage = 20,
     } = req.query;
 
-    // Build filter with security - user can see public templates or their own
-    const filter = {
+    // Build filter with security - user can see their institution's public
+    // templates or their own
+    const filter = scoped(req, {
       $or: [{ isPublic: true }, { createdBy: req.user?.id }],
-    };
+    });
 
     // Additional filters
     if (studyType && studyType.trim() !== '') {
@@ -112,10 +115,12 @@ export const getTemplateById = async (req, res) => {
       });
     }
 
-    const template = await ReportTemplate.findOne({
-      _id: id.trim(),
-      $or: [{ isPublic: true }, { createdBy: req.user?.id }],
-    }).populate('createdBy', 'name email role');
+    const template = await ReportTemplate.findOne(
+      scoped(req, {
+        _id: id.trim(),
+        $or: [{ isPublic: true }, { createdBy: req.user?.id }],
+      }),
+    ).populate('createdBy', 'name email role');
 
     if (!template) {
       return res.status(404).json({
@@ -155,6 +160,7 @@ export const createTemplate = async (req, res) => {
     const templateData = {
       ...req.body,
       createdBy: req.user?.id,
+      impersonatedBy: req.user?.impersonator?.id,
     };
 
     // Validate required fields
@@ -192,10 +198,12 @@ export const createTemplate = async (req, res) => {
     }
 
     // Check for duplicate template name for the same user
-    const existingTemplate = await ReportTemplate.findOne({
-      name: templateData.name.trim(),
-      createdBy: req.user?.id,
-    });
+    const existingTemplate = await ReportTemplate.findOne(
+      scoped(req, {
+        name: templateData.name.trim(),
+        createdBy: req.user?.id,
+      }),
+    );
 
     if (existingTemplate) {
       return res.status(409).json({
@@ -207,6 +215,7 @@ export const createTemplate = async (req, res) => {
     const newTemplate = new ReportTemplate({
       ...templateData,
       name: templateData.name.trim(),
+      institution: getTenantId(req.user),
       usageCount: 0,
     });
 
@@ -254,10 +263,12 @@ export const updateTemplate = async (req, res) => {
     }
 
     // Check if template exists and user has permission
-    const existingTemplate = await ReportTemplate.findOne({
-      _id: id.trim(),
-      createdBy: req.user?.id,
-    });
+    const existingTemplate = await ReportTemplate.findOne(
+      scoped(req, {
+        _id: id.trim(),
+        createdBy: req.user?.id,
+      }),
+    );
 
     if (!existingTemplate) {
       return res.status(404).json({
@@ -288,11 +299,13 @@ export const updateTemplate = async (req, res) => {
 
     // Check for duplicate name if name is being updated
     if (req.body.name && req.body.name !== existingTemplate.name) {
-      const duplicateTemplate = await ReportTemplate.findOne({
-        name: req.body.name.trim(),
-        createdBy: req.user?.id,
-        _id: { $ne: id.trim() },
-      });
+      const duplicateTemplate = await ReportTemplate.findOne(
+        scoped(req, {
+          name: req.body.name.trim(),
+          createdBy: req.user?.id,
+          _id: { $ne: id.trim() },
+        }),
+      );
 
       if (duplicateTemplate) {
         return res.status(409).json({
@@ -303,11 +316,15 @@ export const updateTemplate = async (req, res) => {
       }
     }
 
+    // Templates cannot be moved to another institution or re-attributed
+    const { institution, impersonatedBy, ...updates } = req.body;
+
     const template = await ReportTemplate.findOneAndUpdate(
-      { _id: id.trim(), createdBy: req.user?.id },
+      scoped(req, { _id: id.trim(), createdBy: req.user?.id }),
       {
-        ...req.body,
+        ...updates,
         ...(req.body.name && { name: req.body.name.trim() }),
+        ...impersonationAttribution(req),
         updatedAt: new Date(),
       },
       {
@@ -371,10 +388,12 @@ export const incrementTemplateUsage = async (req, res) => {
     }
 
     // Check if template exists and is accessible (public or user's own)
-    const existingTemplate = await ReportTemplate.findOne({
-      _id: id.trim(),
-      $or: [{ isPublic: true }, { createdBy: req.user?.id }],
-    });
+    const existingTemplate = await ReportTemplate.findOne(
+      scoped(req, {
+        _id: id.trim(),
+        $or: [{ isPublic: true }, { createdBy: req.user?.id }],
+      }),
+    );
 
     if (!existingTemplate) {
       return res.status(404).json({
@@ -383,8 +402,8 @@ export const incrementTemplateUsage = async (req, res) => {
       });
     }
 
-    const template = await ReportTemplate.findByIdAndUpdate(
-      id.trim(),
+    const template = await ReportTemplate.findOneAndUpdate(
+      scoped(req, { _id: id.trim() }),
       {
         $inc: { usageCount: 1 },
         lastUsedAt: new Date(),
@@ -438,10 +457,12 @@ export const deleteTemplate = async (req, res) => {
       });
     }
 
-    const template = await ReportTemplate.findOneAndDelete({
-      _id: id.trim(),
-      createdBy: req.user?.id,
-    });
+    const template = await ReportTemplate.findOneAndDelete(
+      scoped(req, {
+        _id: id.trim(),
+        createdBy: req.user?.id,
+      }),
+    );
 
     if (!template) {
       return res.status(404).json({
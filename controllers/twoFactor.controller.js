@@ -0,0 +1,316 @@
+import User from '../models/User.js';
+import { buildOtpAuthUrl } from '../utils/totp.js';
+import { issueAuthTokens, sendAuthResponse } from '../utils/authSession.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+
+const TWO_FACTOR_SELECT =
+  '+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Get the current user's two-factor status
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      '+twoFactor.recoveryCodes',
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        required: user.requiresTwoFactor(),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      },
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Start TOTP enrolment and return the secret with its provisioning URI
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = user.startTwoFactorEnrolment();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message:
+        'Scan the QR code with your authenticator app, then confirm with a code to finish setup.',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TOTP_ISSUER || 'BreastBeacon',
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Confirm enrolment with a first code; completes login for enrolment tokens
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required',
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorEnrolment(code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const message =
+      'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.';
+
+    // Mandatory enrolment during login: finish signing the user in
+    if (req.mfaEnrolment) {
+      user.resetLoginAttempts();
+      user.lastLogin = new Date();
+
+      const tokens = await issueAuthTokens(user, req);
+
+      recordAuthEvent(AUTH_EVENT_TYPES.LOGIN_SUCCESS, {
+        req,
+        user,
+        details: { method: 'totp_enrolment' },
+      });
+
+      return sendAuthResponse(res, user, tokens, {
+        message,
+        recoveryCodes,
+      });
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message,
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Turn off 2FA (not allowed for roles where it is mandatory)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required',
+        requiredFields: ['password', 'code'],
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role',
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const passwordMatch = await user.correctPassword(
+      password.toString(),
+      user.password,
+    );
+
+    if (!passwordMatch || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Replace all recovery codes after confirming a current TOTP code
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required',
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
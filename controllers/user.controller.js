@@ -6,7 +6,31 @@ import {
   sendWelcomeEmail,
   testEmailConnection,
 } from '../utils/emailService.js';
-import { sendEmailVerificationSuccessEmail } from '../utils/emailService.js';
+import {
+  sendEmailVerificationSuccessEmail,
+  sendEmailChangeVerificationEmail,
+} from '../utils/emailService.js';
+import sharp from 'sharp';
+import { MEDICAL_ROLES } from '../config/permissions.js';
+import { saveFile, readFile, deleteFile } from '../utils/fileStorage.js';
+import { getTenantId, isSameTenant, isValidObjectId } from '../utils/tenant.js';
+
+// Profile fields every user may edit
+const SELF_EDITABLE_FIELDS = ['firstName', 'lastName', 'phoneNumber'];
+
+// Extra profile fields for medical professionals
+const MEDICAL_EDITABLE_FIELDS = ['specialization', 'licenseNumber'];
+
+// Changing these sends a medical professional back to license review
+const REAPPROVAL_FIELDS = ['licenseNumber'];
+
+// Square avatar renditions (pixels); the largest is served by default
+const AVATAR_SIZES = [64, 128, 256];
+
+// Bounding box for signature images and the lightest shade kept as ink
+const SIGNATURE_MAX_WIDTH = 600;
+const SIGNATURE_MAX_HEIGHT = 200;
+const SIGNATURE_INK_THRESHOLD = 40;
 
 export const verifyEmail = async (req, res) => {
   try {
@@ -107,8 +131,12 @@ export const verifyEmail = async (req, res) => {
     }
 
     // Verify the token
+    let decoded;
     try {
-      jwt.verify(token, process.env.JWT_EMAIL_SECRET || process.env.JWT_SECRET); // Fixed this line
+      decoded = jwt.verify(
+        token,
+        process.env.JWT_EMAIL_SECRET || process.env.JWT_SECRET,
+      );
     } catch (jwtError) {
       // Remove invalid token
       await user.removeToken('email_verification');
@@ -126,6 +154,11 @@ export const verifyEmail = async (req, res) => {
       });
     }
 
+    // Email change links confirm the new address instead
+    if (decoded.purpose === 'email_change') {
+      return confirmEmailChange(user, decoded.email, res);
+    }
+
     // Mark user as verified and remove verification token
     user.isVerified = true;
     await user.removeToken('email_verification');
@@ -298,3 +331,619 @@ export const resendVerificationEmail = async (req, res) => {
     });
   }
 };
+
+/**
+ * Shape the current user's profile
+ */
+const buildProfile = (user) => ({
+  _id: user._id,
+  userId: user.userId,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  pendingEmail: user.pendingEmail || null,
+  phoneNumber: user.phoneNumber || null,
+  role: user.role,
+  isVerified: user.isVerified,
+  avatarUrl: user.avatarUrl,
+  institution: user.institution || null,
+  ...(MEDICAL_ROLES.includes(user.role) && {
+    specialization: user.specialization,
+    licenseNumber: user.licenseNumber,
+    hasSignature: Boolean(user.signature?.path),
+    licenseApproval: user.licenseApproval?.status
+      ? {
+          status: user.licenseApproval.status,
+          submittedAt: user.licenseApproval.submittedAt,
+          reviewedAt: user.licenseApproval.reviewedAt,
+          reason: user.licenseApproval.reason,
+        }
+      : null,
+  }),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  singleSignOn: Boolean(user.sso?.subject),
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Load the authenticated user with the fields shown on their profile
+ */
+const findProfileUser = (req) =>
+  User.findById(req.user.id)
+    .select('+pendingEmail')
+    .populate('institution', 'name slug');
+
+/**
+ * Apply a verified email change (called from verifyEmail)
+ */
+const confirmEmailChange = async (user, email, res) => {
+  try {
+    const pendingUser = await User.findById(user._id).select('+pendingEmail');
+
+    await pendingUser.applyEmailChange(email);
+
+    return res.status(200).json({
+      success: true,
+      message:
+        'Your new email address is confirmed. Use it to log in from now on.',
+      data: {
+        userId: pendingUser.userId,
+        email: pendingUser.email,
+        role: pendingUser.role,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'EMAIL_CHANGE_STALE') {
+      return res.status(400).json({
+        success: false,
+        message: 'This email change was cancelled or replaced by a newer one',
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already used by another account',
+      });
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Get the authenticated user's profile
+ */
+export const getMyProfile = async (req, res) => {
+  try {
+    const user = await findProfileUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: buildProfile(user),
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Update the authenticated user's profile (license changes put medical
+ * professionals back into license review)
+ */
+export const updateMyProfile = async (req, res) => {
+  try {
+    const user = await findProfileUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const isMedical = MEDICAL_ROLES.includes(user.role);
+    const editableFields = isMedical
+      ? [...SELF_EDITABLE_FIELDS, ...MEDICAL_EDITABLE_FIELDS]
+      : SELF_EDITABLE_FIELDS;
+    const fields = Object.keys(req.body || {});
+
+    if (fields.includes('email')) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Email addresses are changed through POST /api/users/me/email so the new address can be verified',
+      });
+    }
+
+    // Joining an institution takes an invitation from its administrators
+    if (fields.includes('institution')) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Your institution cannot be changed from your profile. Ask the new institution's administrator for an invitation.",
+      });
+    }
+
+    const readOnlyFields = fields.filter(
+      (field) => !editableFields.includes(field),
+    );
+
+    if (readOnlyFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some fields cannot be changed from your profile',
+        readOnlyFields,
+        editableFields,
+      });
+    }
+
+    const changedReapprovalFields = REAPPROVAL_FIELDS.filter(
+      (field) =>
+        fields.includes(field) &&
+        String(req.body[field] ?? '') !== String(user[field] ?? ''),
+    );
+
+    if (changedReapprovalFields.length > 0 && req.user.impersonator) {
+      return res.status(403).json({
+        success: false,
+        message: 'License changes are not available while impersonating a user',
+        code: 'IMPERSONATION_FORBIDDEN',
+      });
+    }
+
+    editableFields
+      .filter((field) => fields.includes(field))
+      .forEach((field) => {
+        const value = req.body[field];
+        user[field] =
+          typeof value === 'string' ? value.trim() || undefined : value;
+      });
+
+    const requiresApproval = isMedical && changedReapprovalFields.length > 0;
+
+    if (requiresApproval) {
+      user.submitLicenseForApproval();
+    }
+
+    await user.save();
+    await user.populate('institution', 'name slug');
+
+    return res.status(200).json({
+      success: true,
+      message: requiresApproval
+        ? 'Profile updated. Your license details will be reviewed by an administrator before you can access clinical data again.'
+        : 'Profile updated successfully',
+      data: buildProfile(user),
+      requiresApproval,
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update profile',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Start an email change: the current password is required and the new
+ * address receives an email_verification link that completes the change
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new email address and your current password are required',
+        requiredFields: ['email', 'password'],
+      });
+    }
+
+    if (!validator.isEmail(email.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const newEmail = email.toString().toLowerCase().trim();
+    const user = await User.findById(req.user.id).select(
+      '+password +pendingEmail',
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.sso?.subject) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Your email address is managed by your single sign-on provider',
+      });
+    }
+
+    if (!(await user.correctPassword(password.toString(), user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address',
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already used by another account',
+      });
+    }
+
+    const verificationToken = await user.requestEmailChange(newEmail);
+
+    try {
+      await sendEmailChangeVerificationEmail(user, newEmail, verificationToken);
+    } catch (emailError) {
+      console.error('Email change email failed:', emailError.message);
+
+      return res.status(502).json({
+        success: false,
+        message:
+          'We could not send the verification email. Please try again later.',
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email address changes once you open it.`,
+      data: {
+        pendingEmail: newEmail,
+      },
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start email change',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Upload a profile picture, stored as square PNGs in every avatar size
+ */
+export const uploadAvatar = async (req, res) => {
+  try {
+    let renditions;
+    try {
+      renditions = await Promise.all(
+        AVATAR_SIZES.map((size) =>
+          sharp(req.file.buffer)
+            .rotate()
+            .resize(size, size, { fit: 'cover' })
+            .png()
+            .toBuffer(),
+        ),
+      );
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is not a readable image',
+      });
+    }
+
+    await Promise.all(
+      AVATAR_SIZES.map((size, index) =>
+        saveFile(`users/${req.user.id}/avatar-${size}.png`, renditions[index]),
+      ),
+    );
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { avatar: { sizes: AVATAR_SIZES, updatedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profile picture updated successfully',
+      data: { avatarUrl: user.avatarUrl, sizes: AVATAR_SIZES },
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload profile picture',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Remove the authenticated user's profile picture
+ */
+export const deleteAvatar = async (req, res) => {
+  try {
+    await Promise.all(
+      AVATAR_SIZES.map((size) =>
+        deleteFile(`users/${req.user.id}/avatar-${size}.png`),
+      ),
+    );
+    await User.findByIdAndUpdate(req.user.id, { $unset: { avatar: 1 } });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profile picture removed',
+    });
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove profile picture',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Serve a user's profile picture to themselves and colleagues of the same
+ * institution (?size= picks the closest stored rendition)
+ */
+export const getUserAvatar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const requested = parseInt(req.query.size) || Math.max(...AVATAR_SIZES);
+    const size =
+      AVATAR_SIZES.find((candidate) => candidate >= requested) ||
+      Math.max(...AVATAR_SIZES);
+
+    const user = isValidObjectId(id)
+      ? await User.findById(id).select('institution avatar')
+      : null;
+    const canView =
+      user &&
+      (id === req.user.id ||
+        (getTenantId(req.user) && isSameTenant(req.user, user)));
+
+    const avatar =
+      canView && user.avatar?.sizes?.includes(size)
+        ? await readFile(`users/${id}/avatar-${size}.png`)
+        : null;
+
+    if (!avatar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile picture not found',
+      });
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'private, max-age=3600');
+    return res.status(200).send(avatar);
+  } catch (error) {
+    console.error('Get avatar error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile picture',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Turn a scanned or photographed signature into dark ink on a transparent
+ * PNG: light paper becomes fully transparent, darker strokes opaque
+ */
+const normalizeSignature = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .normalise()
+    .trim({ background: '#ffffff', threshold: 30 })
+    .resize(SIGNATURE_MAX_WIDTH, SIGNATURE_MAX_HEIGHT, {
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = info.width * info.height;
+  const rgba = Buffer.alloc(pixels * 4); // black ink, alpha set below
+  let inkPixels = 0;
+
+  for (let i = 0; i < pixels; i += 1) {
+    const ink = 255 - data[i * info.channels];
+    if (ink >= SIGNATURE_INK_THRESHOLD) {
+      rgba[i * 4 + 3] = ink;
+      inkPixels += 1;
+    }
+  }
+
+  if (inkPixels === 0) {
+    return null;
+  }
+
+  return sharp(rgba, {
+    raw: { width: info.width, height: info.height, channels: 4 },
+  })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Upload the signature printed on reports the user creates or signs
+ */
+export const uploadSignature = async (req, res) => {
+  try {
+    let signature;
+    try {
+      signature = await normalizeSignature(req.file.buffer);
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is not a readable image',
+      });
+    }
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'No signature found in the image. Sign with dark ink on a light background.',
+      });
+    }
+
+    const path = await saveFile(
+      `users/${req.user.id}/signature.png`,
+      signature,
+    );
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { signature: { path, updatedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signature updated. It will appear on the reports you sign.',
+      data: { updatedAt: user.signature.updatedAt },
+    });
+  } catch (error) {
+    console.error('Upload signature error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload signature',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Preview the authenticated user's signature image
+ */
+export const getMySignature = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('signature');
+    const signature = user?.signature?.path
+      ? await readFile(user.signature.path)
+      : null;
+
+    if (!signature) {
+      return res.status(404).json({
+        success: false,
+        message: 'No signature uploaded',
+      });
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'private, no-store');
+    return res.status(200).send(signature);
+  } catch (error) {
+    console.error('Get signature error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch signature',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * Remove the authenticated user's signature image
+ */
+export const deleteSignature = async (req, res) => {
+  try {
+    await deleteFile(`users/${req.user.id}/signature.png`);
+    await User.findByIdAndUpdate(req.user.id, { $unset: { signature: 1 } });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signature removed',
+    });
+  } catch (error) {
+    console.error('Delete signature error:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove signature',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
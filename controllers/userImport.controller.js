@@ -0,0 +1,418 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import validator from 'validator';
+import User from '../models/User.js';
+import Admin from '../models/Admin.js';
+import Institution from '../models/Institution.js';
+import Invitation, { INVITABLE_ROLES } from '../models/Invitation.js';
+import { MEDICAL_ROLES, hasPermission } from '../config/permissions.js';
+import { deliverInvitation } from './invitation.controller.js';
+import { sendAccountSetupEmail } from '../utils/emailService.js';
+import { generateUserIds } from '../utils/userIdGenerator.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import { getTenantId, isValidObjectId } from '../utils/tenant.js';
+import { parseCsv } from '../utils/csv.js';
+
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_MODES = ['invite', 'create'];
+
+// Recognised columns, matched case-insensitively ignoring spaces and _ or -
+const IMPORT_COLUMNS = [
+  'email',
+  'firstName',
+  'lastName',
+  'role',
+  'licenseNumber',
+  'specialization',
+];
+const REQUIRED_COLUMNS = ['email', 'role'];
+
+const SPECIALIZATIONS = User.schema
+  .path('specialization')
+  .enumValues.filter(Boolean);
+
+// Set-password links for created accounts last as long as invitations
+const getSetupLinkLifetime = () =>
+  `${parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7}d`;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+const columnFor = (header) =>
+  IMPORT_COLUMNS.find(
+    (column) => normalizeHeader(column) === normalizeHeader(header),
+  );
+
+/**
+ * Map CSV records onto the import columns
+ */
+const toImportRows = (headers, records) => {
+  const columns = Object.fromEntries(
+    headers.map((header) => [header, columnFor(header)]),
+  );
+
+  return records.map((record) => {
+    const row = { line: record.line };
+
+    headers.forEach((header) => {
+      if (columns[header]) row[columns[header]] = record[header];
+    });
+
+    row.email = row.email?.toLowerCase();
+    row.role = row.role?.toLowerCase();
+    row.specialization = row.specialization?.toLowerCase() || undefined;
+
+    return row;
+  });
+};
+
+/**
+ * Validate every row, including duplicates within the file and in the database
+ * @returns {Promise<Object[]>} Report entries with an errors array per row
+ */
+const validateRows = async (rows, { mode, canCreateAdmins }) => {
+  const emails = rows.map((row) => row.email).filter(Boolean);
+  const [existingUsers, pendingInvitations] = await Promise.all([
+    User.find({
+      email: { $in: emails },
+      active: { $in: [true, false, null] },
+    }).select('email'),
+    Invitation.find({
+      email: { $in: emails },
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    }).select('email'),
+  ]);
+  const registered = new Set(existingUsers.map((user) => user.email));
+  const invited = new Set(pendingInvitations.map((inv) => inv.email));
+  const firstLineByEmail = new Map();
+
+  return rows.map((row) => {
+    const errors = [];
+
+    if (!row.email) {
+      errors.push('Email is required');
+    } else if (!validator.isEmail(row.email)) {
+      errors.push('Email is not valid');
+    } else if (firstLineByEmail.has(row.email)) {
+      errors.push(
+        `Duplicate email (also on line ${firstLineByEmail.get(row.email)})`,
+      );
+    } else {
+      firstLineByEmail.set(row.email, row.line);
+
+      if (registered.has(row.email)) {
+        errors.push('Email address is already registered');
+      } else if (invited.has(row.email)) {
+        errors.push('An invitation is already pending for this email');
+      }
+    }
+
+    if (!row.role) {
+      errors.push('Role is required');
+    } else if (!INVITABLE_ROLES.includes(row.role)) {
+      errors.push(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+    } else if (row.role === 'admin' && !canCreateAdmins) {
+      errors.push('You do not have permission to add administrators');
+    }
+
+    if (mode === 'create' && (!row.firstName || !row.lastName)) {
+      errors.push('First and last name are required to create an account');
+    }
+
+    if (MEDICAL_ROLES.includes(row.role)) {
+      if (!row.licenseNumber) {
+        errors.push(`A license number is required for the ${row.role} role`);
+      }
+      if (!row.specialization) {
+        errors.push(`A specialization is required for the ${row.role} role`);
+      }
+    }
+
+    if (row.specialization && !SPECIALIZATIONS.includes(row.specialization)) {
+      errors.push(
+        `Specialization must be one of: ${SPECIALIZATIONS.join(', ')}`,
+      );
+    }
+
+    return {
+      line: row.line,
+      email: row.email || null,
+      role: row.role || null,
+      status: errors.length ? 'invalid' : 'valid',
+      errors,
+    };
+  });
+};
+
+/**
+ * Create all accounts in one transaction, with user IDs reserved per role
+ * @returns {Promise<Object[]>} Created users, in row order
+ */
+const createAccounts = async (rows, institution) => {
+  const idsByRole = {};
+  for (const role of new Set(rows.map((row) => row.role))) {
+    idsByRole[role] = await generateUserIds(
+      role,
+      rows.filter((row) => row.role === role).length,
+      { institution },
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const users = await User.create(
+      rows.map((row) => ({
+        userId: idsByRole[row.role].shift(),
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email: row.email,
+        // Unknown to anyone: the emailed set-password link is the only way in
+        password: crypto.randomBytes(32).toString('hex'),
+        passwordResetRequired: true,
+        role: row.role,
+        institution,
+        ...(MEDICAL_ROLES.includes(row.role) && {
+          licenseNumber: row.licenseNumber,
+          specialization: row.specialization,
+          licenseApproval: {
+            status: 'pending',
+            submittedAt: new Date(),
+          },
+        }),
+        // Setting a password through the emailed link proves ownership
+        isVerified: true,
+        active: true,
+      })),
+      { session, ordered: true },
+    );
+
+    const admins = users.filter((user) => user.role === 'admin');
+    if (admins.length) {
+      await Admin.create(
+        admins.map((user) => ({ user: user._id, adminId: user.userId })),
+        { session, ordered: true },
+      );
+    }
+
+    await session.commitTransaction();
+    return users;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Import staff from a CSV file. Validates only unless dryRun is "false";
+ * then every row must be valid and accounts are invited or created.
+ */
+export const importUsers = async (req, res) => {
+  try {
+    const mode = req.body.mode || 'invite';
+    const dryRun = req.body.dryRun !== 'false';
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode. Must be one of: ${IMPORT_MODES.join(', ')}`,
+      });
+    }
+
+    // Imported staff join the admin's institution unless a platform operator picks one
+    let institution = getTenantId(req.user);
+    if (
+      req.body.institution !== undefined &&
+      req.body.institution !== institution
+    ) {
+      if (!hasPermission(req.user, 'institutions:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only import users into your own institution',
+        });
+      }
+      institution = req.body.institution || null;
+    }
+
+    if (institution) {
+      const institutionExists =
+        isValidObjectId(institution) &&
+        (await Institution.exists({ _id: institution, active: true }));
+
+      if (!institutionExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Institution not found',
+        });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsv(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `The CSV file could not be read: ${parseError.message}`,
+      });
+    }
+
+    const rows = toImportRows(parsed.headers, parsed.records);
+    const presentColumns = parsed.headers.map(columnFor);
+    const missingColumns = REQUIRED_COLUMNS.filter(
+      (column) => !presentColumns.includes(column),
+    );
+    const ignoredColumns = parsed.headers.filter(
+      (header) => !columnFor(header),
+    );
+
+    if (missingColumns.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required columns: ${missingColumns.join(', ')}`,
+        expectedColumns: IMPORT_COLUMNS,
+      });
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The file must contain between 1 and ${MAX_IMPORT_ROWS} users`,
+      });
+    }
+
+    const report = await validateRows(rows, {
+      mode,
+      canCreateAdmins: hasPermission(req.user, 'roles:manage'),
+    });
+    const invalid = report.filter((entry) => entry.status === 'invalid');
+    const summary = {
+      total: report.length,
+      valid: report.length - invalid.length,
+      invalid: invalid.length,
+    };
+
+    if (dryRun || invalid.length) {
+      return res.status(dryRun ? 200 : 422).json({
+        success: dryRun,
+        message: invalid.length
+          ? `${invalid.length} of ${report.length} rows have errors. Fix them and upload the file again.`
+          : `All ${report.length} rows are valid. Upload again with dryRun=false to ${mode} them.`,
+        dryRun: true,
+        mode,
+        summary,
+        ignoredColumns,
+        data: report,
+      });
+    }
+
+    const inviter = await User.findById(req.user.id).select(
+      'firstName lastName',
+    );
+
+    if (mode === 'create') {
+      const users = await createAccounts(rows, institution);
+      const institutionName = institution
+        ? (await Institution.findById(institution).select('name'))?.name
+        : null;
+
+      for (const [index, user] of users.entries()) {
+        const entry = report[index];
+        entry.status = 'created';
+        entry.userId = user.userId;
+        entry.id = user._id;
+
+        try {
+          const token = await user.createPasswordResetToken(
+            getSetupLinkLifetime(),
+          );
+          await sendAccountSetupEmail(user, token, {
+            inviterName: inviter?.fullName,
+            institutionName,
+            expiresAt: user.getTokenObject('password_reset')?.expiresAt,
+          });
+          entry.emailSent = true;
+        } catch (emailError) {
+          console.error('Account setup email failed:', emailError.message);
+          entry.emailSent = false;
+        }
+      }
+    } else {
+      for (const [index, row] of rows.entries()) {
+        const entry = report[index];
+        const invitation = new Invitation({
+          email: row.email,
+          role: row.role,
+          institution,
+          invitedBy: req.user.id,
+          profile: {
+            firstName: row.firstName || undefined,
+            lastName: row.lastName || undefined,
+            licenseNumber: row.licenseNumber || undefined,
+            specialization: row.specialization,
+          },
+        });
+        const token = invitation.generateToken();
+
+        entry.emailSent = await deliverInvitation(invitation, token, inviter);
+        await invitation.save();
+
+        entry.status = 'invited';
+        entry.id = invitation._id;
+      }
+    }
+
+    const unsent = report.filter((entry) => !entry.emailSent).length;
+
+    recordAuthEvent(AUTH_EVENT_TYPES.USERS_IMPORTED, {
+      req,
+      resource: institution?.toString() || null,
+      details: {
+        mode,
+        count: report.length,
+        emailsFailed: unsent,
+        fileName: req.file.originalname,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `${report.length} users ${mode === 'create' ? 'created' : 'invited'}${
+        unsent ? `; ${unsent} emails could not be sent` : ''
+      }`,
+      dryRun: false,
+      mode,
+      summary,
+      ignoredColumns,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'The import was rolled back because a row conflicts with existing data. Run the dry run again.',
+        ...(process.env.NODE_ENV === 'development' && {
+          error: error.message,
+        }),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to import users',
+      ...(process.env.NODE_ENV === 'development' && {
+        error: error.message,
+      }),
+    });
+  }
+};
+
+export default {
+  importUsers,
+};
@@ -1,16 +1,67 @@
 // middleware/authMiddleware.js
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import { resolveImpersonator } from '../utils/impersonation.js';
+
+// Methods that never change data (not recorded as impersonated writes)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Marks the guards (requireScope, requireSession) by which a route declares
+// how API keys are treated; routes declaring neither refuse API keys
+const API_KEY_POLICY = Symbol('apiKeyPolicy');
+
+/**
+ * Record a rejected token or API key in the auth audit log
+ */
+const auditRejectedToken = (req, code, user = null) =>
+  recordAuthEvent(AUTH_EVENT_TYPES.TOKEN_REJECTED, { req, user, code });
+
+/**
+ * Record an authorization denial in the auth audit log
+ */
+const auditDenied = (req, code, resource) =>
+  recordAuthEvent(AUTH_EVENT_TYPES.PERMISSION_DENIED, { req, code, resource });
+
+/**
+ * Refuse an API key on a route that does not declare a scope for it. Called
+ * once the route has been matched: by auth when mounted on the route, and by
+ * the role and permission guards
+ * @returns {boolean} Whether a response was sent
+ */
+const rejectUndeclaredApiKey = (req, res) => {
+  if (
+    !req.apiKey ||
+    req.route?.stack.some((layer) => layer.handle[API_KEY_POLICY])
+  ) {
+    return false;
+  }
+
+  auditDenied(req, 'API_KEY_NOT_ALLOWED');
+  res.status(403).json({
+    success: false,
+    error: 'This endpoint is not available to API keys.',
+    code: 'API_KEY_NOT_ALLOWED',
+  });
+  return true;
+};
 
 /**
  * HTTP request authentication middleware with enhanced security
  */
 export const auth = async (req, res, next) => {
   try {
+    // Integrations authenticate with a personal API key instead of a session
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     // Extract token from multiple sources
     const token = extractToken(req);
 
     if (!token) {
+      auditRejectedToken(req, 'NO_TOKEN');
       return res.status(401).json({
         success: false,
         error: 'Access denied. No authentication token provided.',
@@ -21,10 +72,11 @@ export const auth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Optional: Fetch fresh user data from database
-    const user = await User.findById(decoded.id).select('-password').lean();
+    // Fetch fresh user data from database
+    const user = await User.findById(decoded._id).select('+active');
 
     if (!user) {
+      auditRejectedToken(req, 'USER_NOT_FOUND');
       return res.status(401).json({
         success: false,
         error: 'User not found. Token may be invalid.',
@@ -32,7 +84,8 @@ export const auth = async (req, res, next) => {
       });
     }
 
-    if (!user.isActive) {
+    if (user.active === false) {
+      auditRejectedToken(req, 'ACCOUNT_DEACTIVATED', user);
       return res.status(401).json({
         success: false,
         error: 'Account is deactivated. Please contact administrator.',
@@ -40,39 +93,91 @@ export const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or reset are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      auditRejectedToken(req, 'PASSWORD_CHANGED', user);
+      return res.status(401).json({
+        success: false,
+        error: 'Password was changed recently. Please log in again.',
+        code: 'PASSWORD_CHANGED',
+      });
+    }
+
+    // Impersonation tokens live in the admin's session, not the user's
+    let impersonator = null;
+
+    if (decoded.act) {
+      impersonator = await resolveImpersonator(decoded, token);
+
+      if (!impersonator) {
+        auditRejectedToken(req, 'IMPERSONATION_ENDED', user);
+        return res.status(401).json({
+          success: false,
+          error: 'Impersonation session has ended.',
+          code: 'IMPERSONATION_ENDED',
+        });
+      }
+    } else if (!user.hasActiveSession(token)) {
+      // Token must still be listed as an active session
+      auditRejectedToken(req, 'SESSION_REVOKED', user);
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please log in again.',
+        code: 'SESSION_REVOKED',
+      });
+    }
+
     // Attach user to request
     req.user = {
-      id: user._id,
+      id: user._id.toString(),
       email: user.email,
-      name: user.name,
+      name: user.fullName,
       role: user.role,
-      permissions: user.permissions,
-      isActive: user.isActive,
+      institution: user.institution?.toString() || null,
+      permissions: await user.getEffectivePermissions(),
+      isActive: user.active !== false,
       lastLogin: user.lastLogin,
+      licenseApproved: !user.isLicenseApprovalOutstanding(),
+      sessionId: decoded.sid,
+      impersonator,
     };
-
-    // Update last activity (optional, can be done in separate middleware)
-    await User.findByIdAndUpdate(user._id, {
-      lastActiveAt: new Date(),
-    });
+    req.token = token;
+
+    if (impersonator) {
+      // Every write made while impersonating is attributed to both users
+      if (!SAFE_METHODS.includes(req.method)) {
+        res.on('finish', () =>
+          recordAuthEvent(AUTH_EVENT_TYPES.IMPERSONATED_WRITE, {
+            req,
+            details: { statusCode: res.statusCode },
+          }),
+        );
+      }
+    } else {
+      // Update session last-seen time
+      await user.touchSession(token);
+    }
 
     next();
   } catch (error) {
     console.error('Authentication error:', error);
 
-    if (error instanceof jwt.JsonWebTokenError) {
+    // TokenExpiredError extends JsonWebTokenError, so check it first
+    if (error instanceof jwt.TokenExpiredError) {
+      auditRejectedToken(req, 'TOKEN_EXPIRED');
       return res.status(401).json({
         success: false,
-        error: 'Invalid authentication token.',
-        code: 'INVALID_TOKEN',
+        error: 'Authentication token has expired.',
+        code: 'TOKEN_EXPIRED',
       });
     }
 
-    if (error instanceof jwt.TokenExpiredError) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      auditRejectedToken(req, 'INVALID_TOKEN');
       return res.status(401).json({
         success: false,
-        error: 'Authentication token has expired.',
-        code: 'TOKEN_EXPIRED',
+        error: 'Invalid authentication token.',
+        code: 'INVALID_TOKEN',
       });
     }
 
@@ -86,6 +191,106 @@ export const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a request carrying an `Authorization: ApiKey ...` header
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const user = await User.findByApiKey(key).select('+active');
+  const tokenObj = user?.getApiKeyToken(key);
+
+  if (!tokenObj) {
+    auditRejectedToken(req, 'INVALID_API_KEY');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired API key.',
+      code: 'INVALID_API_KEY',
+    });
+  }
+
+  if (user.active === false) {
+    auditRejectedToken(req, 'ACCOUNT_DEACTIVATED', user);
+    return res.status(401).json({
+      success: false,
+      error: 'Account is deactivated. Please contact administrator.',
+      code: 'ACCOUNT_DEACTIVATED',
+    });
+  }
+
+  req.user = {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.fullName,
+    role: user.role,
+    institution: user.institution?.toString() || null,
+    permissions: await user.getEffectivePermissions(),
+    isActive: true,
+    lastLogin: user.lastLogin,
+    licenseApproved: !user.isLicenseApprovalOutstanding(),
+  };
+  req.apiKey = {
+    id: tokenObj._id.toString(),
+    name: tokenObj.label,
+    scopes: tokenObj.scopes || [],
+  };
+
+  // Mounted on the route itself, the route is already known
+  if (req.route && rejectUndeclaredApiKey(req, res)) return;
+
+  await user.touchApiKey(tokenObj);
+
+  next();
+};
+
+/**
+ * Authenticate with a normal session, or with an mfa enrolment token
+ * (sent as mfaToken in the body) while a mandatory 2FA user sets it up
+ */
+export const authOrMfaEnrolment = async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+
+  if (!mfaToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== 'mfa_enrolment') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor enrolment token.',
+        code: 'INVALID_MFA_TOKEN',
+      });
+    }
+
+    const user = await User.findById(decoded._id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found. Token may be invalid.',
+        code: 'USER_NOT_FOUND',
+      });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      email: user.email,
+      name: user.fullName,
+      role: user.role,
+    };
+    req.mfaEnrolment = true;
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Two-factor enrolment session has expired. Please log in again.',
+      code: 'INVALID_MFA_TOKEN',
+    });
+  }
+};
+
 /**
  * Role-based authorization middleware
  */
@@ -99,7 +304,10 @@ export const requireRole = (allowedRoles) => {
       });
     }
 
+    if (rejectUndeclaredApiKey(req, res)) return;
+
     if (!allowedRoles.includes(req.user.role)) {
+      auditDenied(req, 'INSUFFICIENT_PERMISSIONS', allowedRoles);
       return res.status(403).json({
         success: false,
         error: 'Insufficient permissions to access this resource.',
@@ -127,12 +335,16 @@ export const requirePermission = (requiredPermissions) => {
         });
       }
 
-      // Fetch fresh user permissions from database
-      const user = await User.findById(req.user.id)
-        .select('permissions role')
-        .lean();
+      if (rejectUndeclaredApiKey(req, res)) return;
 
-      const userPermissions = user?.permissions || [];
+      // Effective permissions are resolved by auth; look them up otherwise
+      let userPermissions = req.user.permissions;
+      if (!Array.isArray(userPermissions)) {
+        const user = await User.findById(req.user.id).select(
+          'role institution permissionOverrides',
+        );
+        userPermissions = user ? await user.getEffectivePermissions() : [];
+      }
 
       // Check if user has all required permissions
       const hasAllPermissions = requiredPermissions.every((permission) =>
@@ -140,6 +352,7 @@ export const requirePermission = (requiredPermissions) => {
       );
 
       if (!hasAllPermissions) {
+        auditDenied(req, 'INSUFFICIENT_PERMISSIONS', requiredPermissions);
         return res.status(403).json({
           success: false,
           error: 'Insufficient permissions to perform this action.',
@@ -161,37 +374,154 @@ export const requirePermission = (requiredPermissions) => {
   };
 };
 
+/**
+ * Block clinical routes until a medical professional's license is approved
+ */
+export const requireApproved = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required.',
+      code: 'UNAUTHENTICATED',
+    });
+  }
+
+  if (req.user.licenseApproved === false) {
+    auditDenied(req, 'LICENSE_NOT_APPROVED');
+    return res.status(403).json({
+      success: false,
+      error:
+        'Your professional license has not been approved yet. Clinical features are unavailable until an administrator approves it.',
+      code: 'LICENSE_NOT_APPROVED',
+    });
+  }
+
+  next();
+};
+
+/**
+ * API key scope check; requests authenticated by session are not restricted.
+ * Declares the route open to API keys holding the scopes
+ */
+export const requireScope = (requiredScopes) => {
+  const scopes = [].concat(requiredScopes);
+
+  const scopeGuard = (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missingScopes = scopes.filter(
+      (scope) => !req.apiKey.scopes.includes(scope),
+    );
+
+    if (missingScopes.length > 0) {
+      auditDenied(req, 'INSUFFICIENT_SCOPE', missingScopes);
+      return res.status(403).json({
+        success: false,
+        error: 'API key is missing the scopes required for this action.',
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScopes: scopes,
+        missingScopes,
+      });
+    }
+
+    next();
+  };
+  scopeGuard[API_KEY_POLICY] = 'scope';
+
+  return scopeGuard;
+};
+
+/**
+ * Reject API keys on routes that need an interactive login
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    auditDenied(req, 'SESSION_REQUIRED');
+    return res.status(403).json({
+      success: false,
+      error: 'This action cannot be performed with an API key.',
+      code: 'SESSION_REQUIRED',
+    });
+  }
+
+  next();
+};
+requireSession[API_KEY_POLICY] = 'session';
+
+/**
+ * Refuse sensitive actions (signing, account security) while impersonating
+ */
+export const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonator) {
+    auditDenied(req, 'IMPERSONATION_FORBIDDEN');
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not available while impersonating a user.',
+      code: 'IMPERSONATION_FORBIDDEN',
+    });
+  }
+
+  next();
+};
+
 /**
  * Socket.io connection authentication with enhanced security
  */
 export const authenticateSocket = async (socket, next) => {
+  // Reject the connection and record why
+  const reject = (code, message, user = null) => {
+    recordAuthEvent(AUTH_EVENT_TYPES.TOKEN_REJECTED, { socket, user, code });
+    return next(new Error(`Authentication error: ${message}`));
+  };
+
   try {
     const token = extractSocketToken(socket);
 
     if (!token) {
-      return next(new Error('Authentication error: No token provided'));
+      return reject('NO_TOKEN', 'No token provided');
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Verify user exists and is active
-    const user = await User.findById(decoded.id).select('-password').lean();
+    const user = await User.findById(decoded._id).select('+active');
 
     if (!user) {
-      return next(new Error('Authentication error: User not found'));
+      return reject('USER_NOT_FOUND', 'User not found');
     }
 
-    if (!user.isActive) {
-      return next(new Error('Authentication error: Account deactivated'));
+    if (user.active === false) {
+      return reject('ACCOUNT_DEACTIVATED', 'Account deactivated', user);
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return reject('PASSWORD_CHANGED', 'Password changed', user);
+    }
+
+    let impersonator = null;
+
+    if (decoded.act) {
+      impersonator = await resolveImpersonator(decoded, token);
+
+      if (!impersonator) {
+        return reject('IMPERSONATION_ENDED', 'Impersonation ended', user);
+      }
+    } else if (!user.hasActiveSession(token)) {
+      return reject('SESSION_REVOKED', 'Session revoked', user);
     }
 
     // Attach user to socket
     socket.user = {
-      id: user._id,
+      id: user._id.toString(),
       email: user.email,
-      name: user.name,
+      name: user.fullName,
       role: user.role,
-      permissions: user.permissions,
+      institution: user.institution?.toString() || null,
+      permissions: await user.getEffectivePermissions(),
+      licenseApproved: !user.isLicenseApprovalOutstanding(),
+      impersonator,
     };
 
     // Update user's socket connection status
@@ -201,12 +531,12 @@ export const authenticateSocket = async (socket, next) => {
   } catch (error) {
     console.error('Socket authentication error:', error);
 
-    if (error instanceof jwt.JsonWebTokenError) {
-      return next(new Error('Authentication error: Invalid token'));
+    if (error instanceof jwt.TokenExpiredError) {
+      return reject('TOKEN_EXPIRED', 'Token expired');
     }
 
-    if (error instanceof jwt.TokenExpiredError) {
-      return next(new Error('Authentication error: Token expired'));
+    if (error instanceof jwt.JsonWebTokenError) {
+      return reject('INVALID_TOKEN', 'Invalid token');
     }
 
     next(new Error('Authentication error: Failed to authenticate'));
@@ -222,15 +552,21 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password').lean();
-
-      if (user && user.isActive) {
+      const user = await User.findById(decoded._id).select('+active');
+
+      if (
+        user &&
+        user.active !== false &&
+        !user.changedPasswordAfter(decoded.iat) &&
+        user.hasActiveSession(token)
+      ) {
         req.user = {
-          id: user._id,
+          id: user._id.toString(),
           email: user.email,
-          name: user.name,
+          name: user.fullName,
           role: user.role,
-          permissions: user.permissions,
+          institution: user.institution?.toString() || null,
+          permissions: await user.getEffectivePermissions(),
         };
       }
     }
@@ -265,6 +601,18 @@ const extractToken = (req) => {
   return null;
 };
 
+/**
+ * Extract a personal API key from the Authorization header
+ */
+const extractApiKey = (req) => {
+  const authHeader = req.header('Authorization');
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+
+  return null;
+};
+
 /**
  * Extract token from socket connection
  */
@@ -341,9 +689,14 @@ export const withRateLimit = (authMiddleware, options = {}) => {
 
 export default {
   auth,
+  authOrMfaEnrolment,
   authenticateSocket,
   requireRole,
   requirePermission,
+  requireApproved,
+  requireScope,
+  requireSession,
+  forbidImpersonation,
   optionalAuth,
   withRateLimit,
 };
@@ -0,0 +1,80 @@
+// middleware/portal.js
+import Patient from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import { isValidObjectId } from '../utils/tenant.js';
+
+/**
+ * Attach the Patient records linked to the signed-in patient's account.
+ * Portal queries must filter on req.portal.patientIds and nothing broader
+ */
+export const loadPortalPatients = async (req, res, next) => {
+  try {
+    const patients = await Patient.find({
+      user: req.user.id,
+      mergedInto: null,
+    }).sort({ createdAt: 1 });
+
+    if (patients.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No patient record is linked to your account yet.',
+        code: 'NO_PATIENT_RECORD',
+      });
+    }
+
+    req.portal = {
+      patients,
+      patientIds: patients.map((patient) => patient._id),
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error loading portal patient:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load your patient record',
+      details:
+        process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Resolve :caseId to one of the patient's own cases (req.portalCase).
+ * Cases of anyone else are reported as not found
+ */
+export const loadPortalCase = async (req, res, next) => {
+  try {
+    const { caseId } = req.params;
+
+    const patientCase = isValidObjectId(caseId)
+      ? await PatientCase.findOne({
+          _id: caseId,
+          patient: { $in: req.portal.patientIds },
+        })
+      : null;
+
+    if (!patientCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study not found',
+      });
+    }
+
+    req.portalCase = patientCase;
+    next();
+  } catch (error) {
+    console.error('Error loading portal case:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load study',
+      details:
+        process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  loadPortalPatients,
+  loadPortalCase,
+};
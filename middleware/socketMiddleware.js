@@ -1,6 +1,12 @@
 // middleware/socketMiddleware.js
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSameTenant } from '../utils/tenant.js';
+import { recordAuthEvent, AUTH_EVENT_TYPES } from '../utils/authAudit.js';
+import {
+  impersonationStatus,
+  resolveTokenSession,
+} from '../utils/impersonation.js';
 import RateLimit from '../utils/RateLimit.js';
 
 /**
@@ -42,29 +48,45 @@ export class SocketMiddleware {
       }
 
       // Fetch fresh user data from database
-      const user = await this.fetchUserData(decoded.id);
+      const user = await this.fetchUserData(decoded._id);
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
 
       // Check if user account is active
-      if (!user.isActive) {
+      if (user.active === false) {
         return next(new Error('Authentication error: Account deactivated'));
       }
 
+      // Reject tokens from before a password change or a revoked session
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return next(new Error('Authentication error: Password changed'));
+      }
+
+      // Impersonation tokens live in the admin's session, not the user's
+      const session = await resolveTokenSession(user, decoded, token);
+      if (session.error) {
+        return next(new Error(`Authentication error: ${session.error}`));
+      }
+
       // Attach user to socket with comprehensive data
       socket.user = {
         id: user._id.toString(),
         email: user.email,
-        name: user.name,
+        name: user.fullName,
         role: user.role,
-        permissions: user.permissions || [],
+        institution: user.institution?.toString() || null,
+        permissions: await user.getEffectivePermissions(),
         department: user.department,
-        isActive: user.isActive,
+        isActive: user.active !== false,
         lastLogin: user.lastLogin,
         preferences: user.preferences || {},
+        licenseApproved: !user.isLicenseApprovalOutstanding(),
+        sessionId: decoded.sid,
+        impersonator: session.impersonator,
         loginTime: new Date(),
       };
+      socket.authToken = token;
 
       // Log successful authentication
       this.logAuthentication(socket, 'SUCCESS');
@@ -109,12 +131,14 @@ export class SocketMiddleware {
           );
         }
 
-        // Fetch fresh permissions from database
-        const user = await User.findById(socket.user.id)
-          .select('permissions role')
-          .lean();
+        // Resolve fresh permissions (role grants may change mid-connection)
+        const user = await User.findById(socket.user.id).select(
+          'role institution permissionOverrides',
+        );
 
-        const userPermissions = user?.permissions || [];
+        const userPermissions = user
+          ? await user.getEffectivePermissions()
+          : [];
 
         // Check if user has all required permissions
         const hasAllPermissions = requiredPermissions.every((permission) =>
@@ -281,16 +305,27 @@ export class SocketMiddleware {
       }
 
       // Check if user session is still valid
-      const user = await User.findById(socket.user.id)
-        .select('isActive lastLogout sessionExpires')
-        .lean();
+      const user = await User.findById(socket.user.id).select(
+        '+active tokens lastLogout sessionExpires',
+      );
 
-      if (!user || !user.isActive) {
+      if (!user || user.active === false) {
         return next(
           new Error('Session validation error: User account is inactive'),
         );
       }
 
+      // The token was verified on connect; impersonation sessions are checked
+      // on the admin, not on the impersonated user
+      const session = await resolveTokenSession(
+        user,
+        jwt.decode(socket.authToken),
+        socket.authToken,
+      );
+      if (session.error) {
+        return next(new Error(`Session validation error: ${session.error}`));
+      }
+
       // Check if user was forcibly logged out
       if (
         user.lastLogout &&
@@ -413,11 +448,9 @@ export class SocketMiddleware {
    */
   async fetchUserData(userId) {
     try {
-      const user = await User.findById(userId)
-        .select(
-          'email name role permissions department isActive lastLogin preferences',
-        )
-        .lean();
+      const user = await User.findById(userId).select(
+        '+active firstName lastName email role institution permissionOverrides licenseApproval department lastLogin preferences tokens passwordChangedAt',
+      );
 
       return user;
     } catch (error) {
@@ -436,11 +469,17 @@ export class SocketMiddleware {
     const Case = await import('../models/PatientCase.js');
     const patientCase = await Case.default
       .findById(caseId)
-      .select('assignedRadiologist department status')
+      .select('assignedRadiologist department status institution')
       .lean();
 
     if (!patientCase) return false;
 
+    // Cases are never shared across institutions, whatever the role
+    if (!isSameTenant(user, patientCase)) return false;
+
+    // Unapproved medical professionals have no clinical access
+    if (user.licenseApproved === false) return false;
+
     // Admin has access to all cases
     if (user.role === 'admin') return true;
 
@@ -460,6 +499,26 @@ export class SocketMiddleware {
     return false;
   }
 
+  /**
+   * Payload of the 'connected' event sent once a socket is authenticated
+   */
+  connectionPayload(socket) {
+    return {
+      message: 'Successfully connected to real-time service',
+      userId: socket.user.id,
+      socketId: socket.id,
+      timestamp: new Date().toISOString(),
+      user: {
+        id: socket.user.id,
+        name: socket.user.name,
+        role: socket.user.role,
+        department: socket.user.department,
+      },
+      // Clients show a banner while an admin is acting as this user
+      ...impersonationStatus(socket.user.impersonator),
+    };
+  }
+
   /**
    * Authentication logging
    */
@@ -476,6 +535,18 @@ export class SocketMiddleware {
 
     console.log('Socket authentication:', logEntry);
 
+    // Persist to the auth audit log
+    recordAuthEvent(
+      status === 'SUCCESS'
+        ? AUTH_EVENT_TYPES.SOCKET_AUTHENTICATED
+        : AUTH_EVENT_TYPES.TOKEN_REJECTED,
+      {
+        socket,
+        code: errorMessage ? this.getErrorCode(errorMessage) : undefined,
+        details: errorMessage ? { errorMessage } : undefined,
+      },
+    );
+
     // Emit to admin monitoring room
     if (process.env.NODE_ENV === 'production') {
       socket.broadcast.to('admin-monitoring').emit('auth-log', logEntry);
@@ -498,6 +569,16 @@ export class SocketMiddleware {
 
     console.log('Socket authorization:', logEntry);
 
+    // Persist denials to the auth audit log (grants are only broadcast)
+    if (action.endsWith('_DENIED')) {
+      recordAuthEvent(
+        action === 'CASE_ACCESS_DENIED'
+          ? AUTH_EVENT_TYPES.CASE_ACCESS_DENIED
+          : AUTH_EVENT_TYPES.PERMISSION_DENIED,
+        { socket, code: action, resource },
+      );
+    }
+
     // Emit to admin monitoring room
     socket.broadcast.to('admin-monitoring').emit('authz-log', logEntry);
   }
@@ -512,6 +593,9 @@ export class SocketMiddleware {
       'Token expired': 'TOKEN_EXPIRED',
       'User not found': 'USER_NOT_FOUND',
       'Account deactivated': 'ACCOUNT_DEACTIVATED',
+      'Password changed': 'PASSWORD_CHANGED',
+      'Session revoked': 'SESSION_REVOKED',
+      'Impersonation ended': 'IMPERSONATION_ENDED',
       'Insufficient role': 'INSUFFICIENT_ROLE',
       'Insufficient permissions': 'INSUFFICIENT_PERMISSIONS',
       'Department access denied': 'DEPARTMENT_ACCESS_DENIED',
@@ -0,0 +1,101 @@
+import multer from 'multer';
+
+const IMAGE_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/svg+xml',
+];
+
+const CSV_MIME_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.ms-excel',
+];
+
+/**
+ * Run a multer single-file handler and answer upload errors with a 400
+ */
+const handleSingleUpload =
+  (upload, fieldName, { label, noun, maxSizeMb }) =>
+  (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: `${label} file is required in the "${fieldName}" field`,
+          });
+        }
+        return next();
+      }
+
+      const message =
+        error.code === 'LIMIT_FILE_SIZE'
+          ? `${noun} must be smaller than ${maxSizeMb}MB`
+          : error.message;
+
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    });
+  };
+
+/**
+ * Build a single-image upload handler kept in memory for processing with sharp
+ * @param {string} fieldName - Multipart field name
+ * @param {Object} options - maxSizeMb
+ */
+export const imageUpload = (fieldName, options = {}) => {
+  const { maxSizeMb = 2 } = options;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new Error('Only PNG, JPEG, WebP or SVG images are allowed'));
+      }
+      cb(null, true);
+    },
+  }).single(fieldName);
+
+  return handleSingleUpload(upload, fieldName, {
+    label: 'An image',
+    noun: 'Image',
+    maxSizeMb,
+  });
+};
+
+/**
+ * Build a single CSV upload handler kept in memory for parsing
+ * @param {string} fieldName - Multipart field name
+ * @param {Object} options - maxSizeMb
+ */
+export const csvUpload = (fieldName, options = {}) => {
+  const { maxSizeMb = 1 } = options;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const isCsv =
+        CSV_MIME_TYPES.includes(file.mimetype) ||
+        file.originalname?.toLowerCase().endsWith('.csv');
+      if (!isCsv) {
+        return cb(new Error('Only CSV files are allowed'));
+      }
+      cb(null, true);
+    },
+  }).single(fieldName);
+
+  return handleSingleUpload(upload, fieldName, {
+    label: 'A CSV',
+    noun: 'CSV file',
+    maxSizeMb,
+  });
+};
+
+export default imageUpload;
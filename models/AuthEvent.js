@@ -0,0 +1,123 @@
+// models/AuthEvent.js
+import mongoose from 'mongoose';
+
+// Event types recorded by utils/authAudit.js
+export const AUTH_EVENT_TYPES = {
+  LOGIN_SUCCESS: 'login_success',
+  LOGIN_FAILURE: 'login_failure',
+  ACCOUNT_LOCKED: 'account_locked',
+  LOGOUT: 'logout',
+  SESSION_REVOKED: 'session_revoked',
+  ALL_SESSIONS_REVOKED: 'all_sessions_revoked',
+  REFRESH_TOKEN_REUSED: 'refresh_token_reused',
+  PASSWORD_RESET: 'password_reset',
+  API_KEY_CREATED: 'api_key_created',
+  API_KEY_REVOKED: 'api_key_revoked',
+  TOKEN_REJECTED: 'token_rejected',
+  SOCKET_AUTHENTICATED: 'socket_authenticated',
+  PERMISSION_DENIED: 'permission_denied',
+  CASE_ACCESS_DENIED: 'case_access_denied',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATION_ENDED: 'impersonation_ended',
+  IMPERSONATED_WRITE: 'impersonated_write',
+  USER_ROLE_CHANGED: 'user_role_changed',
+  USER_DEACTIVATED: 'user_deactivated',
+  USER_REACTIVATED: 'user_reactivated',
+  PASSWORD_RESET_FORCED: 'password_reset_forced',
+  USERS_IMPORTED: 'users_imported',
+};
+
+// How long entries are kept (overridable per deployment)
+const getRetentionDays = () =>
+  parseInt(process.env.AUTH_EVENT_RETENTION_DAYS) || 365;
+
+const authEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(AUTH_EVENT_TYPES),
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure'],
+      required: true,
+    },
+    // Machine-readable reason, e.g. TOKEN_EXPIRED or INSUFFICIENT_PERMISSIONS
+    code: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Email attempted or of the user at the time of the event
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    role: String,
+    // Admin acting as the user, for events during impersonation
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+    },
+    channel: {
+      type: String,
+      enum: ['http', 'socket'],
+      default: 'http',
+    },
+    ipAddress: String,
+    userAgent: String,
+    sessionId: String,
+    method: String,
+    path: String,
+    // Case id, permission list or other target of the decision
+    resource: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+authEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authEventSchema.index({ institution: 1, createdAt: -1 });
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ impersonator: 1, createdAt: -1 }, { sparse: true });
+authEventSchema.index({ ipAddress: 1, createdAt: -1 });
+authEventSchema.index({ type: 1, createdAt: -1 });
+
+// Entries are append-only: they can be created and read, never changed
+const rejectMutation = function (next) {
+  next(new Error('Auth events are append-only'));
+};
+
+authEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+authEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  rejectMutation,
+);
+
+export const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+export default AuthEvent;
@@ -0,0 +1,101 @@
+// models/ConsentForm.js
+import mongoose from 'mongoose';
+
+// Secondary uses of patient data that need the patient's recorded consent
+export const CONSENT_TYPES = ['ai_analysis', 'research', 'teaching'];
+
+const consentFormSchema = new mongoose.Schema(
+  {
+    // null for the platform-wide form used where an institution has none
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: CONSENT_TYPES,
+        message: 'Consent type must be one of: ' + CONSENT_TYPES.join(', '),
+      },
+      required: true,
+    },
+    // 1, 2, 3... per institution and type; published versions never change
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    text: {
+      type: String,
+      required: [true, 'Consent text is required'],
+      trim: true,
+      maxlength: [20000, 'Consent text cannot exceed 20000 characters'],
+    },
+    // Grants given under earlier versions stop counting once this is published
+    requiresReconsent: {
+      type: Boolean,
+      default: false,
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+consentFormSchema.index(
+  { institution: 1, type: 1, version: -1 },
+  { unique: true },
+);
+
+// Published text is the record of what patients agreed to
+consentFormSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified(['type', 'version', 'title', 'text'])) {
+    return next(new Error('Published consent forms cannot be edited'));
+  }
+  next();
+});
+
+// Static to get the form in force for an institution, falling back to the
+// platform-wide form
+consentFormSchema.statics.getCurrent = async function (institution, type) {
+  const own = await this.findOne({
+    institution: institution || null,
+    type,
+  }).sort({ version: -1 });
+  if (own || !institution) return own;
+
+  return this.findOne({ institution: null, type }).sort({ version: -1 });
+};
+
+// Static to get the oldest version whose grants still count (1 if no version
+// has required re-consent)
+consentFormSchema.statics.minimumValidVersion = async function (
+  institution,
+  type,
+) {
+  const latestReconsent = await this.findOne({
+    institution: institution || null,
+    type,
+    requiresReconsent: true,
+  })
+    .sort({ version: -1 })
+    .select('version');
+
+  return latestReconsent?.version || 1;
+};
+
+const ConsentForm = mongoose.model('ConsentForm', consentFormSchema);
+
+export default ConsentForm;
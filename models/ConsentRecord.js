@@ -0,0 +1,91 @@
+// models/ConsentRecord.js
+import mongoose from 'mongoose';
+import { CONSENT_TYPES } from './ConsentForm.js';
+
+export const CONSENT_ACTIONS = ['granted', 'withdrawn'];
+
+// How the patient's decision was captured
+export const CONSENT_METHODS = ['portal', 'in_person', 'paper', 'electronic'];
+
+// One grant or withdrawal; the latest record per patient and type is in force.
+// Records are append-only so the history can be audited
+const consentRecordSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: CONSENT_TYPES,
+        message: 'Consent type must be one of: ' + CONSENT_TYPES.join(', '),
+      },
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: {
+        values: CONSENT_ACTIONS,
+        message: 'Action must be one of: ' + CONSENT_ACTIONS.join(', '),
+      },
+      required: true,
+    },
+    // Form version the patient was shown
+    form: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConsentForm',
+      required: true,
+    },
+    formVersion: {
+      type: Number,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: {
+        values: CONSENT_METHODS,
+        message: 'Method must be one of: ' + CONSENT_METHODS.join(', '),
+      },
+      required: true,
+    },
+    // Staff member who recorded it, or the patient themselves on the portal
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Admin acting as capturedBy through impersonation
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+consentRecordSchema.index({ patient: 1, type: 1, createdAt: -1 });
+
+consentRecordSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Consent records cannot be changed once recorded'));
+  }
+  next();
+});
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+export default ConsentRecord;
@@ -23,6 +23,17 @@ counterSchema.statics.getNextSequence = async function (name) {
   return result.value;
 };
 
+// Static method to reserve a block of consecutive sequence values at once
+// Returns the first value of the block; one atomic update avoids races
+counterSchema.statics.reserveSequence = async function (name, count) {
+  const result = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: count } },
+    { new: true, upsert: true },
+  );
+  return result.value - count + 1;
+};
+
 const Counter = mongoose.model('Counter', counterSchema);
 
 export default Counter;
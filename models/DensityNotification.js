@@ -0,0 +1,70 @@
+// models/DensityNotification.js
+import mongoose from 'mongoose';
+
+export const DENSITY_NOTIFICATION_STATUSES = ['pending', 'sent', 'cancelled'];
+export const DELIVERY_METHODS = ['mail', 'email', 'portal', 'in_person'];
+
+// Patient letter owed for a finalized report recording dense tissue (BI-RADS
+// composition c or d); one per report
+const densityNotificationSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DiagnosticReport',
+      required: true,
+      unique: true,
+    },
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientCase',
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      index: true,
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    breastDensity: {
+      type: String,
+      enum: ['c', 'd'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DENSITY_NOTIFICATION_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    // Generated PDF, stored through utils/fileStorage.js
+    letter: {
+      path: String,
+      generatedAt: Date,
+    },
+    sentAt: Date,
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deliveryMethod: {
+      type: String,
+      enum: DELIVERY_METHODS,
+    },
+    // Why no letter is owed any more, e.g. the report was amended
+    cancelledReason: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const DensityNotification = mongoose.model(
+  'DensityNotification',
+  densityNotificationSchema,
+);
+
+export default DensityNotification;
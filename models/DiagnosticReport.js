@@ -29,6 +29,69 @@ const diagnosticReportSchema = new mongoose.Schema(
       enum: ['0', '1', '2', '3', '4', '5', '6'],
       required: true,
     },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    // BI-RADS breast composition: a fatty, b scattered fibroglandular,
+    // c heterogeneously dense, d extremely dense
+    breastDensity: {
+      type: String,
+      enum: ['a', 'b', 'c', 'd'],
+    },
+    // Structured counterpart of the free-text recommendations
+    followUp: {
+      action: {
+        type: String,
+        enum: [
+          'routine_screening',
+          'short_interval_follow_up',
+          'additional_imaging',
+          'biopsy',
+          'surgical_consultation',
+          'clinical_management',
+        ],
+      },
+      intervalMonths: {
+        type: Number,
+        min: 0,
+        max: 60,
+      },
+    },
+    // Biopsies arising from this study, with their pathology once known
+    biopsies: [
+      {
+        laterality: {
+          type: String,
+          enum: ['left', 'right'],
+          required: true,
+        },
+        location: {
+          type: String,
+          trim: true,
+        },
+        method: {
+          type: String,
+          enum: [
+            'core_needle',
+            'vacuum_assisted',
+            'fine_needle_aspiration',
+            'surgical_excision',
+          ],
+        },
+        performedAt: Date,
+        result: {
+          type: String,
+          enum: ['pending', 'benign', 'high_risk', 'malignant'],
+          default: 'pending',
+        },
+        pathology: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
     isFinal: {
       type: Boolean,
       default: false,
@@ -43,6 +106,23 @@ const diagnosticReportSchema = new mongoose.Schema(
       ref: 'User',
     },
     signedAt: Date,
+    // Signature images copied when the report was finalized (see
+    // utils/reportSignatures.js)
+    signatures: {
+      createdBy: {
+        path: String,
+        sha256: String,
+      },
+      signedBy: {
+        path: String,
+        sha256: String,
+      },
+    },
+    // Admin who last changed the report while impersonating a user
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     createdAt: {
       type: Date,
       default: Date.now,
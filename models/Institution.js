@@ -0,0 +1,245 @@
+// models/Institution.js
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { ROLES } from '../config/permissions.js';
+
+// Prefix segments of user IDs
+const ID_SEGMENT_PATTERN = /^[A-Z0-9]{1,8}$/;
+
+const institutionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Institution name is required'],
+      trim: true,
+      maxlength: [150, 'Institution name cannot exceed 150 characters'],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        'Slug may only contain lowercase letters, numbers and hyphens',
+      ],
+    },
+    type: {
+      type: String,
+      enum: [
+        'hospital',
+        'clinic',
+        'imaging-center',
+        'screening-program',
+        'other',
+      ],
+      default: 'hospital',
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+    },
+    contact: {
+      phone: String,
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        validate: {
+          validator: (email) => !email || validator.isEmail(email),
+          message: 'Please provide a valid contact email',
+        },
+      },
+      website: String,
+    },
+    // Stored through utils/fileStorage.js; served by the institution routes
+    logo: {
+      path: String,
+      mimeType: String,
+      updatedAt: Date,
+    },
+    settings: {
+      timezone: {
+        type: String,
+        default: 'UTC',
+      },
+      locale: {
+        type: String,
+        default: 'en-US',
+      },
+      reportHeader: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Report header cannot exceed 500 characters'],
+      },
+      reportFooter: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Report footer cannot exceed 500 characters'],
+      },
+      defaultCaseDueDays: {
+        type: Number,
+        min: 1,
+        max: 90,
+        default: 7,
+      },
+      // Format of new user IDs, e.g. MGH-R-2026-000427 (see userIdGenerator)
+      userIdFormat: {
+        prefix: {
+          type: String,
+          trim: true,
+          uppercase: true,
+          match: [
+            ID_SEGMENT_PATTERN,
+            'ID prefix may only contain 1-8 letters and numbers',
+          ],
+        },
+        padding: {
+          type: Number,
+          min: [3, 'ID padding must be at least 3 digits'],
+          max: [10, 'ID padding cannot exceed 10 digits'],
+        },
+        includeYear: Boolean,
+        checkDigit: Boolean,
+        // Per-role overrides; unset fields fall back to the values above
+        roles: {
+          type: [
+            {
+              _id: false,
+              role: {
+                type: String,
+                enum: ROLES,
+                required: true,
+              },
+              prefix: {
+                type: String,
+                trim: true,
+                uppercase: true,
+                match: [
+                  ID_SEGMENT_PATTERN,
+                  'Role prefix may only contain 1-8 letters and numbers',
+                ],
+              },
+              padding: {
+                type: Number,
+                min: [3, 'ID padding must be at least 3 digits'],
+                max: [10, 'ID padding cannot exceed 10 digits'],
+              },
+              includeYear: Boolean,
+              checkDigit: Boolean,
+            },
+          ],
+          validate: {
+            validator: (entries) =>
+              new Set(entries.map((entry) => entry.role)).size ===
+              entries.length,
+            message: 'Each role may only have one ID format override',
+          },
+        },
+      },
+    },
+    // OpenID Connect provider used for staff single sign-on
+    sso: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      issuer: {
+        type: String,
+        trim: true,
+      },
+      clientId: {
+        type: String,
+        trim: true,
+      },
+      clientSecret: {
+        type: String,
+        select: false,
+      },
+      scopes: {
+        type: [String],
+        default: ['openid', 'email', 'profile'],
+      },
+      // Claim names read from the ID token
+      claims: {
+        email: { type: String, default: 'email' },
+        groups: { type: String, default: 'groups' },
+        firstName: { type: String, default: 'given_name' },
+        lastName: { type: String, default: 'family_name' },
+        licenseNumber: { type: String, default: 'license_number' },
+        specialization: { type: String, default: 'specialization' },
+      },
+      // IdP group to role; the first matching entry wins
+      roleMappings: [
+        {
+          _id: false,
+          group: { type: String, required: true, trim: true },
+          role: {
+            type: String,
+            enum: ['radiologist', 'technician', 'physician', 'admin'],
+            required: true,
+          },
+        },
+      ],
+      // Role for users in no mapped group (unset to refuse them)
+      defaultRole: {
+        type: String,
+        enum: ['radiologist', 'technician', 'physician', 'admin', null],
+        default: null,
+      },
+      // Email domains accepted from this provider (empty accepts any)
+      allowedDomains: {
+        type: [String],
+        default: [],
+      },
+      autoProvision: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Virtual for members of this institution
+institutionSchema.virtual('members', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'institution',
+});
+
+// Virtual for the logo URL exposed to clients
+institutionSchema.virtual('logoUrl').get(function () {
+  return this.logo?.path ? `/api/institutions/${this._id}/logo` : null;
+});
+
+// Static to build a URL-safe slug from a name
+institutionSchema.statics.slugify = function (name) {
+  return name
+    .toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+};
+
+export const Institution = mongoose.model('Institution', institutionSchema);
+export default Institution;
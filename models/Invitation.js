@@ -0,0 +1,142 @@
+// models/Invitation.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { ROLES } from '../config/permissions.js';
+
+// Invitations onboard staff; patients register themselves
+export const INVITABLE_ROLES = ROLES.filter((role) => role !== 'patient');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked'];
+
+// How long an invitation link stays valid (overridable per deployment)
+const getInvitationLifetimeDays = () =>
+  parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+// Hash invitation tokens before storing them
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      validate: [validator.isEmail, 'Please provide a valid email'],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: INVITABLE_ROLES,
+        message: 'Role must be one of: ' + INVITABLE_ROLES.join(', '),
+      },
+      required: [true, 'Role is required'],
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    // Details known in advance (bulk imports) that prefill the signup form
+    profile: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      licenseNumber: { type: String, trim: true },
+      specialization: { type: String, trim: true },
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    acceptedAt: Date,
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ institution: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Virtual for pending invitations whose link has lapsed
+invitationSchema.virtual('isExpired').get(function () {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+// Method to issue a fresh single-use token, invalidating any earlier link
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(
+    Date.now() + getInvitationLifetimeDays() * 24 * 60 * 60 * 1000,
+  );
+
+  return token;
+};
+
+// Method to record that the invitation email went out
+invitationSchema.methods.markSent = function () {
+  this.sendCount += 1;
+  this.lastSentAt = new Date();
+};
+
+// Method to mark the invitation as used by a new account
+invitationSchema.methods.markAccepted = function (userId) {
+  this.status = 'accepted';
+  this.acceptedAt = new Date();
+  this.acceptedUser = userId;
+};
+
+// Method to withdraw a pending invitation
+invitationSchema.methods.revoke = function (revokedBy) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+};
+
+// Static to find the pending, unexpired invitation for a token
+invitationSchema.statics.findByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token.toString()),
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export const Invitation = mongoose.model('Invitation', invitationSchema);
+export default Invitation;
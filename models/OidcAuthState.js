@@ -0,0 +1,56 @@
+// models/OidcAuthState.js
+import mongoose from 'mongoose';
+
+// Pending single sign-on attempts, removed by MongoDB once they expire
+const oidcAuthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+    },
+    // Frontend path to return to after sign-in
+    redirectTo: {
+      type: String,
+      default: '/dashboard',
+    },
+    ipAddress: String,
+    userAgent: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+oidcAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static to take a state out of the store so it can only be used once
+oidcAuthStateSchema.statics.consume = function (state) {
+  return this.findOneAndDelete({
+    state: state.toString(),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export const OidcAuthState = mongoose.model(
+  'OidcAuthState',
+  oidcAuthStateSchema,
+);
+export default OidcAuthState;
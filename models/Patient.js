@@ -1,13 +1,134 @@
 import mongoose from 'mongoose';
 
-const patientSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  dateOfBirth: Date,
-  gender: String,
-  phoneNumber: String,
-  address: String,
+export const PATIENT_SEXES = ['female', 'male', 'other', 'unknown'];
+
+const patientSchema = new mongoose.Schema(
+  {
+    // Portal account, for patients who registered themselves
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    // Medical record number, unique within an institution
+    mrn: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'MRN cannot exceed 50 characters'],
+    },
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters'],
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters'],
+    },
+    dateOfBirth: {
+      type: Date,
+      validate: {
+        validator: (value) => !value || value <= new Date(),
+        message: 'Date of birth cannot be in the future',
+      },
+    },
+    sex: {
+      type: String,
+      enum: {
+        values: PATIENT_SEXES,
+        message: 'Sex must be one of: ' + PATIENT_SEXES.join(', '),
+      },
+      default: 'unknown',
+    },
+    phoneNumber: String,
+    // Last nine digits of phoneNumber, kept in step on save; duplicate
+    // detection blocks on it whatever the number's formatting
+    phoneDigits: String,
+    address: String,
+    // Set when this record was merged into a duplicate (see PatientMergeLog)
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      default: null,
+      index: true,
+    },
+    mergedAt: Date,
+    // Summary of the latest RiskAssessment
+    riskProfile: {
+      assessment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RiskAssessment',
+      },
+      assessedAt: Date,
+      fiveYearRisk: Number,
+      lifetimeRisk: Number,
+      highRisk: { type: Boolean, default: false },
+      mriRecommended: { type: Boolean, default: false },
+      reasons: [String],
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Admin who last changed the record while impersonating a user
+    impersonatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+patientSchema.index(
+  { institution: 1, mrn: 1 },
+  { unique: true, partialFilterExpression: { mrn: { $type: 'string' } } },
+);
+patientSchema.index({ institution: 1, lastName: 1, firstName: 1 });
+patientSchema.index({ institution: 1, dateOfBirth: 1 });
+patientSchema.index({ institution: 1, phoneDigits: 1 });
+patientSchema.index({ institution: 1, 'riskProfile.mriRecommended': 1 });
+
+// Virtual for the display name
+patientSchema.virtual('fullName').get(function () {
+  return [this.firstName, this.lastName].filter(Boolean).join(' ');
+});
+
+// Static to normalize a phone number to its last nine digits, so formatting,
+// country codes and trunk prefixes do not matter
+patientSchema.statics.normalizePhone = function (value) {
+  return value ? value.toString().replace(/\D/g, '').slice(-9) : '';
+};
+
+// Keep phoneDigits in step with phoneNumber
+patientSchema.pre('save', function (next) {
+  if (this.isModified('phoneNumber')) {
+    this.phoneDigits =
+      this.constructor.normalizePhone(this.phoneNumber) || undefined;
+  }
+  next();
 });
 
+// Static to compute age in whole years on a given date (null if unknown)
+patientSchema.statics.ageAt = function (dateOfBirth, date = new Date()) {
+  if (!dateOfBirth || !date) return null;
+
+  const birth = new Date(dateOfBirth);
+  const on = new Date(date);
+  let age = on.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayPassed =
+    on.getUTCMonth() > birth.getUTCMonth() ||
+    (on.getUTCMonth() === birth.getUTCMonth() &&
+      on.getUTCDate() >= birth.getUTCDate());
+
+  if (!birthdayPassed) age -= 1;
+  return age >= 0 ? age : null;
+};
+
+// Method to compute the patient's age on a given date
+patientSchema.methods.ageAt = function (date = new Date()) {
+  return this.constructor.ageAt(this.dateOfBirth, date);
+};
+
 const Patient = mongoose.model('Patient', patientSchema);
 
 export default Patient;
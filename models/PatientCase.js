@@ -1,5 +1,6 @@
 // models/PatientCase.js
 import mongoose from 'mongoose';
+import Patient from './Patient.js';
 
 const medicalImageSchema = new mongoose.Schema({
   seriesId: {
@@ -48,16 +49,58 @@ const medicalImageSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
       },
+      // Admin acting as createdBy through impersonation
+      impersonatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
       createdAt: {
         type: Date,
         default: Date.now,
       },
     },
   ],
+  // Latest AI lesion detection run (see utils/mammogramAnalysis.js)
+  aiAnalysis: {
+    status: {
+      type: String,
+      enum: ['completed', 'failed'],
+    },
+    detections: [
+      {
+        _id: false,
+        bbox: {
+          x_min: Number,
+          y_min: Number,
+          x_max: Number,
+          y_max: Number,
+        },
+        confidence: Number,
+      },
+    ],
+    error: String,
+    analyzedAt: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Grant that allowed the run
+    consentRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConsentRecord',
+    },
+  },
 });
 
 const patientCaseSchema = new mongoose.Schema(
   {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      index: true,
+    },
+    // Snapshot of the patient's MRN, name and age at study date, kept in
+    // sync from the patient record (see syncFromPatient)
     patientId: {
       type: String,
       required: true,
@@ -70,7 +113,6 @@ const patientCaseSchema = new mongoose.Schema(
     },
     age: {
       type: Number,
-      required: true,
       min: 0,
       max: 120,
     },
@@ -119,11 +161,20 @@ const patientCaseSchema = new mongoose.Schema(
       name: String,
       contact: String,
     },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Admin who last changed the case while impersonating a user
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -140,8 +191,65 @@ const patientCaseSchema = new mongoose.Schema(
 
 // Indexes for performance
 patientCaseSchema.index({ status: 1, priority: -1, dueDate: 1 });
+patientCaseSchema.index({ institution: 1, status: 1, priority: -1 });
 patientCaseSchema.index({ patientName: 'text', patientId: 'text' });
 
+// Copy the patient's identifiers and age at study date onto the case
+patientCaseSchema.methods.syncFromPatient = function (patient) {
+  this.patientId = patient.mrn;
+  this.patientName = patient.fullName;
+
+  const age = Patient.ageAt(patient.dateOfBirth, this.studyDate);
+  if (age !== null) this.age = age;
+};
+
+// Cases linked to a patient always reflect the patient record
+patientCaseSchema.pre('validate', async function (next) {
+  if (
+    !this.patient ||
+    !(this.isNew || this.isModified(['patient', 'studyDate']))
+  ) {
+    return next();
+  }
+
+  try {
+    const patient = await Patient.findById(this.patient).select(
+      'mrn firstName lastName dateOfBirth',
+    );
+    if (patient) this.syncFromPatient(patient);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static to refresh the snapshot on every case of a patient after an edit
+patientCaseSchema.statics.syncPatientSnapshot = async function (patient) {
+  const cases = await this.find({ patient: patient._id }).select('studyDate');
+  if (cases.length === 0) return 0;
+
+  await this.bulkWrite(
+    cases.map((patientCase) => {
+      const age = Patient.ageAt(patient.dateOfBirth, patientCase.studyDate);
+
+      return {
+        updateOne: {
+          filter: { _id: patientCase._id },
+          update: {
+            $set: {
+              patientId: patient.mrn,
+              patientName: patient.fullName,
+              ...(age !== null && { age }),
+            },
+          },
+        },
+      };
+    }),
+  );
+
+  return cases.length;
+};
+
 // Export model
 export const PatientCase = mongoose.model('PatientCase', patientCaseSchema);
 export default PatientCase;
@@ -0,0 +1,107 @@
+// models/PatientMergeLog.js
+import mongoose from 'mongoose';
+
+const patientMergeLogSchema = new mongoose.Schema(
+  {
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    // Record that keeps the combined history
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    // Record that was folded into the survivor
+    merged: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Matching score at the time of the merge
+    match: {
+      probability: Number,
+      fields: mongoose.Schema.Types.Mixed,
+    },
+    // Survivor fields filled in from the merged record, with their old values
+    survivorChanges: mongoose.Schema.Types.Mixed,
+    // Portal account moved from the merged record to the survivor
+    movedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // The merged record's cases and their patient snapshot before the merge
+    cases: [
+      {
+        _id: false,
+        case: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientCase' },
+        patientId: String,
+        patientName: String,
+        age: Number,
+      },
+    ],
+    // previousStudies of every affected case before the merge
+    previousStudies: [
+      {
+        _id: false,
+        case: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientCase' },
+        previousStudies: [
+          { type: mongoose.Schema.Types.ObjectId, ref: 'PatientCase' },
+        ],
+      },
+    ],
+    // The merged record's consent grants and withdrawals, moved to the survivor
+    consentRecords: [
+      { type: mongoose.Schema.Types.ObjectId, ref: 'ConsentRecord' },
+    ],
+    // The merged record's risk assessments, moved to the survivor
+    riskAssessments: [
+      { type: mongoose.Schema.Types.ObjectId, ref: 'RiskAssessment' },
+    ],
+    // The merged record's density notification letters, moved to the survivor
+    densityNotifications: [
+      { type: mongoose.Schema.Types.ObjectId, ref: 'DensityNotification' },
+    ],
+    status: {
+      type: String,
+      enum: ['merged', 'undone'],
+      default: 'merged',
+      index: true,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    undoneAt: Date,
+    undoReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+patientMergeLogSchema.index({ institution: 1, createdAt: -1 });
+
+export const PatientMergeLog = mongoose.model(
+  'PatientMergeLog',
+  patientMergeLogSchema,
+);
+export default PatientMergeLog;
@@ -48,11 +48,20 @@ const reportTemplateSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Admin who last changed the template while impersonating a user
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     usageCount: {
       type: Number,
       default: 0,
@@ -74,6 +83,7 @@ const reportTemplateSchema = new mongoose.Schema(
 // Indexes for better query performance
 reportTemplateSchema.index({ category: 1, isPublic: 1 });
 reportTemplateSchema.index({ createdBy: 1 });
+reportTemplateSchema.index({ institution: 1, isPublic: 1 });
 reportTemplateSchema.index({ name: 'text', description: 'text' });
 
 // Export the model
@@ -0,0 +1,113 @@
+// models/RiskAssessment.js
+import mongoose from 'mongoose';
+
+export const BRCA_STATUSES = ['not_tested', 'negative', 'positive', 'unknown'];
+export const ATYPIA_VALUES = ['yes', 'no', 'unknown'];
+export const BREAST_DENSITIES = ['a', 'b', 'c', 'd'];
+
+// One breast cancer risk calculation; the latest is summarized on
+// Patient.riskProfile
+const riskAssessmentSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      index: true,
+    },
+    factors: {
+      age: { type: Number, required: true, min: 0, max: 120 },
+      ageAtMenarche: { type: Number, min: 7, max: 20 },
+      // null for nulliparous patients
+      ageAtFirstBirth: { type: Number, min: 10, max: 60, default: null },
+      firstDegreeRelatives: { type: Number, min: 0, max: 20, default: 0 },
+      biopsies: { type: Number, min: 0, max: 50, default: 0 },
+      atypicalHyperplasia: {
+        type: String,
+        enum: ATYPIA_VALUES,
+        default: 'unknown',
+      },
+      brcaStatus: {
+        type: String,
+        enum: BRCA_STATUSES,
+        default: 'not_tested',
+      },
+      priorBreastCancer: { type: Boolean, default: false },
+      chestRadiation: { type: Boolean, default: false },
+      breastDensity: { type: String, enum: BREAST_DENSITIES },
+      // Report the density was taken from, when not entered by hand
+      densityReport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiagnosticReport',
+      },
+    },
+    model: {
+      name: { type: String, default: 'gail' },
+      version: String,
+      // False when the patient is outside the population the model covers
+      applicable: { type: Boolean, required: true },
+      notApplicableReason: String,
+    },
+    // Fractions (0.2 = 20%); null when the model does not apply
+    fiveYearRisk: { type: Number, default: null },
+    lifetimeRisk: { type: Number, default: null },
+    fiveYearRiskUnadjusted: { type: Number, default: null },
+    lifetimeRiskUnadjusted: { type: Number, default: null },
+    relativeRisk: {
+      under50: Number,
+      from50: Number,
+    },
+    densityMultiplier: Number,
+    highRisk: { type: Boolean, required: true },
+    mriRecommended: { type: Boolean, required: true },
+    reasons: [String],
+    assessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Admin acting as assessedBy through impersonation
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+riskAssessmentSchema.index({ patient: 1, createdAt: -1 });
+
+// Method to summarize the assessment for Patient.riskProfile
+riskAssessmentSchema.methods.toRiskProfile = function () {
+  return {
+    assessment: this._id,
+    assessedAt: this.createdAt,
+    fiveYearRisk: this.fiveYearRisk,
+    lifetimeRisk: this.lifetimeRisk,
+    highRisk: this.highRisk,
+    mriRecommended: this.mriRecommended,
+    reasons: this.reasons,
+  };
+};
+
+// Static to rebuild Patient.riskProfile from a patient's latest assessment
+// (empty when the patient has none)
+riskAssessmentSchema.statics.latestRiskProfile = async function (
+  patientId,
+  session = null,
+) {
+  const latest = await this.findOne({ patient: patientId })
+    .sort({ createdAt: -1 })
+    .session(session);
+  return latest ? latest.toRiskProfile() : {};
+};
+
+const RiskAssessment = mongoose.model('RiskAssessment', riskAssessmentSchema);
+
+export default RiskAssessment;
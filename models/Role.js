@@ -0,0 +1,78 @@
+// models/Role.js
+import mongoose from 'mongoose';
+import {
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+} from '../config/permissions.js';
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    // Grants are set per institution; null holds those of unaffiliated users
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(isKnownPermission),
+        message: 'Unknown permission in role grants',
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+roleSchema.index({ institution: 1, name: 1 }, { unique: true });
+
+// Static to get a role's grants in an institution, falling back to the
+// built-in defaults
+roleSchema.statics.getPermissionsForRole = async function (
+  name,
+  institution = null,
+) {
+  const role = await this.findOne({ name, institution })
+    .select('permissions')
+    .lean();
+  return role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[name] || [];
+};
+
+// Static to list every role with its current grants in an institution
+roleSchema.statics.listWithDefaults = async function (institution = null) {
+  const stored = await this.find({ institution }).lean();
+  const byName = new Map(stored.map((role) => [role.name, role]));
+
+  return ROLES.map((name) => {
+    const role = byName.get(name);
+    return {
+      name,
+      description: role?.description || '',
+      permissions: role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[name],
+      isDefault: !role,
+      updatedBy: role?.updatedBy || null,
+      updatedAt: role?.updatedAt || null,
+    };
+  });
+};
+
+export const Role = mongoose.model('Role', roleSchema);
+export default Role;
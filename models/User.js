@@ -3,9 +3,55 @@ import bcrypt from 'bcryptjs';
 import validator from 'validator';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import Role from './Role.js';
+import { isKnownPermission, MEDICAL_ROLES } from '../config/permissions.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  generateRecoveryCodes,
+} from '../utils/totp.js';
+
+// Token types that may exist side by side (grouped by device session)
+const SESSION_TOKEN_TYPES = ['auth', 'refresh'];
+
+// Token types that accumulate rather than replacing earlier ones
+const MULTI_TOKEN_TYPES = [...SESSION_TOKEN_TYPES, 'api'];
+
+// Personal API keys: recognisable prefix, per-user cap and lifetime bounds
+const API_KEY_PREFIX = 'bbk_';
+const MAX_API_KEYS_PER_USER = 20;
+const MAX_API_KEY_LIFETIME_DAYS = 365;
+
+// Roles that must sign in with a second factor (overridable per deployment)
+const getTwoFactorRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || 'radiologist,admin')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+// Used refresh tokens kept per session to detect replay of rotated tokens
+const MAX_USED_REFRESH_TOKENS = 10;
+
+// Hash opaque tokens before storing them
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Build an error carrying a machine-readable code
+const tokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 const userSchema = new mongoose.Schema(
   {
+    // Human-readable ID assigned on creation by utils/userIdGenerator.js
+    userId: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
     firstName: {
       type: String,
       required: [true, 'First name is required'],
@@ -25,6 +71,31 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       validate: [validator.isEmail, 'Please provide a valid email'],
     },
+    // New address awaiting verification before it replaces email
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    phoneNumber: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) => !value || validator.isMobilePhone(value, 'any'),
+        message: 'Please provide a valid phone number',
+      },
+    },
+    // Square PNG renditions stored under users/<id>/avatar-<size>.png
+    avatar: {
+      sizes: [Number],
+      updatedAt: Date,
+    },
+    // Handwritten signature for report sign-off (transparent PNG)
+    signature: {
+      path: String,
+      updatedAt: Date,
+    },
     password: {
       type: String,
       required: [true, 'Password is required'],
@@ -56,9 +127,10 @@ const userSchema = new mongoose.Schema(
       },
     },
     institution: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
       ref: 'Institution',
       required: false,
+      index: true,
     },
     // Updated tokens array with named tokens
     tokens: [
@@ -70,7 +142,9 @@ const userSchema = new mongoose.Schema(
             'auth',
             'email_verification',
             'password_reset',
+            'refresh',
             'api',
+            'impersonation',
             'other',
           ],
         },
@@ -86,6 +160,42 @@ const userSchema = new mongoose.Schema(
           type: Date,
           required: true,
         },
+        // Session details for auth tokens
+        sessionId: {
+          type: String,
+        },
+        device: {
+          type: String,
+        },
+        ipAddress: {
+          type: String,
+        },
+        userAgent: {
+          type: String,
+        },
+        lastSeenAt: {
+          type: Date,
+        },
+        // Set once a refresh token has been rotated
+        usedAt: {
+          type: Date,
+        },
+        // API key details (only a hash of the key is stored in token)
+        label: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'API key name cannot exceed 100 characters'],
+        },
+        scopes: {
+          type: [String],
+          default: undefined,
+        },
+        keyPrefix: {
+          type: String,
+        },
+        lastUsedAt: {
+          type: Date,
+        },
         metadata: {
           type: Map,
           of: mongoose.Schema.Types.Mixed,
@@ -97,10 +207,102 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Identity at the institution's OpenID Connect provider
+    sso: {
+      institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+      },
+      subject: {
+        type: String,
+      },
+      lastLoginAt: {
+        type: Date,
+      },
+    },
     lastLogin: {
       type: Date,
     },
+    // Admin review of the professional license (unset for legacy accounts)
+    licenseApproval: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+      },
+      submittedAt: {
+        type: Date,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+      },
+    },
+    // Per-user adjustments on top of the role's permission grants
+    permissionOverrides: {
+      granted: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: (permissions) => permissions.every(isKnownPermission),
+          message: 'Unknown permission in granted overrides',
+        },
+      },
+      revoked: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: (permissions) => permissions.every(isKnownPermission),
+          message: 'Unknown permission in revoked overrides',
+        },
+      },
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrolment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted time step, to reject replayed codes
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    loginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
     passwordChangedAt: Date,
+    // Set by an admin: login is refused until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
     active: {
       type: Boolean,
       default: true,
@@ -119,6 +321,16 @@ userSchema.virtual('fullName').get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for the avatar URL exposed to clients
+userSchema.virtual('avatarUrl').get(function () {
+  return this.avatar?.sizes?.length ? `/api/users/${this._id}/avatar` : null;
+});
+
+// Virtual for account lockout state
+userSchema.virtual('isLocked').get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Virtual for mammograms uploaded by this user
 userSchema.virtual('mammograms', {
   ref: 'Mammogram',
@@ -126,12 +338,29 @@ userSchema.virtual('mammograms', {
   foreignField: 'uploadedBy',
 });
 
+// Index for single sign-on identity lookups
+userSchema.index(
+  { 'sso.institution': 1, 'sso.subject': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'sso.subject': { $exists: true } },
+  },
+);
+
+// Index for the license review queue
+userSchema.index({
+  'licenseApproval.status': 1,
+  'licenseApproval.submittedAt': 1,
+});
+
 // Pre-save hook to generate user ID
 userSchema.pre('save', async function (next) {
   if (this.isNew && !this.userId) {
     try {
       const { generateUserId } = await import('../utils/userIdGenerator.js');
-      this.userId = await generateUserId(this.role);
+      this.userId = await generateUserId(this.role, {
+        institution: this.institution,
+      });
       next();
     } catch (error) {
       next(error);
@@ -165,7 +394,7 @@ userSchema.pre('save', function (next) {
 });
 
 // Method to generate JWT token
-userSchema.methods.generateAuthToken = function () {
+userSchema.methods.generateAuthToken = function (sessionId) {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET environment variable is not defined');
   }
@@ -178,23 +407,36 @@ userSchema.methods.generateAuthToken = function () {
     isVerified: this.isVerified,
     ...(this.role !== 'patient' && { specialization: this.specialization }),
     ...(this.institution && { institution: this.institution }),
+    ...(sessionId && { sid: sessionId }),
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: this.constructor.tokenLifetimes().access,
   });
 };
 
+// Static with access and refresh token lifetimes
+userSchema.statics.tokenLifetimes = function () {
+  return {
+    access: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    refresh: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+    impersonation: process.env.IMPERSONATION_EXPIRES_IN || '30m',
+  };
+};
+
 // Method to generate email verification token
-userSchema.methods.generateEmailVerificationToken = function () {
+// A different address makes it an email change token for that address
+userSchema.methods.generateEmailVerificationToken = function (
+  email = this.email,
+) {
   if (!process.env.JWT_EMAIL_SECRET) {
     throw new Error('JWT_EMAIL_SECRET environment variable is not defined');
   }
 
   const payload = {
     userId: this._id,
-    email: this.email,
-    purpose: 'email_verification',
+    email,
+    purpose: email === this.email ? 'email_verification' : 'email_change',
   };
 
   return jwt.sign(payload, process.env.JWT_EMAIL_SECRET, {
@@ -208,6 +450,7 @@ userSchema.methods.saveToken = async function (
   token,
   expiresIn = '7d',
   metadata = {},
+  sessionInfo = {},
 ) {
   const expiresInMs = this._convertExpiresToMs(expiresIn);
   const expiresAt = new Date(Date.now() + expiresInMs);
@@ -217,10 +460,13 @@ userSchema.methods.saveToken = async function (
     token,
     expiresAt,
     metadata,
+    ...sessionInfo,
   };
 
-  // Remove existing tokens with same name
-  this.tokens = this.tokens.filter((t) => t.name !== name);
+  // Session tokens and API keys accumulate; other types replace earlier ones
+  if (!MULTI_TOKEN_TYPES.includes(name)) {
+    this.tokens = this.tokens.filter((t) => t.name !== name);
+  }
 
   // Add new token
   this.tokens.push(tokenObj);
@@ -255,8 +501,15 @@ userSchema.methods.removeTokenByValue = async function (token) {
 };
 
 // Method to remove all tokens (for logout from all devices)
-userSchema.methods.removeAllTokens = async function () {
-  this.tokens = [];
+// Optionally limited to some token types and sparing one session
+userSchema.methods.removeAllTokens = async function (options = {}) {
+  const { types = null, exceptSessionId = null } = options;
+
+  this.tokens = this.tokens.filter(
+    (tokenObj) =>
+      (types && !types.includes(tokenObj.name)) ||
+      (exceptSessionId && tokenObj.sessionId === exceptSessionId),
+  );
   await this.save();
 };
 
@@ -291,30 +544,403 @@ userSchema.methods.cleanupExpiredTokens = async function () {
   return initialLength - this.tokens.length;
 };
 
-// Save auth token (combines generate and save)
-userSchema.methods.generateAndSaveAuthToken = async function () {
-  const token = this.generateAuthToken();
+// Save auth token (combines generate and save) for a device session
+// A new session is opened unless context.sessionId names an existing one
+userSchema.methods.generateAndSaveAuthToken = async function (context = {}) {
+  const sessionId = context.sessionId || crypto.randomUUID();
+
+  if (!this.tokens.some((t) => t.sessionId === sessionId)) {
+    this._dropOldestSessions();
+  }
+
+  const token = this.generateAuthToken(sessionId);
   return await this.saveToken(
     'auth',
     token,
-    process.env.JWT_EXPIRES_IN || '7d',
+    this.constructor.tokenLifetimes().access,
     {
-      device: 'web',
+      device: context.device || 'web',
       createdAt: new Date(),
     },
+    this._sessionInfo(sessionId, context),
+  );
+};
+
+// Save a hashed refresh token for a device session, returning the raw value
+userSchema.methods.generateAndSaveRefreshToken = async function (
+  sessionId,
+  context = {},
+) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await this.saveToken(
+    'refresh',
+    hashToken(refreshToken),
+    this.constructor.tokenLifetimes().refresh,
+    {
+      purpose: 'refresh',
+      createdAt: new Date(),
+    },
+    this._sessionInfo(sessionId, context),
+  );
+
+  return refreshToken;
+};
+
+// Method to exchange a refresh token for a new access/refresh pair
+// Presenting an already rotated token revokes the whole session family
+userSchema.methods.rotateRefreshToken = async function (
+  refreshToken,
+  context = {},
+) {
+  const hashedToken = hashToken(refreshToken);
+  const tokenObj = this.tokens.find(
+    (t) =>
+      t.name === 'refresh' &&
+      t.token === hashedToken &&
+      t.expiresAt > new Date(),
+  );
+
+  if (!tokenObj) {
+    throw tokenError('Invalid or expired refresh token', 'INVALID_TOKEN');
+  }
+
+  const { sessionId } = tokenObj;
+
+  if (tokenObj.usedAt) {
+    this.tokens = this.tokens.filter((t) => t.sessionId !== sessionId);
+    await this.save();
+    throw tokenError('Refresh token reuse detected', 'TOKEN_REUSED');
+  }
+
+  tokenObj.usedAt = new Date();
+
+  // Drop the session's old access token and the oldest used refresh tokens
+  const usedRefreshTokens = this.tokens
+    .filter(
+      (t) => t.name === 'refresh' && t.sessionId === sessionId && t.usedAt,
+    )
+    .sort((a, b) => b.usedAt - a.usedAt);
+  const expired = new Set(usedRefreshTokens.slice(MAX_USED_REFRESH_TOKENS));
+  this.tokens = this.tokens.filter(
+    (t) => !expired.has(t) && !(t.name === 'auth' && t.sessionId === sessionId),
+  );
+
+  const sessionContext = {
+    sessionId,
+    device: tokenObj.device,
+    ipAddress: context.ipAddress || tokenObj.ipAddress,
+    userAgent: context.userAgent || tokenObj.userAgent,
+  };
+
+  const authToken = await this.generateAndSaveAuthToken(sessionContext);
+  const newRefreshToken = await this.generateAndSaveRefreshToken(
+    sessionId,
+    sessionContext,
+  );
+
+  return { authToken, refreshToken: newRefreshToken, sessionId };
+};
+
+// Helper to build the session fields stored on auth and refresh tokens
+userSchema.methods._sessionInfo = function (sessionId, context = {}) {
+  return {
+    sessionId,
+    device: context.device || 'web',
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    lastSeenAt: new Date(),
+  };
+};
+
+// Helper to drop the oldest sessions once the per-user limit is reached
+userSchema.methods._dropOldestSessions = function () {
+  const maxSessions = parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 10;
+  const sessions = this.getSessions().sort((a, b) => a.createdAt - b.createdAt);
+  const excess = sessions.length - maxSessions + 1;
+
+  if (excess > 0) {
+    const dropped = new Set(
+      sessions.slice(0, excess).map((session) => session.sessionId),
+    );
+    this.tokens = this.tokens.filter(
+      (t) => !(t.sessionId && dropped.has(t.sessionId)),
+    );
+  }
+};
+
+// Method to check that an auth token still belongs to a live session
+userSchema.methods.hasActiveSession = function (token) {
+  const now = new Date();
+  return this.tokens.some(
+    (t) => t.name === 'auth' && t.token === token && t.expiresAt > now,
+  );
+};
+
+// Method to list active device sessions (auth and refresh tokens grouped)
+userSchema.methods.getSessions = function () {
+  const now = new Date();
+  const sessions = new Map();
+
+  this.tokens
+    .filter(
+      (t) =>
+        SESSION_TOKEN_TYPES.includes(t.name) && t.expiresAt > now && !t.usedAt,
+    )
+    .forEach((t) => {
+      const key = t.sessionId || t.token;
+      const existing = sessions.get(key);
+
+      sessions.set(key, {
+        sessionId: t.sessionId,
+        device: t.device,
+        ipAddress: t.ipAddress,
+        userAgent: t.userAgent,
+        createdAt:
+          existing && existing.createdAt < t.createdAt
+            ? existing.createdAt
+            : t.createdAt,
+        lastSeenAt:
+          existing && existing.lastSeenAt > t.lastSeenAt
+            ? existing.lastSeenAt
+            : t.lastSeenAt,
+        expiresAt:
+          existing && existing.expiresAt > t.expiresAt
+            ? existing.expiresAt
+            : t.expiresAt,
+      });
+    });
+
+  return [...sessions.values()];
+};
+
+// Method to revoke a single device session
+userSchema.methods.revokeSession = async function (sessionId) {
+  const initialLength = this.tokens.length;
+  this.tokens = this.tokens.filter((t) => t.sessionId !== sessionId);
+
+  if (this.tokens.length === initialLength) {
+    return false;
+  }
+
+  await this.save();
+  return true;
+};
+
+// Method to record session activity (throttled to one write per minute)
+userSchema.methods.touchSession = async function (token) {
+  const tokenObj = this.tokens.find(
+    (t) => t.name === 'auth' && t.token === token,
+  );
+  if (!tokenObj) return;
+
+  if (tokenObj.lastSeenAt && Date.now() - tokenObj.lastSeenAt < 60 * 1000) {
+    return;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, 'tokens._id': tokenObj._id },
+    { $set: { 'tokens.$.lastSeenAt': new Date() } },
+  );
+};
+
+// Method to open a time-boxed session acting as another user
+// The token carries the target as subject and this admin as actor (act);
+// it lives on the admin so ending or revoking it never touches the target
+userSchema.methods.generateAndSaveImpersonationToken = async function (
+  target,
+  context = {},
+) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is not defined');
+  }
+
+  const sessionId = crypto.randomUUID();
+  const expiresIn = this.constructor.tokenLifetimes().impersonation;
+
+  const token = jwt.sign(
+    {
+      _id: target._id,
+      userId: target.userId,
+      role: target.role,
+      email: target.email,
+      ...(target.institution && { institution: target.institution }),
+      sid: sessionId,
+      act: { _id: this._id, email: this.email },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn },
+  );
+
+  // Only one impersonation at a time: saving replaces any earlier one
+  await this.saveToken(
+    'impersonation',
+    token,
+    expiresIn,
+    { targetUser: target._id, reason: context.reason },
+    this._sessionInfo(sessionId, context),
+  );
+
+  return {
+    token,
+    sessionId,
+    expiresAt: this.getTokenObject('impersonation').expiresAt,
+  };
+};
+
+// Method to check that an impersonation token is still open
+userSchema.methods.hasImpersonationSession = function (token) {
+  const now = new Date();
+  return this.tokens.some(
+    (t) => t.name === 'impersonation' && t.token === token && t.expiresAt > now,
+  );
+};
+
+// Method to describe the open impersonation session, if any
+userSchema.methods.getImpersonationSession = function () {
+  const tokenObj = this.getTokenObject('impersonation');
+  if (!tokenObj) return null;
+
+  return {
+    sessionId: tokenObj.sessionId,
+    targetUser: tokenObj.metadata?.get('targetUser'),
+    reason: tokenObj.metadata?.get('reason'),
+    createdAt: tokenObj.createdAt,
+    expiresAt: tokenObj.expiresAt,
+  };
+};
+
+// Method to create a personal API key; the plain key is only returned here
+userSchema.methods.createApiKey = async function ({
+  label,
+  scopes,
+  expiresInDays = 90,
+}) {
+  const now = new Date();
+  const activeKeys = this.tokens.filter(
+    (t) => t.name === 'api' && t.expiresAt > now,
+  );
+
+  if (activeKeys.length >= MAX_API_KEYS_PER_USER) {
+    throw tokenError(
+      `You can have at most ${MAX_API_KEYS_PER_USER} active API keys`,
+      'API_KEY_LIMIT',
+    );
+  }
+
+  const days = Math.min(
+    Math.max(parseInt(expiresInDays, 10) || 90, 1),
+    MAX_API_KEY_LIFETIME_DAYS,
+  );
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const hashedKey = hashToken(key);
+
+  await this.saveToken(
+    'api',
+    hashedKey,
+    `${days}d`,
+    {},
+    {
+      label,
+      scopes: [...new Set(scopes)],
+      keyPrefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    },
+  );
+
+  const tokenObj = this.tokens.find((t) => t.token === hashedKey);
+
+  return { key, apiKey: this._apiKeySummary(tokenObj) };
+};
+
+// Helper to describe an API key without exposing its hash
+userSchema.methods._apiKeySummary = function (tokenObj) {
+  return {
+    id: tokenObj._id,
+    name: tokenObj.label,
+    prefix: tokenObj.keyPrefix,
+    scopes: tokenObj.scopes || [],
+    createdAt: tokenObj.createdAt,
+    expiresAt: tokenObj.expiresAt,
+    lastUsedAt: tokenObj.lastUsedAt || null,
+  };
+};
+
+// Method to list active API keys
+userSchema.methods.getApiKeys = function () {
+  const now = new Date();
+  return this.tokens
+    .filter((t) => t.name === 'api' && t.expiresAt > now)
+    .map((t) => this._apiKeySummary(t));
+};
+
+// Method to revoke an API key by id
+userSchema.methods.revokeApiKey = async function (keyId) {
+  const initialLength = this.tokens.length;
+  this.tokens = this.tokens.filter(
+    (t) => !(t.name === 'api' && t._id.toString() === keyId.toString()),
+  );
+
+  if (this.tokens.length === initialLength) {
+    return false;
+  }
+
+  await this.save();
+  return true;
+};
+
+// Method to look up the stored token entry for a plain API key
+userSchema.methods.getApiKeyToken = function (key) {
+  const hashedKey = hashToken(key);
+  return this.tokens.find(
+    (t) =>
+      t.name === 'api' && t.token === hashedKey && t.expiresAt > new Date(),
+  );
+};
+
+// Method to record API key usage (throttled to one write per minute)
+userSchema.methods.touchApiKey = async function (tokenObj) {
+  if (tokenObj.lastUsedAt && Date.now() - tokenObj.lastUsedAt < 60 * 1000) {
+    return;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, 'tokens._id': tokenObj._id },
+    { $set: { 'tokens.$.lastUsedAt': new Date() } },
   );
 };
 
 // Save email verification token
-userSchema.methods.generateAndSaveEmailVerificationToken = async function () {
-  let token = this.generateEmailVerificationToken();
+userSchema.methods.generateAndSaveEmailVerificationToken = async function (
+  email = this.email,
+) {
+  let token = this.generateEmailVerificationToken(email);
   token = token.trim();
   return await this.saveToken('email_verification', token, '24h', {
-    purpose: 'verify_email',
+    purpose: email === this.email ? 'verify_email' : 'change_email',
     generatedAt: new Date(),
   });
 };
 
+// Method to start an email change: the new address must verify the token
+userSchema.methods.requestEmailChange = async function (newEmail) {
+  this.pendingEmail = newEmail.toLowerCase().trim();
+  return await this.generateAndSaveEmailVerificationToken(this.pendingEmail);
+};
+
+// Method to apply a verified email change (requires +pendingEmail)
+userSchema.methods.applyEmailChange = async function (email) {
+  if (!this.pendingEmail || this.pendingEmail !== email) {
+    throw tokenError('Email change is no longer pending', 'EMAIL_CHANGE_STALE');
+  }
+
+  this.email = this.pendingEmail;
+  this.pendingEmail = undefined;
+  this.isVerified = true;
+  this.tokens = this.tokens.filter((t) => t.name !== 'email_verification');
+  await this.save();
+};
+
 // Method to verify email using token
 userSchema.methods.verifyEmailWithToken = async function () {
   const tokenObj = this.getTokenObject('email_verification');
@@ -340,7 +966,10 @@ userSchema.methods.verifyEmailWithToken = async function () {
 };
 
 // Method to create password reset token
-userSchema.methods.createPasswordResetToken = function () {
+// Links for accounts created by an admin live longer than self-service ones
+userSchema.methods.createPasswordResetToken = async function (
+  expiresIn = '10m',
+) {
   const resetToken = crypto.randomBytes(32).toString('hex');
 
   const hashedToken = crypto
@@ -349,7 +978,7 @@ userSchema.methods.createPasswordResetToken = function () {
     .digest('hex');
 
   // Save as named token
-  this.saveToken('password_reset', hashedToken, '10m', {
+  await this.saveToken('password_reset', hashedToken, expiresIn, {
     purpose: 'password_reset',
     createdAt: new Date(),
   });
@@ -369,6 +998,47 @@ userSchema.methods.verifyPasswordResetToken = function (token) {
   return tokenObj.token === hashedToken;
 };
 
+// Static to find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function (token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  return this.findOne({
+    tokens: {
+      $elemMatch: {
+        name: 'password_reset',
+        token: hashedToken,
+        expiresAt: { $gt: new Date() },
+      },
+    },
+  });
+};
+
+// Static to find the user owning a refresh token (current or rotated)
+userSchema.statics.findByRefreshToken = function (refreshToken) {
+  return this.findOne({
+    tokens: {
+      $elemMatch: {
+        name: 'refresh',
+        token: hashToken(refreshToken),
+        expiresAt: { $gt: new Date() },
+      },
+    },
+  });
+};
+
+// Static to find the user owning an unexpired API key
+userSchema.statics.findByApiKey = function (key) {
+  return this.findOne({
+    tokens: {
+      $elemMatch: {
+        name: 'api',
+        token: hashToken(key),
+        expiresAt: { $gt: new Date() },
+      },
+    },
+  });
+};
+
 // Method to remove password reset token after use
 userSchema.methods.removePasswordResetToken = async function () {
   await this.removeToken('password_reset');
@@ -407,6 +1077,155 @@ userSchema.methods.correctPassword = async function (
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Method to record a failed login and lock the account once the limit is hit
+userSchema.methods.incrementLoginAttempts = async function () {
+  // Previous lock has expired - restart the counter
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return await this.updateOne({
+      $set: { loginAttempts: 1 },
+      $unset: { lockUntil: 1 },
+    });
+  }
+
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+  const updates = { $inc: { loginAttempts: 1 } };
+  if ((this.loginAttempts || 0) + 1 >= maxAttempts && !this.isLocked) {
+    updates.$set = {
+      lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+    };
+  }
+
+  return await this.updateOne(updates);
+};
+
+// Method to clear failed login state (persisted on next save)
+userSchema.methods.resetLoginAttempts = function () {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Method to check whether clinical access is blocked pending license review
+userSchema.methods.isLicenseApprovalOutstanding = function () {
+  return (
+    MEDICAL_ROLES.includes(this.role) &&
+    ['pending', 'rejected'].includes(this.licenseApproval?.status)
+  );
+};
+
+// Method to queue the license for admin review
+userSchema.methods.submitLicenseForApproval = function () {
+  this.licenseApproval = {
+    status: 'pending',
+    submittedAt: new Date(),
+  };
+};
+
+// Method to record an admin's license decision
+userSchema.methods.reviewLicense = function (decision, reviewerId, reason) {
+  this.licenseApproval.status = decision;
+  this.licenseApproval.reviewedBy = reviewerId;
+  this.licenseApproval.reviewedAt = new Date();
+  this.licenseApproval.reason = reason || undefined;
+};
+
+// Method to resolve role grants plus per-user overrides
+userSchema.methods.getEffectivePermissions = async function () {
+  const rolePermissions = await Role.getPermissionsForRole(
+    this.role,
+    this.institution ?? null,
+  );
+  const granted = this.permissionOverrides?.granted || [];
+  const revoked = this.permissionOverrides?.revoked || [];
+
+  return [...new Set([...rolePermissions, ...granted])].filter(
+    (permission) => !revoked.includes(permission),
+  );
+};
+
+// Method to check whether the role policy makes 2FA mandatory
+userSchema.methods.requiresTwoFactor = function () {
+  return getTwoFactorRequiredRoles().includes(this.role);
+};
+
+// Method to issue a short-lived token for the second login step
+// purpose is 'mfa_pending' (code required) or 'mfa_enrolment' (setup required)
+userSchema.methods.generateMfaToken = function (purpose = 'mfa_pending') {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is not defined');
+  }
+
+  return jwt.sign({ _id: this._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: purpose === 'mfa_enrolment' ? '10m' : '5m',
+  });
+};
+
+// Method to start TOTP enrolment (requires +twoFactor.pendingSecret)
+userSchema.methods.startTwoFactorEnrolment = function () {
+  this.twoFactor.pendingSecret = generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Method to confirm enrolment with a code from the authenticator app
+// Returns the plain recovery codes, or null if the code is wrong
+userSchema.methods.confirmTwoFactorEnrolment = function (code) {
+  const { pendingSecret } = this.twoFactor;
+  if (!pendingSecret) return null;
+
+  const step = verifyTOTP(pendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactor.secret = pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+
+  return this.regenerateRecoveryCodes();
+};
+
+// Method to verify a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) return false;
+
+  const step = verifyTOTP(this.twoFactor.secret, code, {
+    lastUsedStep: this.twoFactor.lastUsedStep ?? null,
+  });
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a single-use recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashedCode = hashToken((code || '').toString().trim().toLowerCase());
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hashedCode)) return false;
+
+  this.twoFactor.recoveryCodes = codes.filter((c) => c !== hashedCode);
+  return true;
+};
+
+// Method to replace recovery codes, returning the plain values once
+userSchema.methods.regenerateRecoveryCodes = function () {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Method to turn 2FA off and forget the secret
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.enabledAt = undefined;
+};
+
 // Method to check if password was changed after token was issued
 userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   if (this.passwordChangedAt) {
@@ -436,8 +1255,11 @@ userSchema.methods.resendVerificationEmail = async function () {
 };
 
 // Query middleware to filter out inactive users
+// Queries that filter on active themselves (user administration) opt out
 userSchema.pre(/^find/, function (next) {
-  this.find({ active: { $ne: false } });
+  if (this.getFilter().active === undefined) {
+    this.find({ active: { $ne: false } });
+  }
   next();
 });
 
@@ -0,0 +1,163 @@
+import express from 'express';
+import {
+  getPermissionCatalogue,
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+  getUserPermissions,
+  updateUserPermissions,
+} from '../controllers/permission.controller.js';
+import {
+  getLicenseApprovals,
+  approveLicense,
+  rejectLicense,
+} from '../controllers/licenseApproval.controller.js';
+import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+} from '../controllers/invitation.controller.js';
+import { getAuthEvents } from '../controllers/authEvent.controller.js';
+import {
+  getAllAdmins,
+  getUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getUserSessions,
+  previewUserIds,
+} from '../controllers/admin.controller.js';
+import { importUsers } from '../controllers/userImport.controller.js';
+import { startImpersonation } from '../controllers/impersonation.controller.js';
+import {
+  auth,
+  forbidImpersonation,
+  requirePermission,
+  requireSession,
+} from '../middleware/auth.js';
+import { csvUpload } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Administration is only available from an admin's own interactive session
+router.use(auth, requireSession, forbidImpersonation);
+
+// User management
+router.get('/users', requirePermission(['users:manage']), getUsers);
+router.post(
+  '/users/import',
+  requirePermission(['users:manage']),
+  csvUpload('file'),
+  importUsers,
+);
+router.get('/admins', requirePermission(['users:manage']), getAllAdmins);
+router.get('/users/:userId', requirePermission(['users:manage']), getUser);
+router.patch(
+  '/users/:userId/role',
+  requirePermission(['users:manage']),
+  updateUserRole,
+);
+router.post(
+  '/users/:userId/deactivate',
+  requirePermission(['users:manage']),
+  deactivateUser,
+);
+router.post(
+  '/users/:userId/reactivate',
+  requirePermission(['users:manage']),
+  reactivateUser,
+);
+router.post(
+  '/users/:userId/password-reset',
+  requirePermission(['users:manage']),
+  forcePasswordReset,
+);
+router.get(
+  '/users/:userId/sessions',
+  requirePermission(['users:manage']),
+  getUserSessions,
+);
+
+router.get(
+  '/user-ids/preview',
+  requirePermission(['users:manage']),
+  previewUserIds,
+);
+
+// Roles and permissions
+router.get(
+  '/permissions',
+  requirePermission(['roles:manage']),
+  getPermissionCatalogue,
+);
+router.get('/roles', requirePermission(['roles:manage']), getRoles);
+router.put(
+  '/roles/:role',
+  requirePermission(['roles:manage']),
+  updateRolePermissions,
+);
+router.post(
+  '/roles/:role/reset',
+  requirePermission(['roles:manage']),
+  resetRolePermissions,
+);
+router.get(
+  '/users/:userId/permissions',
+  requirePermission(['roles:manage']),
+  getUserPermissions,
+);
+router.put(
+  '/users/:userId/permissions',
+  requirePermission(['roles:manage']),
+  updateUserPermissions,
+);
+
+// Professional license review queue
+router.get(
+  '/license-approvals',
+  requirePermission(['licenses:review']),
+  getLicenseApprovals,
+);
+router.post(
+  '/license-approvals/:userId/approve',
+  requirePermission(['licenses:review']),
+  approveLicense,
+);
+router.post(
+  '/license-approvals/:userId/reject',
+  requirePermission(['licenses:review']),
+  rejectLicense,
+);
+
+// Staff invitations
+router.get('/invitations', requirePermission(['users:manage']), getInvitations);
+router.post(
+  '/invitations',
+  requirePermission(['users:manage']),
+  createInvitation,
+);
+router.post(
+  '/invitations/:invitationId/resend',
+  requirePermission(['users:manage']),
+  resendInvitation,
+);
+router.delete(
+  '/invitations/:invitationId',
+  requirePermission(['users:manage']),
+  revokeInvitation,
+);
+
+// Troubleshooting: act as a user to see what they see
+router.post(
+  '/users/:userId/impersonate',
+  requirePermission(['users:impersonate']),
+  startImpersonation,
+);
+
+// Authentication and access audit log
+router.get('/auth-events', requirePermission(['audit:read']), getAuthEvents);
+
+export default router;
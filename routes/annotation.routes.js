@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  addImageAnnotation,
+  deleteImageAnnotation,
+  updateImageAnnotation,
+  getImageAnnotations,
+} from '../controllers/annotationController.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/:caseId/images/:imageId',
+  requireScope('annotations:read'),
+  requirePermission(['annotations:read']),
+  getImageAnnotations,
+);
+router.post(
+  '/:caseId/images/:imageId',
+  requireScope('annotations:write'),
+  requirePermission(['annotations:write']),
+  addImageAnnotation,
+);
+router.put(
+  '/:caseId/images/:imageId/:annotationId',
+  requireScope('annotations:write'),
+  requirePermission(['annotations:write']),
+  updateImageAnnotation,
+);
+router.delete(
+  '/:caseId/images/:imageId/:annotationId',
+  requireScope('annotations:write'),
+  requirePermission(['annotations:write']),
+  deleteImageAnnotation,
+);
+
+export default router;
@@ -1,8 +1,102 @@
 import express from 'express';
-import { registerUser } from '../controllers/auth.controller.js';
+import {
+  registerUser,
+  loginUser,
+  logoutUser,
+  refreshAccessToken,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactorLogin,
+} from '../controllers/auth.controller.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactor.controller.js';
+import {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from '../controllers/apiKey.controller.js';
+import {
+  getInvitationByToken,
+  acceptInvitation,
+} from '../controllers/invitation.controller.js';
+import {
+  getSsoProvider,
+  startSsoLogin,
+  ssoCallback,
+} from '../controllers/sso.controller.js';
+import { endImpersonation } from '../controllers/impersonation.controller.js';
+import {
+  auth,
+  authOrMfaEnrolment,
+  forbidImpersonation,
+  requireSession,
+} from '../middleware/auth.js';
+import {
+  loginLimiter,
+  passwordResetLimiter,
+  invitationLimiter,
+} from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+// Account security needs the user's own session: no API keys, no impersonation
+const ownSession = [auth, requireSession, forbidImpersonation];
+
 router.post('/register', registerUser);
+router.post('/login', loginLimiter, loginUser);
+router.post('/login/2fa', loginLimiter, verifyTwoFactorLogin);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', ...ownSession, logoutUser);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, resetPassword);
+
+// Invitation-based onboarding for staff accounts
+router.get('/invitations/:token', invitationLimiter, getInvitationByToken);
+router.post('/invitations/accept', invitationLimiter, acceptInvitation);
+
+// OpenID Connect single sign-on (callback before the slug routes)
+router.get('/sso/callback', ssoCallback);
+router.get('/sso/:slug', getSsoProvider);
+router.get('/sso/:slug/login', loginLimiter, startSsoLogin);
+
+// Leave an impersonation session (with its token or the admin's own session)
+router.delete('/impersonation', auth, requireSession, endImpersonation);
+
+// Device session management
+router.get('/sessions', ...ownSession, getSessions);
+router.delete('/sessions', ...ownSession, revokeAllSessions);
+router.delete('/sessions/:sessionId', ...ownSession, revokeSession);
+
+// Two-factor authentication
+router.get('/2fa', ...ownSession, getTwoFactorStatus);
+router.post(
+  '/2fa/setup',
+  authOrMfaEnrolment,
+  requireSession,
+  forbidImpersonation,
+  setupTwoFactor,
+);
+router.post(
+  '/2fa/enable',
+  authOrMfaEnrolment,
+  requireSession,
+  forbidImpersonation,
+  enableTwoFactor,
+);
+router.post('/2fa/disable', ...ownSession, disableTwoFactor);
+router.post('/2fa/recovery-codes', ...ownSession, regenerateRecoveryCodes);
+
+// Personal API keys for integrations (managed from an interactive session)
+router.get('/api-keys', ...ownSession, listApiKeys);
+router.post('/api-keys', ...ownSession, createApiKey);
+router.delete('/api-keys/:keyId', ...ownSession, revokeApiKey);
 
 export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import {
+  getDashboardStatistics,
+  getCasesWithFilters,
+  getCaseById,
+  createCase,
+  updateCaseStatus,
+  assignCaseToRadiologist,
+  searchCases,
+  runImageAnalysis,
+} from '../controllers/caseController.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+// Cases created with images also need the image upload scope
+const imageUploadScope = requireScope('images:upload');
+const requireImageScope = (req, res, next) =>
+  req.body?.images?.length ? imageUploadScope(req, res, next) : next();
+
+router.get(
+  '/dashboard/statistics',
+  requireScope('cases:read'),
+  requirePermission(['dashboard:read']),
+  getDashboardStatistics,
+);
+router.get(
+  '/search',
+  requireScope('cases:read'),
+  requirePermission(['cases:read']),
+  searchCases,
+);
+router.get(
+  '/',
+  requireScope('cases:read'),
+  requirePermission(['cases:read']),
+  getCasesWithFilters,
+);
+router.get(
+  '/:id',
+  requireScope('cases:read'),
+  requirePermission(['cases:read']),
+  getCaseById,
+);
+router.post(
+  '/',
+  requireScope('cases:write'),
+  requireImageScope,
+  requirePermission(['cases:create']),
+  createCase,
+);
+router.patch(
+  '/:id/status',
+  requireScope('cases:write'),
+  requirePermission(['cases:update']),
+  updateCaseStatus,
+);
+router.patch(
+  '/:id/assign',
+  requireScope('cases:write'),
+  requirePermission(['cases:assign']),
+  assignCaseToRadiologist,
+);
+router.post(
+  '/:id/images/:imageId/analysis',
+  requireScope('cases:write'),
+  requirePermission(['analysis:run']),
+  runImageAnalysis,
+);
+
+export default router;
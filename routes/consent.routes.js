@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getCurrentConsentForms,
+  getConsentFormVersions,
+  publishConsentForm,
+  getPatientConsents,
+  recordPatientConsent,
+} from '../controllers/consent.controller.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+  requireSession,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/forms',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getCurrentConsentForms,
+);
+router.get(
+  '/forms/:type/versions',
+  requireSession,
+  requirePermission(['consents:manage']),
+  getConsentFormVersions,
+);
+router.post(
+  '/forms/:type',
+  requireSession,
+  requirePermission(['consents:manage']),
+  publishConsentForm,
+);
+router.get(
+  '/patients/:patientId',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getPatientConsents,
+);
+router.post(
+  '/patients/:patientId',
+  requireScope('patients:write'),
+  requirePermission(['patients:write']),
+  recordPatientConsent,
+);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getDensityNotifications,
+  downloadDensityLetter,
+  markDensityLetterSent,
+} from '../controllers/density.controller.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/',
+  requireScope('reports:read'),
+  requirePermission(['letters:manage']),
+  getDensityNotifications,
+);
+router.get(
+  '/:id/letter',
+  requireScope('reports:read'),
+  requirePermission(['letters:manage']),
+  downloadDensityLetter,
+);
+router.post(
+  '/:id/sent',
+  requireScope('reports:write'),
+  requirePermission(['letters:manage']),
+  markDensityLetterSent,
+);
+
+export default router;
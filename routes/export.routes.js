@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  exportCaseReport,
+  exportResearchDataset,
+} from '../controllers/exportController.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get(
+  '/cases/:caseId',
+  auth,
+  requireApproved,
+  requireScope('exports:read'),
+  requirePermission(['exports:create']),
+  exportCaseReport,
+);
+// De-identified data leaving the clinical workflow: consenting patients only
+router.get(
+  '/research',
+  auth,
+  requireApproved,
+  requireScope('exports:read'),
+  requirePermission(['exports:research']),
+  exportResearchDataset,
+);
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import {
+  getCurrentInstitution,
+  updateCurrentInstitution,
+  uploadInstitutionLogo,
+  getInstitutionLogo,
+  getCurrentInstitutionMembers,
+  getInstitutions,
+  createInstitution,
+  updateInstitution,
+  addInstitutionMember,
+  removeInstitutionMember,
+} from '../controllers/institution.controller.js';
+import {
+  getSsoConfig,
+  updateSsoConfig,
+} from '../controllers/sso.controller.js';
+import { auth, requirePermission, requireSession } from '../middleware/auth.js';
+import { imageUpload } from '../middleware/upload.js';
+
+const router = express.Router();
+
+router.use(auth);
+
+// The user's own institution
+router.get('/current', requireSession, getCurrentInstitution);
+router.patch(
+  '/current',
+  requireSession,
+  requirePermission(['institution:manage']),
+  updateCurrentInstitution,
+);
+router.post(
+  '/current/logo',
+  requireSession,
+  requirePermission(['institution:manage']),
+  imageUpload('logo'),
+  uploadInstitutionLogo,
+);
+router.get(
+  '/current/sso',
+  requireSession,
+  requirePermission(['institution:manage']),
+  getSsoConfig,
+);
+router.put(
+  '/current/sso',
+  requireSession,
+  requirePermission(['institution:manage']),
+  updateSsoConfig,
+);
+router.get(
+  '/current/members',
+  requireSession,
+  requirePermission(['users:manage']),
+  getCurrentInstitutionMembers,
+);
+router.get('/:id/logo', requireSession, getInstitutionLogo);
+
+// Platform operators manage institutions across tenants
+router.get(
+  '/',
+  requireSession,
+  requirePermission(['institutions:manage']),
+  getInstitutions,
+);
+router.post(
+  '/',
+  requireSession,
+  requirePermission(['institutions:manage']),
+  createInstitution,
+);
+router.patch(
+  '/:id',
+  requireSession,
+  requirePermission(['institutions:manage']),
+  updateInstitution,
+);
+router.post(
+  '/:id/members',
+  requireSession,
+  requirePermission(['institutions:manage']),
+  addInstitutionMember,
+);
+router.delete(
+  '/:id/members/:userId',
+  requireSession,
+  requirePermission(['institutions:manage']),
+  removeInstitutionMember,
+);
+
+export default router;
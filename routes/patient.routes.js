@@ -0,0 +1,137 @@
+import express from 'express';
+import {
+  getPatients,
+  searchPatients,
+  getPatientById,
+  getPatientTimeline,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  getPatientDuplicates,
+  getDuplicateQueue,
+  mergePatient,
+  unmergePatient,
+  getMergeLogs,
+  linkPortalAccount,
+} from '../controllers/patientController.js';
+import {
+  createRiskAssessment,
+  getRiskAssessments,
+  getHighRiskPatients,
+} from '../controllers/riskAssessment.controller.js';
+import { getPatientDensityHistory } from '../controllers/density.controller.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/search',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  searchPatients,
+);
+router.get(
+  '/high-risk',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getHighRiskPatients,
+);
+router.get(
+  '/duplicates',
+  requireScope('patients:read'),
+  requirePermission(['patients:merge']),
+  getDuplicateQueue,
+);
+router.get(
+  '/merges',
+  requireScope('patients:read'),
+  requirePermission(['patients:merge']),
+  getMergeLogs,
+);
+router.post(
+  '/merges/:logId/undo',
+  requireScope('patients:write'),
+  requirePermission(['patients:merge']),
+  unmergePatient,
+);
+router.get(
+  '/',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getPatients,
+);
+router.get(
+  '/:id',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getPatientById,
+);
+router.get(
+  '/:id/duplicates',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getPatientDuplicates,
+);
+router.get(
+  '/:id/timeline',
+  requireScope('reports:read'),
+  requirePermission(['patients:read', 'reports:read']),
+  getPatientTimeline,
+);
+router.get(
+  '/:id/density-history',
+  requireScope('reports:read'),
+  requirePermission(['reports:read']),
+  getPatientDensityHistory,
+);
+router.get(
+  '/:id/risk-assessments',
+  requireScope('patients:read'),
+  requirePermission(['patients:read']),
+  getRiskAssessments,
+);
+router.post(
+  '/:id/risk-assessments',
+  requireScope('patients:write'),
+  requirePermission(['risk:assess']),
+  createRiskAssessment,
+);
+router.put(
+  '/:id/portal-account',
+  requireScope('patients:write'),
+  requirePermission(['patients:write']),
+  linkPortalAccount,
+);
+router.post(
+  '/:id/merge',
+  requireScope('patients:write'),
+  requirePermission(['patients:merge']),
+  mergePatient,
+);
+router.post(
+  '/',
+  requireScope('patients:write'),
+  requirePermission(['patients:write']),
+  createPatient,
+);
+router.patch(
+  '/:id',
+  requireScope('patients:write'),
+  requirePermission(['patients:write']),
+  updatePatient,
+);
+router.delete(
+  '/:id',
+  requireScope('patients:write'),
+  requirePermission(['patients:write']),
+  deletePatient,
+);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getPortalProfile,
+  getMyCases,
+  getMyCase,
+  getMyReports,
+  getMyImageThumbnail,
+  downloadMyReport,
+  getMyConsents,
+  updateMyConsent,
+} from '../controllers/portal.controller.js';
+import { auth, forbidImpersonation, requireRole } from '../middleware/auth.js';
+import { loadPortalCase, loadPortalPatients } from '../middleware/portal.js';
+
+const router = express.Router();
+
+// Patients only, and only ever their own records
+router.use(auth, requireRole(['patient']), loadPortalPatients);
+
+router.get('/me', getPortalProfile);
+router.get('/cases', getMyCases);
+router.get('/cases/:caseId', loadPortalCase, getMyCase);
+router.get(
+  '/cases/:caseId/images/:imageId/thumbnail',
+  loadPortalCase,
+  getMyImageThumbnail,
+);
+router.get('/cases/:caseId/report', loadPortalCase, downloadMyReport);
+router.get('/reports', getMyReports);
+router.get('/consents', getMyConsents);
+// Consent is the patient's own decision, never made on their behalf
+router.post('/consents', forbidImpersonation, updateMyConsent);
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  getReportByCaseId,
+  createReport,
+  updateReport,
+  finalizeReport,
+  getAllReports,
+} from '../controllers/reportController.js';
+import {
+  auth,
+  forbidImpersonation,
+  requireApproved,
+  requirePermission,
+  requireScope,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/',
+  requireScope('reports:read'),
+  requirePermission(['reports:read']),
+  getAllReports,
+);
+router.get(
+  '/case/:caseId',
+  requireScope('reports:read'),
+  requirePermission(['reports:read']),
+  getReportByCaseId,
+);
+router.post(
+  '/',
+  requireScope('reports:write'),
+  requirePermission(['reports:create']),
+  createReport,
+);
+router.put(
+  '/:id',
+  requireScope('reports:write'),
+  requirePermission(['reports:update']),
+  updateReport,
+);
+router.post(
+  '/:id/finalize',
+  requireScope('reports:write'),
+  requirePermission(['reports:finalize']),
+  forbidImpersonation,
+  finalizeReport,
+);
+
+export default router;
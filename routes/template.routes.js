@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  getReportTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  incrementTemplateUsage,
+  deleteTemplate,
+} from '../controllers/templateController.js';
+import {
+  auth,
+  requireApproved,
+  requirePermission,
+  requireScope,
+  requireSession,
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(auth, requireApproved);
+
+router.get(
+  '/',
+  requireScope('templates:read'),
+  requirePermission(['templates:read']),
+  getReportTemplates,
+);
+router.get(
+  '/:id',
+  requireScope('templates:read'),
+  requirePermission(['templates:read']),
+  getTemplateById,
+);
+
+// Template authoring is not available to API keys
+router.post(
+  '/',
+  requireSession,
+  requirePermission(['templates:write']),
+  createTemplate,
+);
+router.put(
+  '/:id',
+  requireSession,
+  requirePermission(['templates:write']),
+  updateTemplate,
+);
+router.post(
+  '/:id/use',
+  requireSession,
+  requirePermission(['templates:read']),
+  incrementTemplateUsage,
+);
+router.delete(
+  '/:id',
+  requireSession,
+  requirePermission(['templates:write']),
+  deleteTemplate,
+);
+
+export default router;
@@ -2,8 +2,24 @@ import express from 'express';
 import {
   verifyEmail,
   resendVerificationEmail,
+  getMyProfile,
+  updateMyProfile,
+  requestEmailChange,
+  uploadAvatar,
+  deleteAvatar,
+  getUserAvatar,
+  uploadSignature,
+  getMySignature,
+  deleteSignature,
 } from '../controllers/user.controller.js';
 import { resendVerificationLimiter } from '../middleware/rateLimiter.js';
+import {
+  auth,
+  forbidImpersonation,
+  requirePermission,
+  requireSession,
+} from '../middleware/auth.js';
+import { imageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -16,4 +32,51 @@ router.post(
   resendVerificationEmail,
 );
 
+// The authenticated user's own profile
+router.get('/me', auth, getMyProfile);
+router.patch('/me', auth, requireSession, updateMyProfile);
+router.post(
+  '/me/email',
+  auth,
+  requireSession,
+  forbidImpersonation,
+  resendVerificationLimiter,
+  requestEmailChange,
+);
+router.post(
+  '/me/avatar',
+  auth,
+  requireSession,
+  imageUpload('avatar'),
+  uploadAvatar,
+);
+router.delete('/me/avatar', auth, requireSession, deleteAvatar);
+router.get('/:id/avatar', auth, getUserAvatar);
+
+// Signature printed on exported reports (only for users who sign reports)
+router.get(
+  '/me/signature',
+  auth,
+  requireSession,
+  forbidImpersonation,
+  requirePermission(['reports:finalize']),
+  getMySignature,
+);
+router.put(
+  '/me/signature',
+  auth,
+  requireSession,
+  forbidImpersonation,
+  requirePermission(['reports:finalize']),
+  imageUpload('signature', { maxSizeMb: 5 }),
+  uploadSignature,
+);
+router.delete(
+  '/me/signature',
+  auth,
+  requireSession,
+  forbidImpersonation,
+  deleteSignature,
+);
+
 export default router;
@@ -120,8 +120,11 @@ def main():
     parser.add_argument("--prototxt", required=True, help="Prototxt file path")
     parser.add_argument("--model", required=True, help="Model weights path")
     parser.add_argument("--is_dicom", action="store_true", help="Input is DICOM")
+    parser.add_argument("--consent-record", required=True, help="ID of the patient's AI analysis consent (checked by the caller)")
     args = parser.parse_args()
 
+    logger.info(f"Analysing {args.input} under consent record {args.consent_record}")
+
     try:
         if not decrypt_file(args.input, args.output):
             sys.exit(1)
@@ -130,6 +133,7 @@ def main():
             "status": "success",
             "detections": results,
             "image_path": args.input,
+            "consent_record": args.consent_record,
             "timestamp": datetime.datetime.now().isoformat()
         }
         print(json.dumps(output))
@@ -0,0 +1,290 @@
+// scripts/migrations/backfill-institutions.js
+//
+// Moves data created before institutions existed into the tenant model.
+//
+// User.institution used to be free text ("General Hospital"). Each legacy
+// value is mapped to an Institution document: by id if it already holds one,
+// else by case-insensitive name. Unknown names are listed for review, or
+// created as institutions with --create-missing.
+//
+// Cases, patients and templates without an institution then take that of the
+// user who created them, and reports that of their case.
+//
+// Role grants used to be one global document per role name; each institution
+// now gets its own copy of any customised grants, and the old unique index on
+// the role name is replaced by one on institution + name.
+//
+//   npm run migrate:institutions -- --dry-run   # report only
+//   npm run migrate:institutions -- --create-missing
+//   npm run migrate:institutions
+//
+// Safe to re-run: only documents without an institution are touched.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import DiagnosticReport from '../../models/DiagnosticReport.js';
+import Institution from '../../models/Institution.js';
+import Patient from '../../models/Patient.js';
+import PatientCase from '../../models/PatientCase.js';
+import ReportTemplate from '../../models/ReportTemplate.js';
+import Role from '../../models/Role.js';
+import User from '../../models/User.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const CREATE_MISSING = process.argv.includes('--create-missing');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A slug not yet taken, suffixed -2, -3... if needed
+const uniqueSlug = async (name) => {
+  const base = Institution.slugify(name) || 'institution';
+  let slug = base;
+  for (let n = 2; await Institution.exists({ slug }); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+/**
+ * Find (or create) the institution a legacy free-text value refers to
+ * @returns {Promise<Object|null>} { institution, created }
+ */
+const resolveInstitution = async (value) => {
+  if (/^[0-9a-f]{24}$/i.test(value)) {
+    const byId = await Institution.findById(value).select('_id');
+    if (byId) return { institution: byId, created: false };
+  }
+
+  const byName = await Institution.findOne({
+    name: { $regex: `^${escapeRegex(value)}$`, $options: 'i' },
+  }).select('_id');
+  if (byName) return { institution: byName, created: false };
+
+  if (!CREATE_MISSING) return null;
+
+  const institution = new Institution({
+    name: value,
+    slug: await uniqueSlug(value),
+  });
+  if (!DRY_RUN) await institution.save();
+  return { institution, created: true };
+};
+
+const migrateUserInstitutions = async () => {
+  const stats = { users: 0, mapped: 0, created: [], unresolved: [] };
+
+  const legacyValues = await User.collection.distinct('institution', {
+    institution: { $type: 'string' },
+  });
+
+  for (const legacy of legacyValues) {
+    const value = legacy.trim();
+    const filter = { institution: legacy };
+    const count = await User.collection.countDocuments(filter);
+    stats.users += count;
+
+    if (!value) {
+      if (!DRY_RUN) {
+        await User.collection.updateMany(filter, {
+          $unset: { institution: '' },
+        });
+      }
+      stats.mapped += count;
+      continue;
+    }
+
+    const resolved = await resolveInstitution(value);
+    if (!resolved) {
+      stats.unresolved.push({ value, count });
+      continue;
+    }
+    if (resolved.created) stats.created.push(value);
+
+    if (!DRY_RUN) {
+      await User.collection.updateMany(filter, {
+        $set: { institution: resolved.institution._id },
+      });
+    }
+    stats.mapped += count;
+  }
+
+  return stats;
+};
+
+/**
+ * Give documents without an institution that of the user who created them
+ * @returns {Promise<Object>} { updated, remaining }
+ */
+const backfillFromCreator = async (Model) => {
+  const missing = { institution: null };
+  let updated = 0;
+
+  const creators = await Model.collection.distinct('createdBy', missing);
+  for (const creator of creators) {
+    const user = await User.collection.findOne(
+      { _id: creator },
+      { projection: { institution: 1 } },
+    );
+    if (!(user?.institution instanceof mongoose.Types.ObjectId)) continue;
+
+    const filter = { ...missing, createdBy: creator };
+    if (DRY_RUN) {
+      updated += await Model.collection.countDocuments(filter);
+    } else {
+      const result = await Model.collection.updateMany(filter, {
+        $set: { institution: user.institution },
+      });
+      updated += result.modifiedCount;
+    }
+  }
+
+  const remaining =
+    (await Model.collection.countDocuments(missing)) - (DRY_RUN ? updated : 0);
+  return { updated, remaining };
+};
+
+// Reports belong to the institution of their case
+const backfillReports = async () => {
+  let updated = 0;
+  let remaining = 0;
+  // caseId -> institution (null if the case has none)
+  const institutionsByCase = new Map();
+
+  const cursor = DiagnosticReport.collection
+    .find({ institution: null })
+    .project({ caseId: 1 });
+
+  for await (const report of cursor) {
+    const key = report.caseId?.toString();
+    if (!institutionsByCase.has(key)) {
+      const patientCase = await PatientCase.collection.findOne(
+        { _id: report.caseId },
+        { projection: { institution: 1 } },
+      );
+      institutionsByCase.set(key, patientCase?.institution || null);
+    }
+
+    const institution = institutionsByCase.get(key);
+    if (!institution) {
+      remaining += 1;
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await DiagnosticReport.collection.updateOne(
+        { _id: report._id },
+        { $set: { institution } },
+      );
+    }
+    updated += 1;
+  }
+
+  return { updated, remaining };
+};
+
+const scopeRoles = async () => {
+  const stats = { legacyRoles: 0, copies: 0, indexDropped: false };
+
+  const indexes = await Role.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === 'name_1')) {
+    if (!DRY_RUN) await Role.collection.dropIndex('name_1');
+    stats.indexDropped = true;
+  }
+
+  const legacy = await Role.collection
+    .find({ institution: { $exists: false } })
+    .toArray();
+  stats.legacyRoles = legacy.length;
+  if (legacy.length === 0) return stats;
+
+  const institutions = await Institution.find().select('_id').lean();
+
+  for (const role of legacy) {
+    const customised = await Role.find({
+      name: role.name,
+      institution: { $ne: null },
+    }).distinct('institution');
+    const done = new Set(customised.map((id) => id.toString()));
+
+    const copies = institutions
+      .filter(({ _id }) => !done.has(_id.toString()))
+      .map(({ _id }) => ({
+        name: role.name,
+        institution: _id,
+        description: role.description,
+        permissions: role.permissions,
+        updatedBy: role.updatedBy,
+        createdAt: role.createdAt,
+        updatedAt: role.updatedAt,
+      }));
+    stats.copies += copies.length;
+
+    if (!DRY_RUN) {
+      if (copies.length > 0) await Role.collection.insertMany(copies);
+      // The original keeps applying to users without an institution
+      await Role.collection.updateOne(
+        { _id: role._id },
+        { $set: { institution: null } },
+      );
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(
+    `Backfilling institutions${DRY_RUN ? ' (dry run, nothing is written)' : ''}`,
+  );
+
+  const users = await migrateUserInstitutions();
+  const cases = await backfillFromCreator(PatientCase);
+  const patients = await backfillFromCreator(Patient);
+  const reports = await backfillReports();
+  const templates = await backfillFromCreator(ReportTemplate);
+  const roles = await scopeRoles();
+  if (!DRY_RUN) await Role.createIndexes();
+
+  console.log(`Users with legacy values:   ${users.users}`);
+  console.log(`Users mapped:               ${users.mapped}`);
+  console.log(`Institutions created:       ${users.created.length}`);
+  users.created.forEach((name) => console.log(`  - ${name}`));
+  [
+    ['Cases', cases],
+    ['Patients', patients],
+    ['Reports', reports],
+    ['Templates', templates],
+  ].forEach(([label, { updated, remaining }]) =>
+    console.log(
+      `${`${label} backfilled:`.padEnd(28)}${updated} (${remaining} left without an institution)`,
+    ),
+  );
+  console.log(`Global role grants found:   ${roles.legacyRoles}`);
+  console.log(`Per-institution copies:     ${roles.copies}`);
+  console.log(
+    `Global role index dropped:  ${roles.indexDropped ? 'yes' : 'no'}`,
+  );
+
+  if (users.unresolved.length > 0) {
+    console.log(
+      'Unknown institutions (create them, or re-run with --create-missing):',
+    );
+    users.unresolved.forEach(({ value, count }) =>
+      console.log(`  - "${value}": ${count} user(s)`),
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,240 @@
+// scripts/migrations/link-cases-to-patients.js
+//
+// Links existing PatientCase documents to Patient records. Cases are matched
+// on institution + MRN (the case's free-text patientId). Where no patient
+// exists yet, one is created from the case's patientName; cases whose name
+// disagrees with an existing patient of the same MRN are left unlinked and
+// reported for manual review. Also moves the legacy Patient.gender field to
+// Patient.sex and fills in Patient.phoneDigits, which duplicate detection
+// blocks on.
+//
+//   npm run migrate:link-cases -- --dry-run   # report only
+//   npm run migrate:link-cases
+//
+// Safe to re-run: only cases without a patient are touched.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Patient from '../../models/Patient.js';
+import PatientCase from '../../models/PatientCase.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const LEGACY_SEX_VALUES = {
+  f: 'female',
+  female: 'female',
+  woman: 'female',
+  m: 'male',
+  male: 'male',
+  man: 'male',
+  other: 'other',
+};
+
+const normalizeName = (name = '') =>
+  name
+    .toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+// "Jane Mary Doe" -> { firstName: 'Jane Mary', lastName: 'Doe' }
+const splitName = (name = '') => {
+  const parts = name.toString().trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return { firstName: parts[0] || '', lastName: '' };
+
+  return {
+    firstName: parts.slice(0, -1).join(' '),
+    lastName: parts[parts.length - 1],
+  };
+};
+
+const migrateLegacyGender = async () => {
+  const legacy = await Patient.collection
+    .find({ gender: { $exists: true } })
+    .project({ gender: 1, sex: 1 })
+    .toArray();
+
+  if (!DRY_RUN && legacy.length > 0) {
+    await Patient.collection.bulkWrite(
+      legacy.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: {
+            $set: {
+              sex:
+                doc.sex && doc.sex !== 'unknown'
+                  ? doc.sex
+                  : LEGACY_SEX_VALUES[doc.gender?.toString().toLowerCase()] ||
+                    'unknown',
+            },
+            $unset: { gender: '' },
+          },
+        },
+      })),
+    );
+  }
+
+  return legacy.length;
+};
+
+const backfillPhoneDigits = async () => {
+  const patients = await Patient.collection
+    .find({
+      phoneNumber: { $type: 'string' },
+      phoneDigits: { $exists: false },
+    })
+    .project({ phoneNumber: 1 })
+    .toArray();
+
+  const operations = patients
+    .map((doc) => ({ doc, digits: Patient.normalizePhone(doc.phoneNumber) }))
+    .filter(({ digits }) => digits)
+    .map(({ doc, digits }) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { phoneDigits: digits } },
+      },
+    }));
+
+  if (!DRY_RUN && operations.length > 0) {
+    await Patient.collection.bulkWrite(operations);
+  }
+
+  return operations.length;
+};
+
+const linkCases = async () => {
+  const stats = {
+    scanned: 0,
+    linked: 0,
+    patientsCreated: 0,
+    ageMismatches: 0,
+    conflicts: [],
+  };
+  // institution|mrn -> patient looked up or created so far (null if none)
+  const patientsByKey = new Map();
+
+  const cursor = PatientCase.find({ patient: { $exists: false } })
+    .select('patientId patientName age studyDate institution createdBy')
+    .lean()
+    .cursor();
+
+  for await (const patientCase of cursor) {
+    stats.scanned += 1;
+
+    const mrn = patientCase.patientId?.toString().trim();
+    const institution = patientCase.institution || null;
+    const key = `${institution}|${mrn}`;
+
+    if (!mrn) {
+      stats.conflicts.push({ case: patientCase._id, reason: 'No patient ID' });
+      continue;
+    }
+
+    if (!patientsByKey.has(key)) {
+      patientsByKey.set(
+        key,
+        await Patient.findOne({ institution, mrn }).select(
+          'mrn firstName lastName dateOfBirth',
+        ),
+      );
+    }
+
+    let patient = patientsByKey.get(key);
+
+    if (!patient) {
+      const { firstName, lastName } = splitName(patientCase.patientName);
+      patient = new Patient({
+        institution,
+        mrn,
+        firstName,
+        lastName,
+        createdBy: patientCase.createdBy,
+      });
+
+      if (!DRY_RUN) {
+        try {
+          await patient.save();
+        } catch (error) {
+          stats.conflicts.push({
+            case: patientCase._id,
+            reason: `Could not create patient ${mrn}: ${error.message}`,
+          });
+          continue;
+        }
+      }
+      patientsByKey.set(key, patient);
+      stats.patientsCreated += 1;
+    } else if (
+      normalizeName(patient.fullName) !== normalizeName(patientCase.patientName)
+    ) {
+      stats.conflicts.push({
+        case: patientCase._id,
+        reason: `MRN ${mrn} belongs to "${patient.fullName}" but the case names "${patientCase.patientName}"`,
+      });
+      continue;
+    }
+
+    // Age is only recomputed where the date of birth is known
+    const age = Patient.ageAt(patient.dateOfBirth, patientCase.studyDate);
+    if (age !== null && patientCase.age != null && age !== patientCase.age) {
+      stats.ageMismatches += 1;
+    }
+
+    if (!DRY_RUN) {
+      await PatientCase.collection.updateOne(
+        { _id: patientCase._id },
+        {
+          $set: {
+            patient: patient._id,
+            patientName: patient.fullName || patientCase.patientName,
+            ...(age !== null && { age }),
+          },
+        },
+      );
+    }
+    stats.linked += 1;
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(
+    `Linking cases to patients${DRY_RUN ? ' (dry run, nothing is written)' : ''}`,
+  );
+
+  const genderMigrated = await migrateLegacyGender();
+  const phonesNormalized = await backfillPhoneDigits();
+  const stats = await linkCases();
+
+  console.log(`Legacy gender fields moved: ${genderMigrated}`);
+  console.log(`Phone numbers normalized:   ${phonesNormalized}`);
+  console.log(`Cases scanned:              ${stats.scanned}`);
+  console.log(`Cases linked:               ${stats.linked}`);
+  console.log(`Patients created:           ${stats.patientsCreated}`);
+  console.log(`Recorded ages corrected:    ${stats.ageMismatches}`);
+  console.log(`Cases needing review:       ${stats.conflicts.length}`);
+  stats.conflicts.forEach(({ case: caseId, reason }) =>
+    console.log(`  - ${caseId}: ${reason}`),
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,309 @@
+// scripts/mock-oidc-provider.js
+//
+// Minimal OpenID Connect provider for exercising single sign-on locally.
+// Supports discovery, the authorization-code flow with PKCE (S256), JWKS and
+// RS256-signed ID tokens. Not for production use.
+//
+//   npm run mock:oidc
+//
+// Then configure an institution (PUT /api/institutions/current/sso) with
+//   issuer:   http://localhost:4010   (MOCK_OIDC_ISSUER)
+//   clientId: breastbeacon            (MOCK_OIDC_CLIENT_ID)
+//   roleMappings: [{ group: 'radiology', role: 'radiologist' }]
+// and open /api/auth/sso/<institution-slug>/login in a browser.
+//
+// Set MOCK_OIDC_AUTO_APPROVE=true to skip the sign-in form and log in as the
+// MOCK_OIDC_EMAIL / MOCK_OIDC_GROUPS user, e.g. from curl.
+
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'breastbeacon';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || '';
+const AUTO_APPROVE = process.env.MOCK_OIDC_AUTO_APPROVE === 'true';
+
+const CODE_LIFETIME = 60 * 1000; // 1 minute
+const ID_TOKEN_LIFETIME = 5 * 60; // seconds
+
+const DEFAULT_USER = {
+  email: process.env.MOCK_OIDC_EMAIL || 'radiologist@hospital.test',
+  given_name: process.env.MOCK_OIDC_GIVEN_NAME || 'Rita',
+  family_name: process.env.MOCK_OIDC_FAMILY_NAME || 'Radiologist',
+  groups: process.env.MOCK_OIDC_GROUPS || 'radiology',
+  license_number: process.env.MOCK_OIDC_LICENSE_NUMBER || 'LIC-0001',
+  specialization: process.env.MOCK_OIDC_SPECIALIZATION || 'breast-imaging',
+};
+
+// Fresh signing key for every run
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+
+// Issued authorization codes awaiting exchange
+const codes = new Map();
+
+const escapeHtml = (text = '') =>
+  text
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > 1e5) req.destroy();
+    });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+
+/**
+ * Send the browser back to the client with a fresh authorization code
+ */
+const approve = (res, request, user) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+  const subject = crypto
+    .createHash('sha256')
+    .update(user.email.toLowerCase())
+    .digest('hex')
+    .slice(0, 24);
+
+  codes.set(code, {
+    ...request,
+    subject,
+    user,
+    expiresAt: Date.now() + CODE_LIFETIME,
+  });
+
+  const location = new URL(request.redirect_uri);
+  location.searchParams.set('code', code);
+  location.searchParams.set('state', request.state);
+  redirect(res, location.toString());
+};
+
+const handleAuthorize = (res, params) => {
+  const request = Object.fromEntries(params);
+
+  if (request.client_id !== CLIENT_ID || !request.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_client' });
+  }
+  if (request.response_type !== 'code') {
+    return sendJson(res, 400, { error: 'unsupported_response_type' });
+  }
+  if (!request.code_challenge || request.code_challenge_method !== 'S256') {
+    return sendJson(res, 400, {
+      error: 'invalid_request',
+      error_description: 'PKCE with S256 is required',
+    });
+  }
+
+  if (AUTO_APPROVE) {
+    return approve(res, request, DEFAULT_USER);
+  }
+
+  const hidden = Object.entries(request)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}" />`,
+    )
+    .join('\n');
+  const field = (name, label) =>
+    `<label>${label}<br /><input name="${name}" value="${escapeHtml(DEFAULT_USER[name])}" /></label><br />`;
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html>
+<html>
+  <head><title>Mock OIDC sign-in</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      ${field('email', 'Email')}
+      ${field('given_name', 'Given name')}
+      ${field('family_name', 'Family name')}
+      ${field('groups', 'Groups (comma separated)')}
+      ${field('license_number', 'License number')}
+      ${field('specialization', 'Specialization')}
+      <button type="submit">Sign in</button>
+      <button type="submit" name="deny" value="1">Deny</button>
+    </form>
+  </body>
+</html>`);
+};
+
+const handleAuthorizeSubmit = async (req, res) => {
+  const params = await readBody(req);
+  const request = {
+    client_id: params.get('client_id'),
+    redirect_uri: params.get('redirect_uri'),
+    state: params.get('state'),
+    nonce: params.get('nonce'),
+    code_challenge: params.get('code_challenge'),
+    scope: params.get('scope'),
+  };
+
+  if (request.client_id !== CLIENT_ID || !request.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_client' });
+  }
+
+  if (params.get('deny')) {
+    const location = new URL(request.redirect_uri);
+    location.searchParams.set('error', 'access_denied');
+    location.searchParams.set('state', request.state);
+    return redirect(res, location.toString());
+  }
+
+  return approve(res, request, {
+    email: params.get('email'),
+    given_name: params.get('given_name'),
+    family_name: params.get('family_name'),
+    groups: params.get('groups'),
+    license_number: params.get('license_number'),
+    specialization: params.get('specialization'),
+  });
+};
+
+const handleToken = async (req, res) => {
+  const params = await readBody(req);
+  const grant = codes.get(params.get('code'));
+  codes.delete(params.get('code'));
+
+  if (params.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+  if (
+    params.get('client_id') !== CLIENT_ID ||
+    (CLIENT_SECRET && params.get('client_secret') !== CLIENT_SECRET)
+  ) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirect_uri !== params.get('redirect_uri')
+  ) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto
+    .createHash('sha256')
+    .update(params.get('code_verifier') || '')
+    .digest('base64url');
+
+  if (challenge !== grant.code_challenge) {
+    return sendJson(res, 400, {
+      error: 'invalid_grant',
+      error_description: 'PKCE verification failed',
+    });
+  }
+
+  const { user } = grant;
+  const idToken = jwt.sign(
+    {
+      nonce: grant.nonce,
+      email: user.email,
+      email_verified: true,
+      given_name: user.given_name,
+      family_name: user.family_name,
+      name: `${user.given_name} ${user.family_name}`,
+      groups: (user.groups || '')
+        .split(',')
+        .map((group) => group.trim())
+        .filter(Boolean),
+      license_number: user.license_number || undefined,
+      specialization: user.specialization || undefined,
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      subject: grant.subject,
+      expiresIn: ID_TOKEN_LIFETIME,
+    },
+  );
+
+  return sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: ID_TOKEN_LIFETIME,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (
+      req.method === 'GET' &&
+      url.pathname === '/.well-known/openid-configuration'
+    ) {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'none'],
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [
+          {
+            ...publicKey.export({ format: 'jwk' }),
+            kid: KEY_ID,
+            use: 'sig',
+            alg: 'RS256',
+          },
+        ],
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(res, url.searchParams);
+    }
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await handleAuthorizeSubmit(req, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC provider error:', error);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id: ${CLIENT_ID}`);
+});
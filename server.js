@@ -1,6 +1,7 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import http from 'http';
 import { Server as SocketServer } from 'socket.io';
 import connectDB from './config/db.js';
@@ -12,6 +13,12 @@ import reportRoutes from './routes/report.routes.js';
 import templateRoutes from './routes/template.routes.js';
 import annotationRoutes from './routes/annotation.routes.js';
 import exportRoutes from './routes/export.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import institutionRoutes from './routes/institution.routes.js';
+import patientRoutes from './routes/patient.routes.js';
+import portalRoutes from './routes/portal.routes.js';
+import consentRoutes from './routes/consent.routes.js';
+import densityRoutes from './routes/density.routes.js';
 
 // Middleware imports
 import socketMiddleware from './middleware/socketMiddleware.js';
@@ -64,6 +71,7 @@ const socketService = new SocketService(server, {
 // Middleware to parse incoming JSON with increased limit for file uploads
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(cookieParser());
 
 // Enable CORS for cross-origin requests
 app.use(
@@ -145,11 +153,17 @@ connectDB();
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/patients', patientRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/consents', consentRoutes);
+app.use('/api/density-notifications', densityRoutes);
 app.use('/api/cases', caseRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/annotations', annotationRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/institutions', institutionRoutes);
 
 // Socket.IO Middleware and Event Handlers
 io.use(socketMiddleware.authenticateSocket);
@@ -168,6 +182,9 @@ io.on('connection', (socket) => {
   // Join role-based room
   socket.join(`role:${socket.user.role}`);
 
+  // Join institution room (case and report events are tenant-scoped)
+  socket.join(`institution-${socket.user.institution || 'none'}`);
+
   // Join department room if applicable
   if (socket.user.department) {
     socket.join(`department:${socket.user.department}`);
@@ -236,18 +253,7 @@ io.on('connection', (socket) => {
   });
 
   // Send connection confirmation
-  socket.emit('connected', {
-    message: 'Successfully connected to real-time service',
-    userId: socket.user.id,
-    socketId: socket.id,
-    timestamp: new Date().toISOString(),
-    user: {
-      id: socket.user.id,
-      name: socket.user.name,
-      role: socket.user.role,
-      department: socket.user.department,
-    },
-  });
+  socket.emit('connected', socketMiddleware.connectionPayload(socket));
 });
 
 // Apply Socket Service to Express app for use in controllers
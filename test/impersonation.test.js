@@ -0,0 +1,88 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import {
+  impersonationStatus,
+  resolveTokenSession,
+} from '../utils/impersonation.js';
+
+describe('impersonation socket sessions', () => {
+  const originals = {};
+  const users = new Map();
+  let admin;
+  let target;
+
+  before(() => {
+    process.env.JWT_SECRET ||= 'test-secret';
+
+    originals.findById = User.findById;
+    originals.getPermissionsForRole = Role.getPermissionsForRole;
+
+    // No database: users come from memory, admins may impersonate
+    User.findById = (id) => ({
+      select: async () => users.get(id?.toString()) || null,
+    });
+    Role.getPermissionsForRole = async (name) =>
+      name === 'admin' ? ['users:impersonate'] : [];
+
+    admin = new User({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      role: 'admin',
+    });
+    target = new User({
+      firstName: 'Tom',
+      lastName: 'Target',
+      email: 'target@example.com',
+      role: 'technician',
+    });
+    admin.save = async () => admin;
+    users.set(admin._id.toString(), admin);
+    users.set(target._id.toString(), target);
+  });
+
+  after(() => {
+    User.findById = originals.findById;
+    Role.getPermissionsForRole = originals.getPermissionsForRole;
+  });
+
+  it('accepts an impersonation token held by the admin', async () => {
+    const { token } = await admin.generateAndSaveImpersonationToken(target);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // The token is not one of the impersonated user's own sessions
+    assert.equal(target.hasActiveSession(token), false);
+
+    const session = await resolveTokenSession(target, decoded, token);
+    assert.equal(session.error, undefined);
+    assert.equal(session.impersonator.id, admin._id.toString());
+
+    const status = impersonationStatus(session.impersonator);
+    assert.equal(status.impersonating, true);
+    assert.equal(status.impersonator.email, 'admin@example.com');
+  });
+
+  it('rejects an impersonation token once the session ended', async () => {
+    const { token } = await admin.generateAndSaveImpersonationToken(target);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    admin.tokens = admin.tokens.filter((t) => t.name !== 'impersonation');
+
+    const session = await resolveTokenSession(target, decoded, token);
+    assert.equal(session.error, 'Impersonation ended');
+  });
+
+  it('still requires an own session for ordinary tokens', async () => {
+    const token = jwt.sign({ _id: target._id }, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = await resolveTokenSession(target, decoded, token);
+    assert.equal(session.error, 'Session revoked');
+    assert.deepEqual(impersonationStatus(null), {
+      impersonating: false,
+      impersonator: null,
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapClaimsToProfile } from '../utils/oidc.js';
+
+describe('mapClaimsToProfile', () => {
+  const sso = { defaultRole: 'technician' };
+  const claims = { sub: 'abc', email: 'Jane@Example.com' };
+
+  it('only treats an asserted email_verified as verified', () => {
+    assert.equal(
+      mapClaimsToProfile(sso, { ...claims, email_verified: true })
+        .emailVerified,
+      true,
+    );
+    assert.equal(
+      mapClaimsToProfile(sso, { ...claims, email_verified: 'true' })
+        .emailVerified,
+      true,
+    );
+    assert.equal(
+      mapClaimsToProfile(sso, { ...claims, email_verified: false })
+        .emailVerified,
+      false,
+    );
+  });
+
+  it('reports a missing email_verified claim as unknown', () => {
+    const profile = mapClaimsToProfile(sso, claims);
+
+    assert.equal(profile.emailVerified, null);
+    assert.equal(profile.email, 'jane@example.com');
+  });
+});
@@ -0,0 +1,89 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import {
+  findDuplicatePairs,
+  scorePatientMatch,
+} from '../utils/patientMatching.js';
+
+describe('duplicate patient matching', () => {
+  const institution = new mongoose.Types.ObjectId();
+  const queries = [];
+  let originalFind;
+  let records;
+
+  const patient = (fields) => {
+    const doc = new Patient({ institution, ...fields });
+    doc.phoneDigits = Patient.normalizePhone(doc.phoneNumber) || undefined;
+    return doc;
+  };
+
+  before(() => {
+    originalFind = Patient.find;
+
+    // No database: every query returns the records it would match
+    Patient.find = (filter) => {
+      queries.push(filter);
+      return {
+        select: () => ({ limit: async () => records }),
+      };
+    };
+  });
+
+  after(() => {
+    Patient.find = originalFind;
+  });
+
+  it('normalizes phone numbers whatever their formatting', () => {
+    assert.equal(Patient.normalizePhone('555-123-4567'), '551234567');
+    assert.equal(Patient.normalizePhone('+1 (555) 123 4567'), '551234567');
+    assert.equal(Patient.normalizePhone(''), '');
+  });
+
+  it('pairs records whose phones differ only in formatting', async () => {
+    const a = patient({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phoneNumber: '555-123-4567',
+    });
+    const b = patient({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phoneNumber: '5551234567',
+      address: '1 Main St',
+    });
+    const c = patient({
+      firstName: 'John',
+      lastName: 'Smith',
+      phoneNumber: '555-987-6543',
+    });
+    records = [a, b, c];
+    queries.length = 0;
+
+    const pairs = await findDuplicatePairs([a, b, c], { minProbability: 0 });
+
+    // One candidate query for the whole batch
+    assert.equal(queries.length, 1);
+    assert.ok(
+      queries[0].$or.some((block) => block.phoneDigits === '551234567'),
+    );
+
+    // Each pair once, and only records sharing a block are compared
+    assert.equal(pairs.length, 1);
+    assert.deepEqual(
+      [pairs[0].patient._id, pairs[0].duplicate._id].map(String).sort(),
+      [a._id, b._id].map(String).sort(),
+    );
+    assert.equal(pairs[0].probability, scorePatientMatch(a, b).probability);
+  });
+
+  it('skips the query when nothing can be blocked on', async () => {
+    queries.length = 0;
+
+    const pairs = await findDuplicatePairs([patient({ firstName: 'Jo' })]);
+
+    assert.deepEqual(pairs, []);
+    assert.equal(queries.length, 0);
+  });
+});
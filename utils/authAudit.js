@@ -0,0 +1,61 @@
+import AuthEvent, { AUTH_EVENT_TYPES } from '../models/AuthEvent.js';
+import { getRequestContext } from './requestContext.js';
+
+export { AUTH_EVENT_TYPES };
+
+// Event types that record a refused or suspicious attempt
+const FAILURE_EVENT_TYPES = [
+  AUTH_EVENT_TYPES.LOGIN_FAILURE,
+  AUTH_EVENT_TYPES.ACCOUNT_LOCKED,
+  AUTH_EVENT_TYPES.REFRESH_TOKEN_REUSED,
+  AUTH_EVENT_TYPES.TOKEN_REJECTED,
+  AUTH_EVENT_TYPES.PERMISSION_DENIED,
+  AUTH_EVENT_TYPES.CASE_ACCESS_DENIED,
+];
+
+/**
+ * Append an entry to the authentication audit log.
+ * Never throws: a failed audit write must not break the request being audited.
+ * @param {string} type - One of AUTH_EVENT_TYPES
+ * @param {Object} options - req or socket, user (document or req.user), email,
+ *   code, resource, details
+ * @returns {Promise<void>}
+ */
+export const recordAuthEvent = async (type, options = {}) => {
+  const { req, socket, email, code, resource, details } = options;
+  const user = options.user || req?.user || socket?.user || null;
+  const impersonator = (req?.user || socket?.user)?.impersonator;
+  const outcome = FAILURE_EVENT_TYPES.includes(type) ? 'failure' : 'success';
+
+  try {
+    const context = req
+      ? getRequestContext(req)
+      : {
+          ipAddress: socket?.handshake?.address,
+          userAgent: socket?.handshake?.headers?.['user-agent'],
+        };
+
+    await AuthEvent.create({
+      type,
+      outcome,
+      code,
+      user: user?._id || user?.id,
+      email: email || user?.email,
+      role: user?.role,
+      impersonator: impersonator?.id,
+      institution: user?.institution || undefined,
+      channel: socket ? 'socket' : 'http',
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      sessionId: req?.user?.sessionId || socket?.user?.sessionId,
+      method: req?.method,
+      path: req?.originalUrl?.split('?')[0],
+      resource,
+      details,
+    });
+  } catch (error) {
+    console.error(`Failed to record auth event ${type}:`, error.message);
+  }
+};
+
+export default recordAuthEvent;
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { getRequestContext } from './requestContext.js';
+import { MEDICAL_ROLES } from '../config/permissions.js';
+
+export { MEDICAL_ROLES };
+
+/**
+ * Build the public user payload shared by register and login responses
+ */
+export const buildUserData = (user) => {
+  const userData = {
+    _id: user._id,
+    userId: user.userId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    isVerified: user.isVerified,
+    createdAt: user.createdAt,
+  };
+
+  if (MEDICAL_ROLES.includes(user.role)) {
+    userData.specialization = user.specialization;
+    userData.licenseNumber = user.licenseNumber;
+    if (user.institution) {
+      userData.institution = user.institution;
+    }
+    if (user.licenseApproval?.status) {
+      userData.licenseApproval = {
+        status: user.licenseApproval.status,
+        reviewedAt: user.licenseApproval.reviewedAt,
+        reason: user.licenseApproval.reason,
+      };
+    }
+  }
+
+  return userData;
+};
+
+/**
+ * Open a new device session with a short-lived access token and a refresh token
+ */
+export const issueAuthTokens = async (user, req) => {
+  const context = {
+    ...getRequestContext(req),
+    sessionId: crypto.randomUUID(),
+  };
+
+  const authToken = await user.generateAndSaveAuthToken(context);
+  const refreshToken = await user.generateAndSaveRefreshToken(
+    context.sessionId,
+    context,
+  );
+
+  return { authToken, refreshToken };
+};
+
+/**
+ * Set the HTTP-only auth cookies used by web clients
+ */
+export const setAuthCookies = (res, user, { authToken, refreshToken }) => {
+  const lifetimes = User.tokenLifetimes();
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+  };
+
+  res.cookie('token', authToken, {
+    ...cookieOptions,
+    maxAge: user._convertExpiresToMs(lifetimes.access),
+    path: '/',
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions,
+    maxAge: user._convertExpiresToMs(lifetimes.refresh),
+    path: '/api/auth',
+  });
+};
+
+/**
+ * Clear the auth cookies on logout
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token', { path: '/' });
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+/**
+ * Set auth cookies and send the login response body shared by all sign-in flows
+ */
+export const sendAuthResponse = (res, user, tokens, options = {}) => {
+  const { status = 200, message = 'Login successful', ...extra } = options;
+
+  setAuthCookies(res, user, tokens);
+
+  return res.status(status).json({
+    success: true,
+    message,
+    data: buildUserData(user),
+    requiresVerification: false,
+    token: tokens.authToken, // Still return token for mobile apps, but cookie for web
+    refreshToken: tokens.refreshToken,
+    expiresIn: User.tokenLifetimes().access,
+    ...extra,
+  });
+};
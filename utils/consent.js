@@ -0,0 +1,205 @@
+import ConsentForm, { CONSENT_TYPES } from '../models/ConsentForm.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+
+// Build an error carrying an HTTP status and machine-readable code
+const consentError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether a grant still counts: a later form version may require re-consent.
+ * minimumVersions caches the lookup per form institution and type
+ */
+const isGrantValid = async (record, minimumVersions = new Map()) => {
+  if (record?.action !== 'granted') return false;
+
+  const form =
+    record.form?.institution !== undefined
+      ? record.form
+      : await ConsentForm.findById(record.form).select('institution');
+  const key = `${form?.institution ?? null}|${record.type}`;
+
+  if (!minimumVersions.has(key)) {
+    minimumVersions.set(
+      key,
+      await ConsentForm.minimumValidVersion(form?.institution, record.type),
+    );
+  }
+
+  return record.formVersion >= minimumVersions.get(key);
+};
+
+/**
+ * Current consent of a patient for every consent type
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object[]>} { type, status, record } where status is
+ *   granted, withdrawn, reconsent_required or none
+ */
+export const getConsentStatus = async (patient) => {
+  const minimumVersions = new Map();
+
+  return Promise.all(
+    CONSENT_TYPES.map(async (type) => {
+      const record = await ConsentRecord.findOne({ patient: patient._id, type })
+        .sort({ createdAt: -1 })
+        .populate('form', 'institution version title')
+        .populate('capturedBy', 'firstName lastName role');
+
+      let status = record ? record.action : 'none';
+      if (
+        status === 'granted' &&
+        !(await isGrantValid(record, minimumVersions))
+      ) {
+        status = 'reconsent_required';
+      }
+
+      return { type, status, record };
+    }),
+  );
+};
+
+/**
+ * The grant in force for a patient and type
+ * @param {string|Object} patientId - Patient id
+ * @param {string} type - One of CONSENT_TYPES
+ * @returns {Promise<Object|null>} Consent record, or null without consent
+ */
+export const getConsentInForce = async (patientId, type) => {
+  if (!patientId) return null;
+
+  const record = await ConsentRecord.findOne({ patient: patientId, type })
+    .sort({ createdAt: -1 })
+    .populate('form', 'institution');
+
+  return (await isGrantValid(record)) ? record : null;
+};
+
+/**
+ * Check whether a patient has consent in force for a type
+ * @returns {Promise<boolean>}
+ */
+export const hasConsent = async (patientId, type) =>
+  Boolean(await getConsentInForce(patientId, type));
+
+/**
+ * Throw a 403 CONSENT_REQUIRED error unless the patient has consent in force
+ * @param {string|Object} patientId - Patient id (cases without one never pass)
+ * @param {string} type - One of CONSENT_TYPES
+ * @returns {Promise<Object>} The consent record relied on
+ */
+export const assertConsent = async (patientId, type) => {
+  const record = await getConsentInForce(patientId, type);
+
+  if (!record) {
+    throw consentError(
+      `The patient has not consented to ${type.replace('_', ' ')}`,
+      403,
+      'CONSENT_REQUIRED',
+    );
+  }
+
+  return record;
+};
+
+/**
+ * Narrow a set of patients to those with consent in force, for batch uses
+ * such as research exports
+ * @param {Object[]} patientIds - Patient ObjectIds
+ * @param {string} type - One of CONSENT_TYPES
+ * @returns {Promise<Set<string>>} Ids (as strings) of consenting patients
+ */
+export const filterConsentedPatients = async (patientIds, type) => {
+  if (patientIds.length === 0) return new Set();
+
+  const latest = await ConsentRecord.aggregate([
+    { $match: { patient: { $in: patientIds }, type } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$patient', record: { $first: '$$ROOT' } } },
+    { $match: { 'record.action': 'granted' } },
+  ]);
+
+  const forms = await ConsentForm.find({
+    _id: { $in: latest.map(({ record }) => record.form) },
+  }).select('institution');
+  const formsById = new Map(forms.map((form) => [form._id.toString(), form]));
+
+  const minimumVersions = new Map();
+  const consented = new Set();
+
+  for (const { _id, record } of latest) {
+    const valid = await isGrantValid(
+      { ...record, form: formsById.get(record.form.toString()) },
+      minimumVersions,
+    );
+    if (valid) consented.add(_id.toString());
+  }
+
+  return consented;
+};
+
+/**
+ * Record a grant or withdrawal against the form currently in force
+ * @param {Object} options - patient (document), type, action, version (the
+ *   form version the patient was shown), method, capturedBy, notes and
+ *   impersonatedBy
+ * @returns {Promise<Object>} The consent record
+ */
+export const recordConsent = async (options) => {
+  const { patient, type, action, version, method, capturedBy } = options;
+
+  if (!CONSENT_TYPES.includes(type)) {
+    throw consentError(
+      `Consent type must be one of: ${CONSENT_TYPES.join(', ')}`,
+      400,
+      'INVALID_CONSENT_TYPE',
+    );
+  }
+
+  const form = await ConsentForm.getCurrent(patient.institution, type);
+
+  if (!form) {
+    throw consentError(
+      'No consent form has been published for this consent type',
+      409,
+      'NO_CONSENT_FORM',
+    );
+  }
+
+  // A grant must be for the text the patient actually saw
+  if (
+    action === 'granted' &&
+    version !== undefined &&
+    Number(version) !== form.version
+  ) {
+    throw consentError(
+      `The consent form has changed (now version ${form.version}); show the patient the current text`,
+      409,
+      'CONSENT_FORM_OUTDATED',
+    );
+  }
+
+  return ConsentRecord.create({
+    patient: patient._id,
+    institution: patient.institution,
+    type,
+    action,
+    form: form._id,
+    formVersion: form.version,
+    method,
+    capturedBy,
+    notes: options.notes,
+    ...(options.impersonatedBy && { impersonatedBy: options.impersonatedBy }),
+  });
+};
+
+export default {
+  getConsentStatus,
+  getConsentInForce,
+  hasConsent,
+  assertConsent,
+  filterConsentedPatients,
+  recordConsent,
+};
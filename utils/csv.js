@@ -0,0 +1,84 @@
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV content
+ * @returns {{ line: number, fields: string[] }[]} Rows with the 1-based
+ *   source line they start on, blank lines skipped
+ */
+export const parseCsvRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by header
+ * @param {string} text - CSV content
+ * @returns {{ headers: string[], records: Object[] }} Records carry the
+ *   source line of their row as `line`
+ */
+export const parseCsv = (text) => {
+  const [headerRow, ...rows] = parseCsvRows(text);
+  const headers = (headerRow?.fields || []).map((header) => header.trim());
+
+  const records = rows.map(({ line, fields: values }) => ({
+    line,
+    ...Object.fromEntries(
+      headers.map((header, i) => [header, (values[i] ?? '').trim()]),
+    ),
+  }));
+
+  return { headers, records };
+};
+
+export default parseCsv;
@@ -0,0 +1,215 @@
+import PDFDocument from 'pdfkit';
+import DensityNotification from '../models/DensityNotification.js';
+import Institution from '../models/Institution.js';
+import Patient from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import { saveFile } from './fileStorage.js';
+
+// BI-RADS compositions that require a dense breast notification
+export const DENSE_COMPOSITIONS = ['c', 'd'];
+
+const COMPOSITION_LABELS = {
+  a: 'almost entirely fatty',
+  b: 'scattered areas of fibroglandular density',
+  c: 'heterogeneously dense',
+  d: 'extremely dense',
+};
+
+// Wording of the federal (MQSA) dense breast notification
+const DENSE_NOTICE = [
+  'Breast tissue can be either dense or not dense. Dense tissue makes it harder to find breast cancer on a mammogram and also raises the risk of developing breast cancer.',
+  'Your breast tissue is dense. In some people with dense tissue, other imaging tests in addition to a mammogram may help find cancers.',
+  'Talk to your healthcare provider about breast density, risks for breast cancer, and your individual situation.',
+];
+
+const formatAddress = (address = {}) =>
+  [
+    address.street,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+  ].filter(Boolean);
+
+/**
+ * Render the patient letter as a PDF
+ * @param {Object} data - patientName, patientAddress, institution, studyDate,
+ *   breastDensity
+ * @returns {Promise<Buffer>} PDF contents
+ */
+export const renderDensityLetter = (data) =>
+  new Promise((resolve, reject) => {
+    const { patientName, patientAddress, institution, studyDate } = data;
+    const locale = institution?.settings?.locale || 'en-US';
+    const doc = new PDFDocument({
+      margin: 60,
+      size: 'A4',
+      info: {
+        Title: 'Breast Density Notification',
+        Author: institution?.name || 'Radiology System',
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Letterhead
+    doc
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .fillColor('#2c3e50')
+      .text(institution?.name || 'Breast Imaging Department');
+    doc.fontSize(9).font('Helvetica').fillColor('#7f8c8d');
+    [...formatAddress(institution?.address), institution?.contact?.phone]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+
+    doc.moveDown(2).fontSize(11).fillColor('#000000');
+    doc.text(new Date().toLocaleDateString(locale));
+    doc.moveDown();
+    doc.text(patientName || 'Patient');
+    formatAddress(
+      typeof patientAddress === 'string'
+        ? { street: patientAddress }
+        : patientAddress,
+    ).forEach((line) => doc.text(line));
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').text('Your mammogram results: breast density');
+    doc.moveDown().font('Helvetica');
+    doc.text(`Dear ${patientName || 'Patient'},`);
+    doc.moveDown();
+    doc.text(
+      `Your mammogram of ${
+        studyDate ? new Date(studyDate).toLocaleDateString(locale) : 'recently'
+      } showed that your breast tissue is ${
+        COMPOSITION_LABELS[data.breastDensity]
+      }.`,
+    );
+
+    DENSE_NOTICE.forEach((paragraph) => {
+      doc.moveDown();
+      doc.text(paragraph, { align: 'justify' });
+    });
+
+    doc.moveDown();
+    doc.text(
+      'A copy of your mammogram report has been sent to your healthcare provider. Please contact us if you have any questions.',
+      { align: 'justify' },
+    );
+
+    doc.moveDown(2);
+    doc.text('Sincerely,');
+    doc.text(institution?.name || 'Breast Imaging Department');
+
+    doc.end();
+  });
+
+/**
+ * Render and store the letter for a notification
+ * @param {Object} notification - DensityNotification document
+ * @returns {Promise<Buffer>} PDF contents
+ */
+export const generateDensityLetter = async (notification) => {
+  const [patientCase, patient, institution] = await Promise.all([
+    PatientCase.findById(notification.case).select('patientName studyDate'),
+    notification.patient
+      ? Patient.findById(notification.patient).select(
+          'firstName lastName address',
+        )
+      : null,
+    notification.institution
+      ? Institution.findById(notification.institution).select(
+          'name address contact settings.locale',
+        )
+      : null,
+  ]);
+
+  const pdf = await renderDensityLetter({
+    patientName: patient?.fullName || patientCase?.patientName,
+    patientAddress: patient?.address,
+    institution,
+    studyDate: patientCase?.studyDate,
+    breastDensity: notification.breastDensity,
+  });
+
+  const key = `${
+    notification.institution
+      ? `institutions/${notification.institution}`
+      : 'shared'
+  }/density-letters/${notification._id}.pdf`;
+  await saveFile(key, pdf);
+
+  notification.letter = { path: key, generatedAt: new Date() };
+  await notification.save();
+
+  return pdf;
+};
+
+/**
+ * Keep the notification of a report in step with its density. Called when a
+ * report is finalized or a finalized report is amended; only mammograms with
+ * dense tissue owe a letter
+ * @param {Object} report - DiagnosticReport document
+ * @returns {Promise<Object|null>} The notification, if one is owed
+ */
+export const syncDensityNotification = async (report) => {
+  const caseId = report.caseId?._id || report.caseId;
+  const patientCase = await PatientCase.findById(caseId).select(
+    'patient institution studyType',
+  );
+  const existing = await DensityNotification.findOne({ report: report._id });
+
+  const owed =
+    report.isFinal &&
+    patientCase?.studyType === 'mammogram' &&
+    DENSE_COMPOSITIONS.includes(report.breastDensity);
+
+  if (!owed) {
+    if (existing?.status === 'pending') {
+      existing.status = 'cancelled';
+      existing.cancelledReason = 'Report amended: tissue no longer dense';
+      await existing.save();
+    }
+    return null;
+  }
+
+  // Letters already sent stand; a pending one is redone if the density changed
+  if (existing?.status === 'sent') return existing;
+
+  const notification =
+    existing ||
+    new DensityNotification({
+      report: report._id,
+      case: patientCase._id,
+      patient: patientCase.patient,
+      institution: patientCase.institution,
+    });
+
+  const needsLetter =
+    !notification.letter?.path ||
+    notification.status === 'cancelled' ||
+    notification.breastDensity !== report.breastDensity;
+
+  notification.breastDensity = report.breastDensity;
+  notification.status = 'pending';
+  notification.cancelledReason = undefined;
+  await notification.save();
+
+  if (needsLetter) {
+    try {
+      await generateDensityLetter(notification);
+    } catch (error) {
+      // The letter is generated again when first downloaded
+      console.error('Density letter generation failed:', error.message);
+    }
+  }
+
+  return notification;
+};
+
+export default {
+  renderDensityLetter,
+  generateDensityLetter,
+  syncDensityNotification,
+};
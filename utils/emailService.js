@@ -89,12 +89,19 @@ export const sendWelcomeEmail = async (user, verificationToken) => {
 /**
  * Send password reset email
  */
-export const sendPasswordResetEmail = async (user, resetToken) => {
+export const sendPasswordResetEmail = async (
+  user,
+  resetToken,
+  requestInfo = {},
+) => {
   try {
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
     const html = await loadEmailTemplate('password-reset', {
       firstName: user.firstName,
+      email: user.email,
+      requestTime: (requestInfo.requestedAt || new Date()).toLocaleString(),
+      ipAddress: requestInfo.ipAddress || 'Unknown',
       resetUrl: resetUrl,
       currentYear: new Date().getFullYear(),
     });
@@ -151,6 +158,177 @@ export const sendEmailVerificationSuccessEmail = async (user) => {
   }
 };
 
+/**
+ * Escape text entered by users before placing it in an email template
+ */
+const escapeHtml = (text = '') =>
+  text
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Send the outcome of an admin license review
+ */
+export const sendLicenseReviewEmail = async (user) => {
+  try {
+    const { status, reviewedAt, reason } = user.licenseApproval;
+    const approved = status === 'approved';
+
+    const html = await loadEmailTemplate(
+      approved ? 'license-approved' : 'license-rejected',
+      {
+        firstName: escapeHtml(user.firstName),
+        role: user.role,
+        licenseNumber: escapeHtml(user.licenseNumber),
+        reviewedAt: (reviewedAt || new Date()).toLocaleString(),
+        reason: escapeHtml(reason || 'No reason was given.'),
+        loginUrl: `${process.env.FRONTEND_URL}/login`,
+        currentYear: new Date().getFullYear(),
+      },
+    );
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `BreastBeacon <${
+        process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER
+      }>`,
+      to: user.email,
+      subject: approved
+        ? 'Your License Has Been Approved - BreastBeacon'
+        : 'License Review Outcome - BreastBeacon',
+      html: html,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ License review email sent to: ${user.email}`);
+    return info;
+  } catch (error) {
+    console.error('❌ Error sending license review email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an onboarding invitation with its single-use acceptance link
+ */
+export const sendInvitationEmail = async (invitation, token, context = {}) => {
+  try {
+    const { inviterName, institutionName } = context;
+    const invitationUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`;
+
+    const html = await loadEmailTemplate('invitation', {
+      email: escapeHtml(invitation.email),
+      role: invitation.role.charAt(0).toUpperCase() + invitation.role.slice(1),
+      inviterName: escapeHtml(inviterName || 'An administrator'),
+      institutionName: escapeHtml(institutionName || 'BreastBeacon'),
+      expiresAt: invitation.expiresAt.toLocaleString(),
+      invitationUrl,
+      currentYear: new Date().getFullYear(),
+    });
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `BreastBeacon <${
+        process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER
+      }>`,
+      to: invitation.email,
+      subject: `You're invited to join ${institutionName || 'BreastBeacon'}`,
+      html: html,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Invitation email sent to: ${invitation.email}`);
+    return info;
+  } catch (error) {
+    console.error('❌ Error sending invitation email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the set-password link for an account created by an admin
+ */
+export const sendAccountSetupEmail = async (user, resetToken, context = {}) => {
+  try {
+    const { inviterName, institutionName, expiresAt } = context;
+    const setupUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+
+    const html = await loadEmailTemplate('account-setup', {
+      firstName: escapeHtml(user.firstName),
+      email: escapeHtml(user.email),
+      userId: escapeHtml(user.userId),
+      role: user.role.charAt(0).toUpperCase() + user.role.slice(1),
+      inviterName: escapeHtml(inviterName || 'An administrator'),
+      institutionName: escapeHtml(institutionName || 'BreastBeacon'),
+      expiresAt: expiresAt?.toLocaleString(),
+      setupUrl,
+      currentYear: new Date().getFullYear(),
+    });
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `BreastBeacon <${
+        process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER
+      }>`,
+      to: user.email,
+      subject: `Your ${institutionName || 'BreastBeacon'} account is ready`,
+      html: html,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account setup email sent to: ${user.email}`);
+    return info;
+  } catch (error) {
+    console.error('❌ Error sending account setup email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the verification link for an email change to the new address
+ */
+export const sendEmailChangeVerificationEmail = async (
+  user,
+  newEmail,
+  verificationToken,
+) => {
+  try {
+    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+    const html = await loadEmailTemplate('email-change', {
+      firstName: escapeHtml(user.firstName),
+      newEmail: escapeHtml(newEmail),
+      verificationUrl,
+      currentYear: new Date().getFullYear(),
+    });
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `BreastBeacon <${
+        process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER
+      }>`,
+      to: newEmail,
+      subject: 'Confirm Your New Email Address - BreastBeacon',
+      html: html,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Email change verification sent to: ${newEmail}`);
+    return info;
+  } catch (error) {
+    console.error('❌ Error sending email change verification:', error);
+    throw error;
+  }
+};
+
 /**
  * Send contact form notification to all admins
  */
@@ -241,6 +419,10 @@ export default {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendEmailVerificationSuccessEmail,
+  sendLicenseReviewEmail,
+  sendInvitationEmail,
+  sendAccountSetupEmail,
+  sendEmailChangeVerificationEmail,
   sendContactNotification,
   testEmailConnection,
 };
@@ -0,0 +1,96 @@
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Root directory for uploaded files (outside the source tree in production)
+ */
+const getUploadRoot = () =>
+  path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+/**
+ * Resolve a storage key to an absolute path, refusing keys that escape the root
+ * @param {string} key - Relative storage key, e.g. institutions/<id>/logo.png
+ * @returns {string} Absolute file path
+ */
+const resolveKey = (key) => {
+  const root = getUploadRoot();
+  const fullPath = path.resolve(root, key);
+
+  if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+
+  return fullPath;
+};
+
+/**
+ * Absolute path of a stored file, for tools that read from disk
+ * @param {string} key - Relative storage key
+ * @returns {string} Absolute file path
+ */
+export const getFilePath = (key) => resolveKey(key);
+
+/**
+ * Check that a value is the key of a stored file, not a URL or a path
+ * outside the upload folder
+ * @param {string} key - Candidate storage key
+ * @returns {Promise<boolean>} True if the file exists in storage
+ */
+export const isStoredFile = async (key) => {
+  if (typeof key !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(key)) {
+    return false;
+  }
+
+  try {
+    return (await fs.stat(resolveKey(key))).isFile();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Save a buffer under a storage key, creating folders as needed
+ * @param {string} key - Relative storage key
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} The storage key
+ */
+export const saveFile = async (key, buffer) => {
+  const fullPath = resolveKey(key);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, buffer);
+  return key;
+};
+
+/**
+ * Read a stored file
+ * @param {string} key - Relative storage key
+ * @returns {Promise<Buffer|null>} File contents, or null if missing
+ */
+export const readFile = async (key) => {
+  try {
+    return await fs.readFile(resolveKey(key));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored file (missing files are ignored)
+ * @param {string} key - Relative storage key
+ */
+export const deleteFile = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+export default {
+  getFilePath,
+  isStoredFile,
+  saveFile,
+  readFile,
+  deleteFile,
+};
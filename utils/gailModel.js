@@ -0,0 +1,194 @@
+// Breast cancer risk per the Gail model (NCI Breast Cancer Risk Assessment
+// Tool, BCRAT), implemented locally so no patient data leaves the system.
+//
+// Relative risk (Gail et al., JNCI 1989; BCRAT coefficients):
+//   log RR = 0.5292641686 NB + 0.0940103059 AM + 0.2186262218 AF
+//          + 0.9583027845 NR - 0.2880424830 NB x AGE50 - 0.1908113865 AF x NR
+//   times 1.82 / 0.93 / 1.00 for atypical hyperplasia yes / no / unknown
+// where NB = number of biopsies (0, 1, 2+), AM = age at menarche (>=14,
+// 12-13, <12), AF = age at first live birth (<20, 20-24, 25-29 or
+// nulliparous, >=30), NR = first-degree relatives with breast cancer
+// (0, 1, 2+) and AGE50 = 1 from age 50.
+//
+// Absolute risk over [age, endAge) combines the baseline incidence (lambda1,
+// SEER 1983-87 white women, scaled by 1 - attributable risk) with competing
+// mortality (lambda2) in 5-year age groups:
+//   h1 = lambda1 x (1 - AR) x RR,  h = h1 + lambda2
+//   risk += h1 / h x S x (1 - exp(-h t)),  S *= exp(-h t)
+//
+// Only the white-women rates are implemented; the model is validated for
+// women aged 35-85 without a history of breast cancer, DCIS, LCIS, chest
+// radiation or a BRCA mutation. Lifetime risk is projected to age 90.
+
+export const GAIL_MODEL_VERSION = 'bcrat-white-1.0';
+
+export const GAIL_MIN_AGE = 35;
+export const GAIL_MAX_AGE = 85;
+const PROJECTION_END_AGE = 90;
+
+const BETA = {
+  biopsies: 0.5292641686,
+  menarche: 0.0940103059,
+  firstBirth: 0.2186262218,
+  relatives: 0.9583027845,
+  biopsiesOver50: -0.288042483,
+  firstBirthRelatives: -0.1908113865,
+};
+
+const ONE_MINUS_ATTRIBUTABLE_RISK = 0.5788413;
+
+// Per 5-year age group from 20-24 to 85-89
+const LAMBDA1 = [
+  0.00001, 0.000076, 0.000266, 0.000661, 0.001265, 0.001866, 0.002211, 0.002721,
+  0.003348, 0.003923, 0.004178, 0.004439, 0.004421, 0.004109,
+];
+const LAMBDA2 = [
+  0.000493, 0.000531, 0.000625, 0.000825, 0.001307, 0.002181, 0.003655,
+  0.006242, 0.010645, 0.017014, 0.025476, 0.038686, 0.061855, 0.118974,
+];
+
+const HYPERPLASIA_RELATIVE_RISK = {
+  yes: 1.82,
+  no: 0.93,
+  unknown: 1.0,
+};
+
+// Approximate relative risk of each BI-RADS breast composition against the
+// population mix of densities (BCSC-style adjustment). Not part of the
+// published Gail model, so unadjusted results are always kept alongside
+export const DENSITY_RELATIVE_RISK = {
+  a: 0.6,
+  b: 0.9,
+  c: 1.2,
+  d: 1.5,
+};
+
+const menarcheCategory = (ageAtMenarche) => {
+  if (ageAtMenarche == null || ageAtMenarche >= 14) return 0;
+  return ageAtMenarche >= 12 ? 1 : 2;
+};
+
+// Nulliparous women share the 25-29 category
+const firstBirthCategory = (ageAtFirstBirth) => {
+  if (ageAtFirstBirth == null) return 2;
+  if (ageAtFirstBirth < 20) return 0;
+  if (ageAtFirstBirth < 25) return 1;
+  return ageAtFirstBirth < 30 ? 2 : 3;
+};
+
+/**
+ * Gail model categories for a set of risk factors
+ * @param {Object} factors - ageAtMenarche, ageAtFirstBirth (null if
+ *   nulliparous), firstDegreeRelatives, biopsies, atypicalHyperplasia
+ * @returns {Object} Categories and the hyperplasia multiplier
+ */
+export const gailCategories = (factors) => {
+  const biopsies = Math.min(factors.biopsies || 0, 2);
+
+  return {
+    menarche: menarcheCategory(factors.ageAtMenarche),
+    firstBirth: firstBirthCategory(factors.ageAtFirstBirth),
+    relatives: Math.min(factors.firstDegreeRelatives || 0, 2),
+    biopsies,
+    // Atypia only counts for women who had a biopsy
+    hyperplasia:
+      biopsies === 0
+        ? 1.0
+        : HYPERPLASIA_RELATIVE_RISK[factors.atypicalHyperplasia || 'unknown'],
+  };
+};
+
+/**
+ * Relative risk against a woman with no risk factors, before and from age 50
+ */
+const relativeRisks = (categories) => {
+  const { menarche, firstBirth, relatives, biopsies, hyperplasia } = categories;
+  const base =
+    BETA.biopsies * biopsies +
+    BETA.menarche * menarche +
+    BETA.firstBirth * firstBirth +
+    BETA.relatives * relatives +
+    BETA.firstBirthRelatives * firstBirth * relatives;
+
+  return {
+    under50: Math.exp(base) * hyperplasia,
+    from50: Math.exp(base + BETA.biopsiesOver50 * biopsies) * hyperplasia,
+  };
+};
+
+/**
+ * Absolute risk of invasive breast cancer between two ages
+ */
+const absoluteRisk = (startAge, endAge, relativeRisk, multiplier = 1) => {
+  let risk = 0;
+  let survival = 1;
+
+  for (let age = startAge; age < endAge;) {
+    const group = Math.floor((age - 20) / 5);
+    const next = Math.min(endAge, 20 + (group + 1) * 5);
+    const years = next - age;
+
+    const rr = age < 50 ? relativeRisk.under50 : relativeRisk.from50;
+    const h1 = LAMBDA1[group] * ONE_MINUS_ATTRIBUTABLE_RISK * rr * multiplier;
+    const h = h1 + LAMBDA2[group];
+
+    risk += (h1 / h) * survival * (1 - Math.exp(-h * years));
+    survival *= Math.exp(-h * years);
+    age = next;
+  }
+
+  return risk;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * 5-year and lifetime (to 90) risk for a woman of the given age
+ * @param {Object} factors - age plus the factors of gailCategories, and an
+ *   optional breastDensity (a-d)
+ * @returns {Object} fiveYearRisk, lifetimeRisk (fractions), the unadjusted
+ *   values, relativeRisk and the categories used
+ */
+export const computeGailRisk = (factors) => {
+  const { age, breastDensity } = factors;
+
+  if (!Number.isInteger(age) || age < GAIL_MIN_AGE || age > GAIL_MAX_AGE) {
+    throw new RangeError(
+      `The Gail model applies to ages ${GAIL_MIN_AGE}-${GAIL_MAX_AGE}`,
+    );
+  }
+
+  const categories = gailCategories(factors);
+  const relativeRisk = relativeRisks(categories);
+  const densityMultiplier = DENSITY_RELATIVE_RISK[breastDensity] || 1;
+  const fiveYearEnd = Math.min(age + 5, PROJECTION_END_AGE);
+
+  const fiveYearUnadjusted = absoluteRisk(age, fiveYearEnd, relativeRisk);
+  const lifetimeUnadjusted = absoluteRisk(
+    age,
+    PROJECTION_END_AGE,
+    relativeRisk,
+  );
+
+  return {
+    fiveYearRisk: round(
+      absoluteRisk(age, fiveYearEnd, relativeRisk, densityMultiplier),
+    ),
+    lifetimeRisk: round(
+      absoluteRisk(age, PROJECTION_END_AGE, relativeRisk, densityMultiplier),
+    ),
+    fiveYearRiskUnadjusted: round(fiveYearUnadjusted),
+    lifetimeRiskUnadjusted: round(lifetimeUnadjusted),
+    relativeRisk: {
+      under50: round(relativeRisk.under50),
+      from50: round(relativeRisk.from50),
+    },
+    densityMultiplier,
+    categories,
+  };
+};
+
+export default {
+  computeGailRisk,
+  gailCategories,
+};
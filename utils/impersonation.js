@@ -0,0 +1,90 @@
+import User from '../models/User.js';
+
+// Permission an admin needs to open and keep an impersonation session
+export const IMPERSONATION_PERMISSION = 'users:impersonate';
+
+/**
+ * Resolve the admin behind an impersonation token (the act claim)
+ * Returns null once the session was ended, expired or the admin lost access
+ * @param {Object} decoded - Verified JWT payload
+ * @param {string} token - Raw impersonation token
+ * @returns {Promise<Object|null>} Impersonator for req.user / socket.user
+ */
+export const resolveImpersonator = async (decoded, token) => {
+  const admin = await User.findById(decoded.act?._id).select('+active');
+
+  if (
+    !admin ||
+    admin.active === false ||
+    admin.changedPasswordAfter(decoded.iat) ||
+    !admin.hasImpersonationSession(token)
+  ) {
+    return null;
+  }
+
+  const permissions = await admin.getEffectivePermissions();
+
+  if (!permissions.includes(IMPERSONATION_PERMISSION)) {
+    return null;
+  }
+
+  return {
+    id: admin._id.toString(),
+    email: admin.email,
+    name: admin.fullName,
+    expiresAt: new Date(decoded.exp * 1000),
+  };
+};
+
+/**
+ * Check that a token still belongs to an open session: the user's own, or
+ * for an impersonation token the admin's
+ * @param {Object} user - User the token was issued for
+ * @param {Object} decoded - Verified JWT payload
+ * @param {string} token - Raw token
+ * @returns {Promise<Object>} { error } once closed, otherwise { impersonator }
+ *   (null unless impersonating)
+ */
+export const resolveTokenSession = async (user, decoded, token) => {
+  if (!decoded?.act) {
+    return user.hasActiveSession(token)
+      ? { impersonator: null }
+      : { error: 'Session revoked' };
+  }
+
+  const impersonator = await resolveImpersonator(decoded, token);
+  return impersonator ? { impersonator } : { error: 'Impersonation ended' };
+};
+
+/**
+ * Fields telling a client to show the impersonation banner
+ * @param {Object|null} impersonator - From resolveImpersonator
+ * @returns {Object} { impersonating, impersonator }
+ */
+export const impersonationStatus = (impersonator) => ({
+  impersonating: Boolean(impersonator),
+  impersonator: impersonator
+    ? {
+        id: impersonator.id,
+        name: impersonator.name,
+        email: impersonator.email,
+        expiresAt: impersonator.expiresAt,
+      }
+    : null,
+});
+
+/**
+ * Fields recording the impersonating admin on a written document
+ * @param {Object} req - Express request
+ * @returns {Object} { impersonatedBy } while impersonating, otherwise {}
+ */
+export const impersonationAttribution = (req) =>
+  req.user?.impersonator ? { impersonatedBy: req.user.impersonator.id } : {};
+
+export default {
+  IMPERSONATION_PERMISSION,
+  resolveImpersonator,
+  resolveTokenSession,
+  impersonationStatus,
+  impersonationAttribution,
+};
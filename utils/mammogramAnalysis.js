@@ -0,0 +1,152 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import PatientCase from '../models/PatientCase.js';
+import { assertConsent } from './consent.js';
+import { getFilePath, isStoredFile } from './fileStorage.js';
+
+const SCRIPT_PATH = path.resolve('scripts', 'mammogram_analysis.py');
+
+// Detection on a full-field mammogram takes well under a minute on CPU
+const ANALYSIS_TIMEOUT_MS =
+  parseInt(process.env.MAMMOGRAM_ANALYSIS_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Build an error carrying an HTTP status and machine-readable code
+const analysisError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Run the detection script on one stored (encrypted) image
+ * @param {Object} options - storageKey, isDicom and consentRecordId
+ * @returns {Promise<Object[]>} Detections { bbox, confidence }
+ */
+const runScript = ({ storageKey, isDicom, consentRecordId }) => {
+  const { MAMMOGRAM_MODEL_PROTOTXT, MAMMOGRAM_MODEL_WEIGHTS } = process.env;
+
+  if (!MAMMOGRAM_MODEL_PROTOTXT || !MAMMOGRAM_MODEL_WEIGHTS) {
+    throw analysisError(
+      'AI analysis is not configured on this server',
+      503,
+      'ANALYSIS_NOT_CONFIGURED',
+    );
+  }
+
+  // The script decrypts into this file and removes it when done
+  const decryptedPath = path.join(
+    os.tmpdir(),
+    `mammogram-${crypto.randomUUID()}${isDicom ? '.dcm' : '.png'}`,
+  );
+
+  const args = [
+    SCRIPT_PATH,
+    '--input',
+    getFilePath(storageKey),
+    '--output',
+    decryptedPath,
+    '--prototxt',
+    MAMMOGRAM_MODEL_PROTOTXT,
+    '--model',
+    MAMMOGRAM_MODEL_WEIGHTS,
+    '--consent-record',
+    consentRecordId,
+    ...(isDicom ? ['--is_dicom'] : []),
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.env.PYTHON_BIN || 'python3',
+      args,
+      { timeout: ANALYSIS_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      async (error, stdout) => {
+        // Never leave decrypted images behind, even if the script failed
+        await fs.rm(decryptedPath, { force: true });
+
+        // The script prints one JSON line last, on success and on failure
+        const lastLine = stdout.trim().split('\n').pop();
+        let output = null;
+        try {
+          output = JSON.parse(lastLine);
+        } catch {
+          // Crashed before printing its result
+        }
+
+        if (output?.status === 'success') {
+          return resolve(output.detections);
+        }
+
+        reject(
+          analysisError(
+            output?.message || error?.message || 'Analysis failed',
+            502,
+            'ANALYSIS_FAILED',
+          ),
+        );
+      },
+    );
+  });
+};
+
+/**
+ * Run AI lesion detection on a case image. Refuses unless the patient has
+ * consent for AI analysis in force; the result and the grant relied on are
+ * stored on the image
+ * @param {Object} patientCase - PatientCase document
+ * @param {string} imageId - Image subdocument id
+ * @param {Object} options - requestedBy (user id)
+ * @returns {Promise<Object>} The image's aiAnalysis
+ */
+export const analyzeCaseImage = async (patientCase, imageId, options = {}) => {
+  const image = patientCase.images.id(imageId);
+
+  if (!image) {
+    throw analysisError('Image not found', 404, 'IMAGE_NOT_FOUND');
+  }
+
+  // Images linked by URL were never uploaded here, so the script cannot read them
+  if (!(await isStoredFile(image.imageUrl))) {
+    throw analysisError(
+      'Only images stored on this server can be analyzed',
+      400,
+      'IMAGE_NOT_STORED',
+    );
+  }
+
+  const consent = await assertConsent(patientCase.patient, 'ai_analysis');
+
+  let analysis;
+  try {
+    const detections = await runScript({
+      storageKey: image.imageUrl,
+      isDicom: /\.(dcm|dicom)(\.enc)?$/i.test(image.imageUrl),
+      consentRecordId: consent._id.toString(),
+    });
+    analysis = { status: 'completed', detections };
+  } catch (error) {
+    if (error.code !== 'ANALYSIS_FAILED') throw error;
+    analysis = { status: 'failed', detections: [], error: error.message };
+  }
+
+  const aiAnalysis = {
+    ...analysis,
+    analyzedAt: new Date(),
+    requestedBy: options.requestedBy,
+    consentRecord: consent._id,
+  };
+
+  await PatientCase.updateOne(
+    { _id: patientCase._id, 'images._id': image._id },
+    { $set: { 'images.$.aiAnalysis': aiAnalysis } },
+  );
+
+  return aiAnalysis;
+};
+
+export default {
+  analyzeCaseImage,
+};
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Provider metadata and signing keys are cached to avoid a fetch per login
+const METADATA_TTL = 60 * 60 * 1000; // 1 hour
+const FETCH_TIMEOUT = 10 * 1000; // 10 seconds
+const CLOCK_TOLERANCE = 60; // seconds
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const oidcError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fetch JSON from a provider endpoint with a timeout
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw oidcError(
+      body.error_description || body.error || `HTTP ${response.status}`,
+      'OIDC_PROVIDER_ERROR',
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} base64url string
+ */
+const base64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Generate a random state, nonce and PKCE verifier/challenge pair
+ * @returns {Object} state, nonce, codeVerifier and codeChallenge (S256)
+ */
+export const generateAuthRequestSecrets = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(
+      crypto.createHash('sha256').update(codeVerifier).digest(),
+    ),
+  };
+};
+
+/**
+ * Load a provider's discovery document
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Provider metadata
+ */
+export const getProviderMetadata = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(
+    `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`,
+  );
+
+  if (metadata.issuer !== issuer) {
+    throw oidcError(
+      'Discovery document issuer does not match the configured issuer',
+      'OIDC_ISSUER_MISMATCH',
+    );
+  }
+
+  metadataCache.set(issuer, {
+    metadata,
+    expiresAt: Date.now() + METADATA_TTL,
+  });
+  return metadata;
+};
+
+/**
+ * Build the authorization endpoint URL for a login attempt
+ * @param {Object} sso - Institution SSO configuration
+ * @param {Object} params - state, nonce, codeChallenge, redirectUri
+ * @returns {Promise<string>} URL to send the browser to
+ */
+export const buildAuthorizationUrl = async (sso, params) => {
+  const metadata = await getProviderMetadata(sso.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: sso.clientId,
+    redirect_uri: params.redirectUri,
+    scope: (sso.scopes?.length ? sso.scopes : ['openid']).join(' '),
+    state: params.state,
+    nonce: params.nonce,
+    code_challenge: params.codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint
+ * @param {Object} sso - Institution SSO configuration (with clientSecret)
+ * @param {Object} params - code, codeVerifier, redirectUri
+ * @returns {Promise<Object>} Token response
+ */
+export const exchangeAuthorizationCode = async (sso, params) => {
+  const metadata = await getProviderMetadata(sso.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: params.redirectUri,
+    client_id: sso.clientId,
+    code_verifier: params.codeVerifier,
+  });
+  if (sso.clientSecret) body.set('client_secret', sso.clientSecret);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Provider did not return an ID token', 'OIDC_NO_ID_TOKEN');
+  }
+
+  return tokens;
+};
+
+/**
+ * Find the provider's public key for a token, refreshing the JWKS once on a miss
+ * @param {string} jwksUri - JWKS endpoint
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((key) => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk =
+    cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, expiresAt: Date.now() + METADATA_TTL };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('No matching signing key found', 'OIDC_UNKNOWN_KEY');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} sso - Institution SSO configuration
+ * @param {string} idToken - Compact JWT
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+export const verifyIdToken = async (sso, idToken, nonce) => {
+  const metadata = await getProviderMetadata(sso.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded?.header) {
+    throw oidcError('Malformed ID token', 'OIDC_INVALID_ID_TOKEN');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer: sso.issuer,
+      audience: sso.clientId,
+      clockTolerance: CLOCK_TOLERANCE,
+    });
+  } catch (error) {
+    throw oidcError(
+      `ID token rejected: ${error.message}`,
+      'OIDC_INVALID_ID_TOKEN',
+    );
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce mismatch', 'OIDC_INVALID_ID_TOKEN');
+  }
+
+  return claims;
+};
+
+/**
+ * Map IdP claims onto a BreastBeacon profile and role
+ * @param {Object} sso - Institution SSO configuration
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Object} email, role (null if unmapped), names and license details;
+ *   emailVerified is null when the provider does not send email_verified
+ */
+export const mapClaimsToProfile = (sso, claims) => {
+  const names = sso.claims || {};
+  const rawGroups = claims[names.groups || 'groups'];
+  const groups = Array.isArray(rawGroups)
+    ? rawGroups.map(String)
+    : rawGroups
+      ? [String(rawGroups)]
+      : [];
+
+  const mapping = (sso.roleMappings || []).find((entry) =>
+    groups.includes(entry.group),
+  );
+
+  return {
+    subject: claims.sub,
+    email: claims[names.email || 'email']?.toString().toLowerCase().trim(),
+    emailVerified:
+      claims.email_verified === undefined
+        ? null
+        : claims.email_verified === true || claims.email_verified === 'true',
+    groups,
+    role: mapping?.role || sso.defaultRole || null,
+    firstName: claims[names.firstName || 'given_name'],
+    lastName: claims[names.lastName || 'family_name'],
+    licenseNumber: claims[names.licenseNumber || 'license_number'],
+    specialization: claims[names.specialization || 'specialization'],
+  };
+};
+
+/**
+ * Check an email against the provider's allowed domains
+ * @param {Object} sso - Institution SSO configuration
+ * @param {string} email - Email from the ID token
+ * @returns {boolean} True if accepted
+ */
+export const isAllowedEmailDomain = (sso, email) => {
+  const domains = (sso.allowedDomains || []).map((domain) =>
+    domain.toLowerCase(),
+  );
+  if (domains.length === 0) return true;
+
+  const domain = email?.split('@')[1];
+  return !!domain && domains.includes(domain);
+};
+
+export default {
+  generateAuthRequestSecrets,
+  getProviderMetadata,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  mapClaimsToProfile,
+  isAllowedEmailDomain,
+};
@@ -0,0 +1,372 @@
+import Patient from '../models/Patient.js';
+
+// Pairs scoring at or above these probabilities are flagged
+export const MATCH_THRESHOLDS = {
+  likely: 0.9,
+  possible: 0.5,
+};
+
+// Fellegi-Sunter m/u probabilities: how often a field agrees for the same
+// person (m) and for two different people in the same institution (u)
+const FIELD_WEIGHTS = {
+  lastName: { m: 0.92, u: 0.01 },
+  firstName: { m: 0.95, u: 0.02 },
+  dateOfBirth: { m: 0.97, u: 0.001 },
+  sex: { m: 0.98, u: 0.5 },
+  phoneNumber: { m: 0.7, u: 0.0005 },
+  address: { m: 0.6, u: 0.001 },
+};
+
+// Prior odds that two candidate records (sharing a blocking key) match
+const PRIOR_LOG_ODDS = Math.log2(1 / 2000);
+
+// Jaro-Winkler similarity below which names count as disagreeing
+const NAME_DISAGREEMENT = 0.7;
+
+const CANDIDATE_LIMIT = 200;
+
+/**
+ * Jaro-Winkler similarity of two strings (1 = identical, 0 = nothing shared)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+export const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const normalizeText = (value) =>
+  value
+    ? value
+        .toString()
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    : '';
+
+const normalizePhone = (value) => Patient.normalizePhone(value);
+
+const agreementWeight = ({ m, u }) => Math.log2(m / u);
+const disagreementWeight = ({ m, u }) => Math.log2((1 - m) / (1 - u));
+
+/**
+ * Weight for a fuzzy comparison: full agreement weight at similarity 1,
+ * full disagreement weight at or below the disagreement threshold
+ */
+const partialWeight = (field, similarity) => {
+  const agree = agreementWeight(FIELD_WEIGHTS[field]);
+  const disagree = disagreementWeight(FIELD_WEIGHTS[field]);
+  if (similarity <= NAME_DISAGREEMENT) return disagree;
+
+  const ratio = (similarity - NAME_DISAGREEMENT) / (1 - NAME_DISAGREEMENT);
+  return disagree + ratio * (agree - disagree);
+};
+
+const compareDates = (a, b) => {
+  const x = new Date(a);
+  const y = new Date(b);
+  const parts = (d) => [
+    d.getUTCFullYear(),
+    d.getUTCMonth() + 1,
+    d.getUTCDate(),
+  ];
+  const [xy, xm, xd] = parts(x);
+  const [yy, ym, yd] = parts(y);
+
+  if (xy === yy && xm === ym && xd === yd) return 1;
+  // Day and month swapped (US vs European entry) or a single typo
+  if (xy === yy && xm === yd && xd === ym) return 0.8;
+  const sameParts = (xy === yy) + (xm === ym) + (xd === yd);
+  return sameParts === 2 ? 0.6 : 0;
+};
+
+/**
+ * Score how likely two patient records describe the same person
+ * @param {Object} a - Patient document or plain object
+ * @param {Object} b - Patient document or plain object
+ * @returns {{ probability: number, weight: number, fields: Object }}
+ *   fields holds the per-field weight (omitted where a value is missing)
+ */
+export const scorePatientMatch = (a, b) => {
+  const fields = {};
+
+  const lastA = normalizeText(a.lastName);
+  const lastB = normalizeText(b.lastName);
+  const firstA = normalizeText(a.firstName);
+  const firstB = normalizeText(b.firstName);
+
+  if (lastA && lastB && firstA && firstB) {
+    const straight = jaroWinkler(lastA, lastB) + jaroWinkler(firstA, firstB);
+    // First and last name entered the wrong way round
+    const swapped = jaroWinkler(lastA, firstB) + jaroWinkler(firstA, lastB);
+    const useSwapped = swapped > straight;
+
+    fields.lastName = partialWeight(
+      'lastName',
+      useSwapped ? jaroWinkler(lastA, firstB) : jaroWinkler(lastA, lastB),
+    );
+    fields.firstName = partialWeight(
+      'firstName',
+      useSwapped ? jaroWinkler(firstA, lastB) : jaroWinkler(firstA, firstB),
+    );
+  } else {
+    if (lastA && lastB) {
+      fields.lastName = partialWeight('lastName', jaroWinkler(lastA, lastB));
+    }
+    if (firstA && firstB) {
+      fields.firstName = partialWeight(
+        'firstName',
+        jaroWinkler(firstA, firstB),
+      );
+    }
+  }
+
+  if (a.dateOfBirth && b.dateOfBirth) {
+    const similarity = compareDates(a.dateOfBirth, b.dateOfBirth);
+    fields.dateOfBirth =
+      similarity === 0
+        ? disagreementWeight(FIELD_WEIGHTS.dateOfBirth)
+        : similarity * agreementWeight(FIELD_WEIGHTS.dateOfBirth);
+  }
+
+  const knownSex = (sex) => sex && sex !== 'unknown';
+  if (knownSex(a.sex) && knownSex(b.sex)) {
+    fields.sex =
+      a.sex === b.sex
+        ? agreementWeight(FIELD_WEIGHTS.sex)
+        : disagreementWeight(FIELD_WEIGHTS.sex);
+  }
+
+  const phoneA = normalizePhone(a.phoneNumber);
+  const phoneB = normalizePhone(b.phoneNumber);
+  if (phoneA.length >= 7 && phoneB.length >= 7) {
+    fields.phoneNumber =
+      phoneA === phoneB
+        ? agreementWeight(FIELD_WEIGHTS.phoneNumber)
+        : disagreementWeight(FIELD_WEIGHTS.phoneNumber);
+  }
+
+  const addressA = normalizeText(a.address);
+  const addressB = normalizeText(b.address);
+  if (addressA && addressB) {
+    fields.address = partialWeight('address', jaroWinkler(addressA, addressB));
+  }
+
+  const weight = Object.values(fields).reduce((sum, w) => sum + w, 0);
+  const probability = 1 / (1 + 2 ** -(weight + PRIOR_LOG_ODDS));
+
+  return {
+    probability: Math.round(probability * 1000) / 1000,
+    weight: Math.round(weight * 100) / 100,
+    fields: Object.fromEntries(
+      Object.entries(fields).map(([field, w]) => [
+        field,
+        Math.round(w * 100) / 100,
+      ]),
+    ),
+  };
+};
+
+/**
+ * Label a match probability against the thresholds
+ * @returns {'likely'|'possible'|null}
+ */
+export const classifyMatch = (probability) => {
+  if (probability >= MATCH_THRESHOLDS.likely) return 'likely';
+  if (probability >= MATCH_THRESHOLDS.possible) return 'possible';
+  return null;
+};
+
+const CANDIDATE_SELECT =
+  'mrn firstName lastName dateOfBirth sex phoneNumber phoneDigits address';
+
+/**
+ * Blocking filters selecting the records worth comparing with a patient:
+ * same date of birth, same phone digits, or name prefix + birth year
+ * @param {Object} patient - Patient document or plain object
+ * @returns {Object[]} Query filters (empty when nothing can be blocked on)
+ */
+const blockingFilters = (patient) => {
+  const blocks = [];
+  const lastName = normalizeText(patient.lastName);
+  const phone = normalizePhone(patient.phoneNumber);
+
+  if (patient.dateOfBirth) {
+    const dob = new Date(patient.dateOfBirth);
+    const year = dob.getUTCFullYear();
+    const day = Date.UTC(year, dob.getUTCMonth(), dob.getUTCDate());
+
+    blocks.push({
+      dateOfBirth: { $gte: new Date(day), $lt: new Date(day + 86400000) },
+    });
+
+    if (lastName) {
+      blocks.push({
+        lastName: new RegExp(`^${lastName.slice(0, 2)}`, 'i'),
+        dateOfBirth: {
+          $gte: new Date(Date.UTC(year, 0, 1)),
+          $lt: new Date(Date.UTC(year + 1, 0, 1)),
+        },
+      });
+    }
+  } else if (lastName) {
+    blocks.push({ lastName: new RegExp(`^${lastName.slice(0, 3)}`, 'i') });
+  }
+
+  if (phone.length >= 7) {
+    blocks.push({ phoneDigits: phone });
+  }
+
+  return blocks;
+};
+
+// Evaluate a blocking filter against a loaded record
+const matchesBlock = (record, block) =>
+  Object.entries(block).every(([field, condition]) => {
+    const value = record[field];
+    if (condition instanceof RegExp) return condition.test(value ?? '');
+    if (condition.$gte) {
+      return Boolean(value) && value >= condition.$gte && value < condition.$lt;
+    }
+    return value === condition;
+  });
+
+const scoreCandidate = (patient, candidate) => {
+  const score = scorePatientMatch(patient, candidate);
+  return {
+    patient: candidate,
+    ...score,
+    classification: classifyMatch(score.probability),
+  };
+};
+
+/**
+ * Find records in the same institution that may be the same person
+ * @param {Object} patient - Patient document (or unsaved data with institution)
+ * @param {Object} [options] - minProbability
+ * @returns {Promise<Object[]>} Matches, most probable first
+ */
+export const findDuplicateCandidates = async (patient, options = {}) => {
+  const { minProbability = MATCH_THRESHOLDS.possible } = options;
+
+  const blocks = blockingFilters(patient);
+  if (blocks.length === 0) return [];
+
+  const candidates = await Patient.find({
+    institution: patient.institution || null,
+    mergedInto: null,
+    ...(patient._id && { _id: { $ne: patient._id } }),
+    $or: blocks,
+  })
+    .select(CANDIDATE_SELECT)
+    .limit(CANDIDATE_LIMIT);
+
+  return candidates
+    .map((candidate) => scoreCandidate(patient, candidate))
+    .filter((match) => match.probability >= minProbability)
+    .sort((x, y) => y.probability - x.probability);
+};
+
+/**
+ * Find likely duplicates for a batch of patients of one institution with a
+ * single candidate query; each pair is reported once
+ * @param {Object[]} patients - Patient documents
+ * @param {Object} [options] - minProbability
+ * @returns {Promise<Object[]>} { patient, duplicate, probability, ... },
+ *   most probable first
+ */
+export const findDuplicatePairs = async (patients, options = {}) => {
+  const { minProbability = MATCH_THRESHOLDS.possible } = options;
+
+  const blocksByPatient = patients.map((patient) => blockingFilters(patient));
+  const blocks = blocksByPatient.flat();
+  if (blocks.length === 0) return [];
+
+  const candidates = await Patient.find({
+    institution: patients[0].institution || null,
+    mergedInto: null,
+    $or: blocks,
+  })
+    .select(CANDIDATE_SELECT)
+    .limit(CANDIDATE_LIMIT * patients.length);
+
+  const seen = new Set();
+  const pairs = [];
+
+  patients.forEach((patient, index) => {
+    candidates
+      .filter(
+        (candidate) =>
+          !candidate._id.equals(patient._id) &&
+          blocksByPatient[index].some((block) =>
+            matchesBlock(candidate, block),
+          ),
+      )
+      .forEach((candidate) => {
+        const key = [patient._id, candidate._id].sort().join('|');
+        if (seen.has(key)) return;
+
+        const match = scoreCandidate(patient, candidate);
+        if (match.probability < minProbability) return;
+
+        seen.add(key);
+        const { patient: duplicate, ...score } = match;
+        pairs.push({ patient, duplicate, ...score });
+      });
+  });
+
+  return pairs.sort((x, y) => y.probability - x.probability);
+};
+
+export default {
+  jaroWinkler,
+  scorePatientMatch,
+  classifyMatch,
+  findDuplicateCandidates,
+  findDuplicatePairs,
+};
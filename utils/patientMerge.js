@@ -0,0 +1,416 @@
+import mongoose from 'mongoose';
+import ConsentRecord from '../models/ConsentRecord.js';
+import DensityNotification from '../models/DensityNotification.js';
+import Patient from '../models/Patient.js';
+import PatientCase from '../models/PatientCase.js';
+import PatientMergeLog from '../models/PatientMergeLog.js';
+import RiskAssessment from '../models/RiskAssessment.js';
+import { scorePatientMatch } from './patientMatching.js';
+
+// Survivor fields that are filled in from the merged record when empty
+const FILLABLE_FIELDS = ['dateOfBirth', 'sex', 'phoneNumber', 'address'];
+
+// Build an error carrying an HTTP status and machine-readable code
+const mergeError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const isEmpty = (field, value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (field === 'sex' && value === 'unknown');
+
+/**
+ * Point each case's previousStudies at every earlier case of the patient,
+ * keeping links that were added by hand
+ */
+const linkPreviousStudies = async (patientId, session) => {
+  const cases = await PatientCase.find({ patient: patientId })
+    .select('studyDate previousStudies')
+    .sort({ studyDate: 1 })
+    .session(session);
+
+  const operations = cases.map((patientCase, index) => {
+    const earlier = cases
+      .slice(0, index)
+      .filter((other) => other.studyDate < patientCase.studyDate)
+      .map((other) => other._id);
+
+    return {
+      updateOne: {
+        filter: { _id: patientCase._id },
+        update: { $addToSet: { previousStudies: { $each: earlier } } },
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await PatientCase.bulkWrite(operations, { session });
+  }
+};
+
+/**
+ * Move density letters to another patient. Letters still pending are rendered
+ * again on download, with that patient's name and address
+ */
+const moveDensityNotifications = async (filter, patientId, session) => {
+  await DensityNotification.updateMany(
+    { ...filter, status: 'pending' },
+    { $unset: { letter: '' } },
+    { session },
+  );
+  await DensityNotification.updateMany(
+    filter,
+    { $set: { patient: patientId } },
+    { session },
+  );
+};
+
+/**
+ * Fold one patient record into another. Cases (and with them their reports),
+ * consent records, risk assessments and density letters move to the survivor,
+ * previousStudies are relinked across the combined history, and everything
+ * needed to undo the merge is logged.
+ * @param {Object} options - survivorId, mergedId, institution, userId, reason
+ * @returns {Promise<Object>} The merge log entry
+ */
+export const mergePatients = async (options) => {
+  const { survivorId, mergedId, institution, userId, reason } = options;
+
+  if (survivorId.toString() === mergedId.toString()) {
+    throw mergeError(
+      'A patient cannot be merged into itself',
+      400,
+      'SAME_PATIENT',
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [survivor, merged] = await Promise.all([
+      Patient.findOne({ _id: survivorId, institution }).session(session),
+      Patient.findOne({ _id: mergedId, institution }).session(session),
+    ]);
+
+    if (!survivor || !merged) {
+      throw mergeError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+
+    if (survivor.mergedInto || merged.mergedInto) {
+      throw mergeError(
+        'One of these records has already been merged',
+        409,
+        'ALREADY_MERGED',
+      );
+    }
+
+    if (survivor.user && merged.user) {
+      throw mergeError(
+        'Both records have a portal account; the patient must close one first',
+        409,
+        'BOTH_HAVE_PORTAL_ACCOUNTS',
+      );
+    }
+
+    const [
+      mergedCases,
+      survivorCases,
+      mergedConsents,
+      mergedAssessments,
+      mergedNotifications,
+    ] = await Promise.all([
+      PatientCase.find({ patient: merged._id })
+        .select('patientId patientName age previousStudies')
+        .session(session),
+      PatientCase.find({ patient: survivor._id })
+        .select('previousStudies')
+        .session(session),
+      ConsentRecord.find({ patient: merged._id })
+        .select('_id')
+        .session(session),
+      RiskAssessment.find({ patient: merged._id })
+        .select('_id')
+        .session(session),
+      DensityNotification.find({ patient: merged._id })
+        .select('_id')
+        .session(session),
+    ]);
+
+    const survivorChanges = {};
+    FILLABLE_FIELDS.forEach((field) => {
+      if (isEmpty(field, survivor[field]) && !isEmpty(field, merged[field])) {
+        survivorChanges[field] = survivor[field] ?? null;
+        survivor[field] = merged[field];
+      }
+    });
+
+    const movedUser = !survivor.user && merged.user ? merged.user : undefined;
+    if (movedUser) {
+      survivor.user = movedUser;
+      merged.user = undefined;
+    }
+
+    const { probability, fields } = scorePatientMatch(survivor, merged);
+
+    const [log] = await PatientMergeLog.create(
+      [
+        {
+          institution,
+          survivor: survivor._id,
+          merged: merged._id,
+          reason,
+          match: { probability, fields },
+          survivorChanges,
+          movedUser,
+          cases: mergedCases.map((patientCase) => ({
+            case: patientCase._id,
+            patientId: patientCase.patientId,
+            patientName: patientCase.patientName,
+            age: patientCase.age,
+          })),
+          previousStudies: [...survivorCases, ...mergedCases].map(
+            (patientCase) => ({
+              case: patientCase._id,
+              previousStudies: patientCase.previousStudies,
+            }),
+          ),
+          consentRecords: mergedConsents.map((record) => record._id),
+          riskAssessments: mergedAssessments.map(
+            (assessment) => assessment._id,
+          ),
+          densityNotifications: mergedNotifications.map(
+            (notification) => notification._id,
+          ),
+          mergedBy: userId,
+        },
+      ],
+      { session },
+    );
+
+    // The survivor's risk profile (and MRI flag) follows the latest
+    // assessment across both records
+    await RiskAssessment.updateMany(
+      { patient: merged._id },
+      { $set: { patient: survivor._id } },
+      { session },
+    );
+    survivor.riskProfile = await RiskAssessment.latestRiskProfile(
+      survivor._id,
+      session,
+    );
+    merged.riskProfile = {};
+
+    merged.mergedInto = survivor._id;
+    merged.mergedAt = new Date();
+    await merged.save({ session });
+    await survivor.save({ session });
+
+    await PatientCase.updateMany(
+      { patient: merged._id },
+      { $set: { patient: survivor._id } },
+      { session },
+    );
+    await linkPreviousStudies(survivor._id, session);
+
+    // Consent follows the studies: the latest decision across both records is
+    // in force, so a withdrawal on the duplicate is not masked by an older
+    // grant on the survivor
+    await ConsentRecord.updateMany(
+      { patient: merged._id },
+      { $set: { patient: survivor._id } },
+      { session },
+    );
+
+    await moveDensityNotifications(
+      { patient: merged._id },
+      survivor._id,
+      session,
+    );
+
+    await session.commitTransaction();
+
+    // Snapshot fields follow the survivor (outside the transaction: idempotent)
+    await PatientCase.syncPatientSnapshot(survivor);
+
+    return log;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reverse a merge: the merged record, its cases, consent records, risk
+ * assessments and density letters are restored as they were.
+ * Cases registered on the survivor since the merge stay with the survivor.
+ * @param {Object} options - logId, institution, userId, reason
+ * @returns {Promise<Object>} The updated merge log entry
+ */
+export const unmergePatients = async (options) => {
+  const { logId, institution, userId, reason } = options;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const log = await PatientMergeLog.findOne({
+      _id: logId,
+      institution,
+    }).session(session);
+
+    if (!log) {
+      throw mergeError('Merge not found', 404, 'MERGE_NOT_FOUND');
+    }
+
+    if (log.status === 'undone') {
+      throw mergeError(
+        'This merge has already been undone',
+        409,
+        'ALREADY_UNDONE',
+      );
+    }
+
+    const [survivor, merged] = await Promise.all([
+      Patient.findById(log.survivor).session(session),
+      Patient.findById(log.merged).session(session),
+    ]);
+
+    if (!survivor || !merged) {
+      throw mergeError(
+        'A record involved in this merge no longer exists',
+        409,
+        'PATIENT_MISSING',
+      );
+    }
+
+    if (survivor.mergedInto) {
+      throw mergeError(
+        'The surviving record was merged again since; undo that merge first',
+        409,
+        'SURVIVOR_MERGED',
+      );
+    }
+
+    const mergedCaseIds = log.cases.map((entry) => entry.case);
+
+    if (log.cases.length > 0) {
+      await PatientCase.bulkWrite(
+        log.cases.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry.case, patient: survivor._id },
+            update: {
+              $set: {
+                patient: merged._id,
+                patientId: entry.patientId,
+                patientName: entry.patientName,
+                ...(entry.age != null && { age: entry.age }),
+              },
+            },
+          },
+        })),
+        { session },
+      );
+    }
+
+    if (log.previousStudies.length > 0) {
+      await PatientCase.bulkWrite(
+        log.previousStudies.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry.case },
+            update: { $set: { previousStudies: entry.previousStudies } },
+          },
+        })),
+        { session },
+      );
+    }
+
+    // Cases added after the merge must not point into the restored record
+    await PatientCase.updateMany(
+      {
+        patient: survivor._id,
+        _id: { $nin: log.previousStudies.map((entry) => entry.case) },
+      },
+      { $pull: { previousStudies: { $in: mergedCaseIds } } },
+      { session },
+    );
+
+    // Consent, assessments and letters recorded on the survivor since the
+    // merge stay with the survivor
+    if (log.consentRecords.length > 0) {
+      await ConsentRecord.updateMany(
+        { _id: { $in: log.consentRecords }, patient: survivor._id },
+        { $set: { patient: merged._id } },
+        { session },
+      );
+    }
+
+    if (log.densityNotifications.length > 0) {
+      await moveDensityNotifications(
+        { _id: { $in: log.densityNotifications }, patient: survivor._id },
+        merged._id,
+        session,
+      );
+    }
+
+    if (log.riskAssessments.length > 0) {
+      await RiskAssessment.updateMany(
+        { _id: { $in: log.riskAssessments }, patient: survivor._id },
+        { $set: { patient: merged._id } },
+        { session },
+      );
+    }
+    survivor.riskProfile = await RiskAssessment.latestRiskProfile(
+      survivor._id,
+      session,
+    );
+    merged.riskProfile = await RiskAssessment.latestRiskProfile(
+      merged._id,
+      session,
+    );
+
+    Object.entries(log.survivorChanges || {}).forEach(([field, value]) => {
+      survivor.set(field, value ?? undefined);
+    });
+
+    if (log.movedUser) {
+      survivor.user = undefined;
+      merged.user = log.movedUser;
+    }
+
+    merged.mergedInto = null;
+    merged.mergedAt = undefined;
+
+    await survivor.save({ session });
+    await merged.save({ session });
+
+    log.status = 'undone';
+    log.undoneBy = userId;
+    log.undoneAt = new Date();
+    log.undoReason = reason;
+    await log.save({ session });
+
+    await session.commitTransaction();
+
+    await PatientCase.syncPatientSnapshot(survivor);
+
+    return log;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+export default {
+  mergePatients,
+  unmergePatients,
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import DiagnosticReport from '../models/DiagnosticReport.js';
+import User from '../models/User.js';
+import { readFile, saveFile } from './fileStorage.js';
+
+// Report fields naming the users whose signatures are printed
+const SIGNATURE_ROLES = ['createdBy', 'signedBy'];
+
+const sha256 = (buffer) =>
+  crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Copy the author's and signer's current signature images next to a report
+ * as it is finalized, so a signature replaced later does not change the
+ * reports signed before
+ * @param {Object} report - Finalized DiagnosticReport document
+ * @returns {Promise<Object>} The stored snapshot ({ createdBy, signedBy })
+ */
+export const snapshotReportSignatures = async (report) => {
+  const signatures = {};
+
+  for (const role of SIGNATURE_ROLES) {
+    const userId = report[role]?._id || report[role];
+    if (!userId) continue;
+
+    const user = await User.findById(userId).select('signature');
+    const image = user?.signature?.path
+      ? await readFile(user.signature.path)
+      : null;
+    if (!image) continue;
+
+    const key = `${
+      report.institution ? `institutions/${report.institution}` : 'shared'
+    }/report-signatures/${report._id}-${role}.png`;
+    await saveFile(key, image);
+
+    signatures[role] = { path: key, sha256: sha256(image) };
+  }
+
+  await DiagnosticReport.updateOne(
+    { _id: report._id },
+    { $set: { signatures } },
+  );
+  report.signatures = signatures;
+
+  return signatures;
+};
+
+/**
+ * Load the signature images captured when a report was finalized. Drafts
+ * have none; images that are missing or fail their hash are left out
+ * @param {Object} report - DiagnosticReport document
+ * @returns {Promise<Object>} Buffers by role ({ createdBy, signedBy })
+ */
+export const loadReportSignatures = async (report) => {
+  if (!report.isFinal) return {};
+
+  const load = async (snapshot) => {
+    if (!snapshot?.path) return null;
+
+    try {
+      const image = await readFile(snapshot.path);
+      if (image && sha256(image) === snapshot.sha256) return image;
+      console.error('Signature image missing or altered:', snapshot.path);
+    } catch (error) {
+      console.error('Failed to load signature image:', error.message);
+    }
+    return null;
+  };
+
+  const [createdBy, signedBy] = await Promise.all(
+    SIGNATURE_ROLES.map((role) => load(report.signatures?.[role])),
+  );
+
+  return { createdBy, signedBy };
+};
+
+export default {
+  snapshotReportSignatures,
+  loadReportSignatures,
+};
@@ -0,0 +1,28 @@
+/**
+ * Detect a coarse device type from a user agent string
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} Device type
+ */
+const detectDevice = (userAgent = '') => {
+  if (/ipad|tablet/i.test(userAgent)) return 'tablet';
+  if (/mobile|android|iphone/i.test(userAgent)) return 'mobile';
+  if (/mozilla|chrome|safari|firefox|edge/i.test(userAgent)) return 'web';
+  return 'other';
+};
+
+/**
+ * Collect client details used to describe a login session
+ * @param {Object} req - Express request
+ * @returns {Object} Device, IP address and user agent
+ */
+export const getRequestContext = (req) => {
+  const userAgent = req.get('User-Agent') || 'Unknown';
+
+  return {
+    device: req.get('X-Device-Name') || detectDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent,
+  };
+};
+
+export default getRequestContext;
@@ -71,6 +71,11 @@ class SocketService {
     });
   }
 
+  // Emit to members of one institution (tenant-scoped data)
+  emitToInstitution(institutionId, eventType, data) {
+    this.emitToRoom(`institution-${institutionId || 'none'}`, eventType, data);
+  }
+
   // Emit to multiple users
   emitToUsers(userIds, eventType, data) {
     userIds.forEach((userId) => {
@@ -89,20 +94,36 @@ class SocketService {
 
   // Case-specific methods
   emitCaseCreated(caseData) {
-    this.emitToAll(EventTypes.CASE_CREATED, caseData);
+    this.emitToInstitution(
+      caseData.institution,
+      EventTypes.CASE_CREATED,
+      caseData,
+    );
   }
 
   emitCaseUpdated(caseData) {
-    this.emitToAll(EventTypes.CASE_UPDATED, caseData);
+    this.emitToInstitution(
+      caseData.institution,
+      EventTypes.CASE_UPDATED,
+      caseData,
+    );
   }
 
   emitCaseAssigned(caseData, radiologistId) {
     this.emitToUser(radiologistId, EventTypes.CASE_ASSIGNED, caseData);
-    this.emitToOthers('admin-room', EventTypes.CASE_ASSIGNED, caseData);
+    this.emitToInstitution(
+      caseData.institution,
+      EventTypes.CASE_ASSIGNED,
+      caseData,
+    );
   }
 
   emitCaseCompleted(caseData) {
-    this.emitToAll(EventTypes.CASE_COMPLETED, caseData);
+    this.emitToInstitution(
+      caseData.institution,
+      EventTypes.CASE_COMPLETED,
+      caseData,
+    );
   }
 
   // User-specific methods
@@ -133,7 +154,11 @@ class SocketService {
   }
 
   emitReportFinalized(reportData) {
-    this.emitToAll(EventTypes.REPORT_FINALIZED, reportData);
+    this.emitToInstitution(
+      reportData.institution,
+      EventTypes.REPORT_FINALIZED,
+      reportData,
+    );
   }
 
   // Admin-specific methods
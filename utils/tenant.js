@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * Get the institution id of the authenticated user (null when unaffiliated)
+ * @param {Object} user - req.user or socket.user
+ * @returns {string|null} Institution id
+ */
+export const getTenantId = (user) => user?.institution || null;
+
+/**
+ * Query filter restricting documents to the user's institution
+ * @param {Object} req - Express request (or any object with a user)
+ * @returns {Object} Mongo filter fragment
+ */
+export const tenantFilter = (req) => ({
+  institution: getTenantId(req.user),
+});
+
+/**
+ * Merge a filter with the tenant restriction
+ * @param {Object} req - Express request
+ * @param {Object} filter - Additional filter
+ * @returns {Object} Scoped filter
+ */
+export const scoped = (req, filter = {}) => ({
+  ...filter,
+  ...tenantFilter(req),
+});
+
+/**
+ * Check that a document belongs to the user's institution
+ * @param {Object} user - req.user or socket.user
+ * @param {Object} doc - Document with an institution field
+ * @returns {boolean} True if in the same tenant
+ */
+export const isSameTenant = (user, doc) =>
+  String(doc?.institution ?? null) === String(getTenantId(user));
+
+/**
+ * Check whether a value is a valid ObjectId string
+ * @param {string} id - Candidate id
+ * @returns {boolean} True if valid
+ */
+export const isValidObjectId = (id) =>
+  typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+
+export default {
+  getTenantId,
+  tenantFilter,
+  scoped,
+  isSameTenant,
+  isValidObjectId,
+};
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_ALGORITHM = 'sha1';
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Raw bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded one-time code
+ */
+export const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(TOTP_ALGORITHM, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a timestamp (RFC 6238)
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+export const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_PERIOD);
+
+/**
+ * Compute the TOTP code for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} One-time code
+ */
+export const generateTOTP = (secret, timestamp = Date.now()) =>
+  generateHOTP(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift and rejecting replays
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - window (steps either side) and lastUsedStep
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+export const verifyTOTP = (secret, code, options = {}) => {
+  const { window = 1, lastUsedStep = null, timestamp = Date.now() } = options;
+  const normalized = (code || '').toString().replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHOTP(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by clients
+ * @param {Object} params - secret, accountName and issuer
+ * @returns {string} Provisioning URI
+ */
+export const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD.toString(),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate single-use recovery codes in xxxx-xxxx format
+ * @param {number} count - Number of codes
+ * @returns {string[]} Plain-text recovery codes
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+export default {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+};
@@ -1,57 +1,168 @@
 import Counter from '../models/Counter.js';
+import Institution from '../models/Institution.js';
+
+const ROLE_PREFIXES = {
+  patient: 'P',
+  radiologist: 'R',
+  technician: 'T',
+  admin: 'A',
+  physician: 'DR', // Using DR for physician to distinguish from radiologist
+};
+
+// Used when an institution has not configured a format
+const DEFAULT_FORMAT = {
+  prefix: null,
+  padding: 3,
+  includeYear: false,
+  checkDigit: false,
+};
+
+/**
+ * Compute the Luhn (mod 10) check digit for a string of digits
+ * @param {string} digits - Digits to protect
+ * @returns {number} Check digit
+ */
+export const luhnCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, char, index) => {
+      let digit = parseInt(char, 10);
+      if (index % 2 === 0) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      return total + digit;
+    }, 0);
+
+  return (10 - (sum % 10)) % 10;
+};
 
 /**
- * Generate a unique user ID based on role
+ * Resolve the ID format for a role: per-role overrides on top of the
+ * institution defaults on top of the built-in format
  * @param {string} role - User role
- * @returns {string} Generated user ID
+ * @param {Object} [institution] - Institution document (or lean object)
+ * @returns {Object} prefix, rolePrefix, padding, includeYear, checkDigit, timezone
  */
-export const generateUserId = async (role) => {
-  const rolePrefixes = {
-    patient: 'P',
-    radiologist: 'R',
-    technician: 'T',
-    admin: 'A',
-    physician: 'DR', // Using DR for physician to distinguish from radiologist
+export const resolveUserIdFormat = (role, institution = null) => {
+  const rolePrefix = ROLE_PREFIXES[role];
+  if (!rolePrefix) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+
+  const configured = institution?.settings?.userIdFormat || {};
+  const override = configured.roles?.find((entry) => entry.role === role) || {};
+  const pick = (field) =>
+    override[field] ?? configured[field] ?? DEFAULT_FORMAT[field];
+
+  return {
+    prefix: configured.prefix || DEFAULT_FORMAT.prefix,
+    rolePrefix: override.prefix || rolePrefix,
+    padding: pick('padding'),
+    includeYear: pick('includeYear'),
+    checkDigit: pick('checkDigit'),
+    timezone: institution?.settings?.timezone || 'UTC',
   };
+};
 
-  const prefix = rolePrefixes[role];
-  if (!prefix) {
-    throw new Error(`Invalid role: ${role}`);
+// Everything before the sequence number, e.g. MGH-R-2026
+const buildIdStem = (format, date) => {
+  const segments = [format.prefix, format.rolePrefix];
+
+  if (format.includeYear) {
+    segments.push(
+      new Intl.DateTimeFormat('en-US', {
+        year: 'numeric',
+        timeZone: format.timezone,
+      }).format(date),
+    );
   }
 
-  // Get the next sequence number for this role
-  const sequenceName = `${role}_counter`;
-  const sequenceValue = await Counter.getNextSequence(sequenceName);
+  return segments.filter(Boolean).join('-');
+};
+
+/**
+ * Counter for an ID stem. IDs sharing a stem share a sequence, so two
+ * institutions can never hand out the same ID; the built-in format keeps
+ * the original per-role counters.
+ */
+const getCounterName = (stem) => {
+  const legacyRole = Object.keys(ROLE_PREFIXES).find(
+    (role) => ROLE_PREFIXES[role] === stem,
+  );
+
+  return legacyRole ? `${legacyRole}_counter` : `userId:${stem}`;
+};
+
+const formatUserId = (format, stem, sequenceValue) => {
+  const sequence = sequenceValue.toString().padStart(format.padding, '0');
+  const digits = `${stem.replace(/\D/g, '')}${sequence}`;
+
+  return format.checkDigit
+    ? `${stem}-${sequence}${luhnCheckDigit(digits)}`
+    : `${stem}-${sequence}`;
+};
+
+/**
+ * Load the institution whose format applies (accepts an id or a document)
+ */
+const loadInstitution = async (institution) => {
+  if (!institution) return null;
+  if (institution.settings) return institution;
 
-  // Format the sequence value with leading zeros (e.g., 001, 002, ..., 999)
-  const formattedSequence = sequenceValue.toString().padStart(3, '0');
+  return Institution.findById(institution).select('settings').lean();
+};
 
-  return `${prefix}-${formattedSequence}`;
+/**
+ * Generate a unique user ID based on role and institution
+ * @param {string} role - User role
+ * @param {Object} [options] - institution (id or document)
+ * @returns {string} Generated user ID
+ */
+export const generateUserId = async (role, options = {}) => {
+  const [userId] = await generateUserIds(role, 1, options);
+  return userId;
+};
+
+/**
+ * Generate several user IDs for a role with a single counter update
+ * @param {string} role - User role
+ * @param {number} count - Number of IDs needed
+ * @param {Object} [options] - institution (id or document)
+ * @returns {string[]} Generated user IDs, in sequence order
+ */
+export const generateUserIds = async (role, count, options = {}) => {
+  const institution = await loadInstitution(options.institution);
+  const format = resolveUserIdFormat(role, institution);
+
+  if (count < 1) return [];
+
+  const stem = buildIdStem(format, new Date());
+  const counterName = getCounterName(stem);
+  const first =
+    count === 1
+      ? await Counter.getNextSequence(counterName)
+      : await Counter.reserveSequence(counterName, count);
+
+  return Array.from({ length: count }, (_, i) =>
+    formatUserId(format, stem, first + i),
+  );
 };
 
 /**
  * Get the next available user ID for a role without incrementing the counter
  * @param {string} role - User role
+ * @param {Object} [options] - institution (id or document)
  * @returns {string} Next available user ID
  */
-export const getNextUserId = async (role) => {
-  const rolePrefixes = {
-    patient: 'P',
-    radiologist: 'R',
-    technician: 'T',
-    admin: 'A',
-    physician: 'DR',
-  };
-
-  const prefix = rolePrefixes[role];
-  if (!prefix) {
-    throw new Error(`Invalid role: ${role}`);
-  }
+export const getNextUserId = async (role, options = {}) => {
+  const institution = await loadInstitution(options.institution);
+  const format = resolveUserIdFormat(role, institution);
+  const stem = buildIdStem(format, new Date());
 
-  const sequenceName = `${role}_counter`;
-  const counter = await Counter.findOne({ name: sequenceName });
+  const counter = await Counter.findOne({ name: getCounterName(stem) });
   const nextValue = counter ? counter.value + 1 : 1;
 
-  const formattedSequence = nextValue.toString().padStart(3, '0');
-  return `${prefix}-${formattedSequence}`;
+  return formatUserId(format, stem, nextValue);
 };